@@ -0,0 +1,2136 @@
+// Campus graph model, validation and routing without any DOM or Leaflet
+// dependency. Loaded as a plain script after i18n.js and before script.js in
+// the browser, and with require() in Node (see cli.js and test/).
+
+// Binary min-heap used as the pathfinding priority queue
+class MinHeap {
+    constructor(compare) {
+        this.items = [];
+        this.compare = compare;
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class CampusGraph {
+    constructor(graph = null) {
+        this.graph = graph;
+        
+        // Routing: id→node and adjacency maps, rebuilt only when the graph changes
+        this.graphIndex = null;
+        this.routingAlgorithm = 'dijkstra';
+        
+        // Alternative routes: how many to offer, how much of an existing route
+        // one may share, and how much costlier than the best it may be. The
+        // search stops after maxAlternativeSearch paths or maxSpurSearches
+        // shortest-path runs, whichever comes first, to bound it on large graphs.
+        this.alternativeCount = 3;
+        this.maxRouteOverlap = 0.6;
+        this.maxRouteStretch = 2;
+        this.maxAlternativeSearch = 30;
+        this.maxSpurSearches = 100;
+        
+        // Walking speed in metres per second for time estimates (~5 km/h)
+        this.walkingSpeed = 1.4;
+        
+        // Language of directions and messages; see i18n.js
+        this.locales = typeof LOCALES !== 'undefined' ? LOCALES : require('./i18n.js').LOCALES;
+        this.language = 'en';
+        
+        // Routing profiles exclude edges or scale their cost by edge attributes
+        const unpaved = edge => ['unpaved', 'gravel', 'grass', 'dirt'].includes(edge.surface);
+        this.routingProfile = 'default';
+        this.routingProfiles = {
+            default: { id: 'default', label: 'Default', rules: [] },
+            step_free: {
+                id: 'step_free',
+                label: 'Step-free',
+                rules: [
+                    { id: 'stairs', label: 'stairs', applies: edge => edge.stairs === true || edge.vertical === 'stairs', exclude: true },
+                    { id: 'wheelchair', label: 'not wheelchair accessible', applies: edge => edge.wheelchair === false, exclude: true },
+                    { id: 'unpaved', label: 'unpaved surface', applies: unpaved, exclude: true }
+                ]
+            },
+            covered: {
+                id: 'covered',
+                label: 'Covered',
+                rules: [
+                    { id: 'uncovered', label: 'uncovered', applies: edge => edge.covered !== true, factor: 2 },
+                    { id: 'unpaved', label: 'unpaved surface', applies: unpaved, factor: 1.5 }
+                ]
+            },
+            lit: {
+                id: 'lit',
+                label: 'Well-lit',
+                rules: [
+                    { id: 'unlit', label: 'unlit path', applies: edge => edge.lit === false, exclude: true },
+                    { id: 'lighting_unknown', label: 'lighting unknown', applies: edge => edge.lit === undefined, factor: 1.5 }
+                ]
+            }
+        };
+        
+        // Point-of-interest categories, in legend and grouping order
+        this.categories = {
+            academic: { label: 'Academic', icon: '🎓', color: '#2563eb' },
+            hostel: { label: 'Hostels', icon: '🏠', color: '#9333ea' },
+            food: { label: 'Food', icon: '🍽️', color: '#ea580c' },
+            sports: { label: 'Sports', icon: '⚽', color: '#16a34a' },
+            admin: { label: 'Administration', icon: '🏢', color: '#0891b2' },
+            parking: { label: 'Parking', icon: '🅿️', color: '#475569' },
+            gate: { label: 'Gates', icon: '🚪', color: '#b45309' },
+            room: { label: 'Rooms', icon: '🏫', color: '#4f46e5' },
+            lift: { label: 'Lifts', icon: '🛗', color: '#0f766e' },
+            stairwell: { label: 'Stairs', icon: '🪜', color: '#a16207' },
+            junction: { label: 'Junctions', icon: '', color: '#94a3b8', hiddenByDefault: true },
+            other: { label: 'Other', icon: '📍', color: '#64748b' }
+        };
+        
+        // Entries kept in metadata.changeLog, newest last. baselineGraph is the
+        // graph as last loaded or exported; the next export logs what changed since.
+        this.maxChangeLog = 100;
+        this.baselineGraph = null;
+        
+        // Edges whose stored distance is off by more than this ratio get flagged
+        this.distanceTolerance = 0.25;
+        
+        // Indoor nodes carry a building and floor. Temporary points snap to
+        // paths on this floor, which is also the floor the map shows.
+        this.currentFloor = 0;
+        
+        // Temporary points (your location, dropped pins) are joined to the path
+        // network by split nodes and edges that only exist in the routing index.
+        // Their ids start with '@' so they never clash with graph ids.
+        this.temporaryPoints = new Map();
+        this.tempNodes = [];
+        this.tempEdges = [];
+        
+        // Opening hours and closures are checked at the departure time;
+        // null means now
+        this.departureTime = null;
+        this.openingHoursCache = new Map();
+        this.weekdays = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+    }
+    
+    t(key, params = {}) {
+        // Message in the current language, falling back to English and then
+        // to the key itself; {name} placeholders are filled from params
+        const messages = (this.locales[this.language] || this.locales.en).messages;
+        const template = key in messages ? messages[key] : (key in this.locales.en.messages ? this.locales.en.messages[key] : key);
+        return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+    }
+    
+    localeTag() {
+        // BCP 47 tag for dates and sorting, e.g. "kn-IN"
+        return (this.locales[this.language] || this.locales.en).locale;
+    }
+    
+    nodeName(node) {
+        // Per-language names are optional; fall back to the main name
+        return (node.names && node.names[this.language]) || node.name;
+    }
+    
+    getCategory(node) {
+        return this.categories[node.category] ? node.category : 'other';
+    }
+    
+    edgeKey(aId, bId) {
+        return aId < bId ? `${aId}|${bId}` : `${bId}|${aId}`;
+    }
+    
+    getNode(nodeId) {
+        return this.getGraphIndex().nodesById.get(nodeId);
+    }
+    
+    findEdge(aId, bId) {
+        return this.getGraphIndex().edgesByPair.get(this.edgeKey(aId, bId));
+    }
+    
+    getGraphIndex() {
+        // Rebuilt lazily whenever the node/edge arrays are replaced or resized.
+        // In-place changes to coordinates or distances call invalidateGraphIndex().
+        const index = this.graphIndex;
+        if (index &&
+            index.nodes === this.graph.nodes && index.nodeCount === this.graph.nodes.length &&
+            index.edges === this.graph.edges && index.edgeCount === this.graph.edges.length &&
+            index.tempNodes === this.tempNodes && index.tempEdges === this.tempEdges) {
+            return index;
+        }
+        
+        const graph = this.tempNodes.length === 0 ? this.graph : {
+            nodes: [...this.graph.nodes, ...this.tempNodes],
+            edges: [...this.graph.edges, ...this.tempEdges]
+        };
+        this.graphIndex = {
+            ...this.buildGraphIndex(graph),
+            nodes: this.graph.nodes,
+            edges: this.graph.edges,
+            nodeCount: this.graph.nodes.length,
+            edgeCount: this.graph.edges.length,
+            tempNodes: this.tempNodes,
+            tempEdges: this.tempEdges
+        };
+        return this.graphIndex;
+    }
+    
+    invalidateGraphIndex() {
+        this.graphIndex = null;
+    }
+    
+    buildGraphIndex(graph) {
+        const nodesById = new Map();
+        const order = new Map();
+        const adjacency = new Map();
+        const edgesByPair = new Map();
+        
+        graph.nodes.forEach((node, i) => {
+            nodesById.set(node.id, node);
+            order.set(node.id, i);
+            adjacency.set(node.id, []);
+        });
+        
+        // Smallest ratio of stored distance to straight-line length. Scaling the
+        // A* heuristic by it keeps the heuristic admissible on hand-entered data.
+        let heuristicScale = 1;
+        
+        graph.edges.forEach(edge => {
+            if (!adjacency.has(edge.a) || !adjacency.has(edge.b)) return;
+            
+            adjacency.get(edge.a).push({ node: edge.b, edge: edge });
+            adjacency.get(edge.b).push({ node: edge.a, edge: edge });
+            
+            const key = this.edgeKey(edge.a, edge.b);
+            if (!edgesByPair.has(key)) {
+                edgesByPair.set(key, edge);
+            }
+            
+            const length = this.haversineDistance(nodesById.get(edge.a), nodesById.get(edge.b));
+            if (length > 0) {
+                heuristicScale = Math.min(heuristicScale, edge.dist / length);
+            }
+        });
+        
+        return {
+            nodes: graph.nodes,
+            edges: graph.edges,
+            nodeCount: graph.nodes.length,
+            edgeCount: graph.edges.length,
+            nodesById,
+            order,
+            adjacency,
+            edgesByPair,
+            heuristicScale: Math.max(0, heuristicScale)
+        };
+    }
+    
+    haversineDistance(a, b) {
+        // Great-circle distance in metres between two {lat, lng} points
+        const R = 6371000;
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(h));
+    }
+    
+    edgeGeometricLength(edge) {
+        // Null when unknown; lifts and stairs between floors keep their stored cost
+        const a = this.getNode(edge.a);
+        const b = this.getNode(edge.b);
+        if (!a || !b || this.isVerticalEdge(edge)) return null;
+        return this.haversineDistance(a, b);
+    }
+    
+    findDistanceMismatches(tolerance = this.distanceTolerance) {
+        const mismatches = [];
+        this.graph.edges.forEach(edge => {
+            const length = this.edgeGeometricLength(edge);
+            if (length === null) return;
+            
+            const diff = edge.dist - length;
+            const ratio = length > 0 ? Math.abs(diff) / length : Infinity;
+            
+            // Ignore tiny absolute differences on very short edges
+            if (ratio > tolerance && Math.abs(diff) >= 5) {
+                mismatches.push({
+                    edge: edge,
+                    stored: edge.dist,
+                    geometric: Math.round(length),
+                    ratio: ratio
+                });
+            }
+        });
+        
+        return mismatches.sort((x, y) => y.ratio - x.ratio);
+    }
+    
+    floorLabel(floor) {
+        if (floor === 0) return this.t('floor.ground');
+        if (floor < 0) return this.t('floor.basement', { n: -floor });
+        return this.t('floor.number', { n: floor });
+    }
+    
+    isVisibleOnFloor(node, floor = this.currentFloor) {
+        // Outdoor nodes have no floor and are always visible
+        return node.floor === undefined || node.floor === floor;
+    }
+    
+    isVerticalEdge(edge) {
+        const a = this.getNode(edge.a);
+        const b = this.getNode(edge.b);
+        return Boolean(a && b && a.floor !== undefined && b.floor !== undefined && a.floor !== b.floor);
+    }
+    
+    getVerticalType(edge) {
+        if (!this.isVerticalEdge(edge)) return null;
+        if (edge.vertical) return edge.vertical;
+        
+        const a = this.getNode(edge.a);
+        const b = this.getNode(edge.b);
+        return a.category === 'lift' && b.category === 'lift' ? 'lift' : 'stairs';
+    }
+    
+    isTemporaryNode(nodeId) {
+        return typeof nodeId === 'string' && nodeId.startsWith('@');
+    }
+    
+    projectOntoSegment(point, a, b) {
+        // Closest point to `point` on segment a–b, using a flat local frame in
+        // metres (accurate at campus scale). t is the fraction along a–b.
+        const metresPerLat = 111320;
+        const metresPerLng = 111320 * Math.cos(point.lat * Math.PI / 180);
+        const ax = (a.lng - point.lng) * metresPerLng;
+        const ay = (a.lat - point.lat) * metresPerLat;
+        const dx = (b.lng - point.lng) * metresPerLng - ax;
+        const dy = (b.lat - point.lat) * metresPerLat - ay;
+        const lengthSq = dx * dx + dy * dy;
+        
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+        const x = ax + t * dx;
+        const y = ay + t * dy;
+        return {
+            t: t,
+            distance: Math.hypot(x, y),
+            lat: point.lat + y / metresPerLat,
+            lng: point.lng + x / metresPerLng
+        };
+    }
+    
+    snapToNetwork(latlng) {
+        // Nearest point on a walkable edge of the current floor, or null
+        let best = null;
+        this.graph.edges.forEach(edge => {
+            const a = this.getNode(edge.a);
+            const b = this.getNode(edge.b);
+            if (!a || !b || this.isVerticalEdge(edge)) return;
+            if (!this.isVisibleOnFloor(a) || !this.isVisibleOnFloor(b)) return;
+            
+            const projection = this.projectOntoSegment(latlng, a, b);
+            if (!best || projection.distance < best.distance) {
+                best = { ...projection, edge: edge };
+            }
+        });
+        return best;
+    }
+    
+    setTemporaryPoint(id, latlng, name, walk = false) {
+        // With walk set, the point keeps its own position and a short off-path
+        // edge leads from it to the nearest path
+        this.temporaryPoints.set(id, { id: id, name: name, lat: latlng.lat, lng: latlng.lng, walk: walk });
+        this.rebuildTemporaryGraph();
+    }
+    
+    removeTemporaryPoint(id) {
+        if (this.temporaryPoints.delete(id)) {
+            this.rebuildTemporaryGraph();
+        }
+    }
+    
+    rebuildTemporaryGraph() {
+        // Each temporary point becomes a node on the nearest edge. Several
+        // points on one edge are chained in order along it, and the split
+        // edges keep the original edge's attributes and share its distance.
+        const nodes = [];
+        const edges = [];
+        const splitsByEdge = new Map();
+        
+        this.temporaryPoints.forEach(point => {
+            const snap = this.snapToNetwork(point);
+            if (!snap) return;
+            
+            const a = this.getNode(snap.edge.a);
+            const b = this.getNode(snap.edge.b);
+            const place = node => {
+                if (a.floor !== undefined) {
+                    node.floor = a.floor;
+                    if (a.building) node.building = a.building;
+                }
+                nodes.push(node);
+                return node;
+            };
+            
+            // Points within a couple of metres of the path sit on it directly
+            let split;
+            if (point.walk && snap.distance >= 2) {
+                place({ id: point.id, name: point.name, lat: point.lat, lng: point.lng, temporary: true });
+                split = place({
+                    id: `${point.id}:path`,
+                    name: this.t('point.pathBetween', { a: this.nodeName(a), b: this.nodeName(b) }),
+                    lat: snap.lat,
+                    lng: snap.lng,
+                    temporary: true,
+                    split: { a: a.id, b: b.id, t: snap.t }
+                });
+                edges.push({ a: point.id, b: split.id, dist: Math.round(snap.distance), offPath: true, temporary: true });
+            } else {
+                split = place({ id: point.id, name: point.name, lat: snap.lat, lng: snap.lng, temporary: true });
+            }
+            
+            if (!splitsByEdge.has(snap.edge)) splitsByEdge.set(snap.edge, []);
+            splitsByEdge.get(snap.edge).push({ id: split.id, t: snap.t });
+        });
+        
+        splitsByEdge.forEach((splits, edge) => {
+            const { a, b, dist, ...attributes } = edge;
+            const chain = [{ id: a, t: 0 }, ...splits.sort((x, y) => x.t - y.t), { id: b, t: 1 }];
+            for (let i = 0; i < chain.length - 1; i++) {
+                edges.push({
+                    ...attributes,
+                    a: chain[i].id,
+                    b: chain[i + 1].id,
+                    dist: Math.round(dist * (chain[i + 1].t - chain[i].t)),
+                    splitOf: this.edgeKey(a, b),
+                    temporary: true
+                });
+            }
+        });
+        
+        // New arrays so getGraphIndex() rebuilds
+        this.tempNodes = nodes;
+        this.tempEdges = edges;
+    }
+    
+    findPath(startId, endId, profile = this.getRoutingProfile()) {
+        return this.routingAlgorithm === 'astar'
+            ? this.aStar(startId, endId, profile)
+            : this.dijkstra(startId, endId, profile);
+    }
+    
+    dijkstra(startId, endId, profile = this.getRoutingProfile()) {
+        return this.shortestPath(startId, endId, null, profile);
+    }
+    
+    aStar(startId, endId, profile = this.getRoutingProfile()) {
+        const index = this.getGraphIndex();
+        const target = index.nodesById.get(endId);
+        if (!target) return null;
+        
+        const heuristic = nodeId =>
+            index.heuristicScale * this.haversineDistance(index.nodesById.get(nodeId), target);
+        return this.shortestPath(startId, endId, heuristic, profile);
+    }
+    
+    shortestPath(startId, endId, heuristic, profile = this.getRoutingProfile()) {
+        // Heap-based Dijkstra, or A* when a heuristic is given. Ties are broken
+        // by node order so results match the original linear-scan search.
+        // The profile decides edge costs; the reported distance is always metres.
+        const index = this.getGraphIndex();
+        if (!index.nodesById.has(startId) || !index.nodesById.has(endId)) return null;
+        
+        const distances = new Map([[startId, 0]]);
+        const lengths = new Map([[startId, 0]]);
+        const previous = new Map([[startId, null]]);
+        const visited = new Set();
+        const estimate = nodeId => heuristic ? heuristic(nodeId) : 0;
+        
+        const queue = new MinHeap((x, y) =>
+            x.priority - y.priority || index.order.get(x.node) - index.order.get(y.node)
+        );
+        queue.push({ node: startId, priority: estimate(startId) });
+        
+        while (queue.size > 0) {
+            const { node: current } = queue.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            
+            if (current === endId) break;
+            
+            const currentDistance = distances.get(current);
+            index.adjacency.get(current).forEach(neighbor => {
+                if (visited.has(neighbor.node)) return;
+                
+                const cost = this.edgeCost(neighbor.edge, profile);
+                if (cost === Infinity) return;
+                
+                const alt = currentDistance + cost;
+                if (alt < (distances.has(neighbor.node) ? distances.get(neighbor.node) : Infinity)) {
+                    distances.set(neighbor.node, alt);
+                    lengths.set(neighbor.node, lengths.get(current) + neighbor.edge.dist);
+                    previous.set(neighbor.node, current);
+                    queue.push({ node: neighbor.node, priority: alt + estimate(neighbor.node) });
+                }
+            });
+        }
+        
+        // Reconstruct path
+        if (!distances.has(endId)) return null;
+        
+        const path = [];
+        let current = endId;
+        while (current !== null) {
+            path.unshift(current);
+            current = previous.get(current);
+        }
+        
+        return {
+            path: path,
+            distance: Math.round(lengths.get(endId)),
+            cost: distances.get(endId),
+            steps: this.generateSteps(path)
+        };
+    }
+    
+    findAlternativeRoutes(startId, endId, count = this.alternativeCount, profile = this.getRoutingProfile()) {
+        // Up to count routes, best first, using Yen's k-shortest loopless paths.
+        // A candidate is kept only if it shares at most maxRouteOverlap of its
+        // length with every route already kept, and costs at most
+        // maxRouteStretch times the best route.
+        const best = this.findPath(startId, endId, profile);
+        if (!best) return [];
+        
+        const pathCost = path => path.slice(1).reduce((sum, id, i) => sum + this.edgeCost(this.findEdge(path[i], id), profile), 0);
+        const routes = [best];
+        const found = [best.path];
+        const foundKeys = new Set([best.path.join('>')]);
+        const candidates = new Map();
+        let searches = 0;
+        
+        while (routes.length < count && found.length < this.maxAlternativeSearch) {
+            const last = found[found.length - 1];
+            
+            // Branch off the last path at each node, avoiding the edges every
+            // found path with the same beginning takes next
+            for (let i = 0; i < last.length - 1 && searches < this.maxSpurSearches; i++, searches++) {
+                const root = last.slice(0, i + 1);
+                const blockedNodes = new Set(root.slice(0, -1));
+                const blockedEdges = new Set(found
+                    .filter(path => path.length > i + 1 && root.every((id, j) => path[j] === id))
+                    .map(path => this.edgeKey(path[i], path[i + 1])));
+                
+                const spur = this.shortestPath(last[i], endId, null, {
+                    ...profile,
+                    rules: [...profile.rules, {
+                        label: 'alternative',
+                        exclude: true,
+                        applies: edge => blockedNodes.has(edge.a) || blockedNodes.has(edge.b) ||
+                            blockedEdges.has(this.edgeKey(edge.a, edge.b))
+                    }]
+                });
+                if (!spur) continue;
+                
+                const path = [...root.slice(0, -1), ...spur.path];
+                const key = path.join('>');
+                if (!foundKeys.has(key) && !candidates.has(key)) {
+                    candidates.set(key, { path: path, cost: pathCost(path) });
+                }
+            }
+            if (candidates.size === 0) break;
+            
+            const [key, next] = [...candidates].reduce((a, b) => b[1].cost < a[1].cost ? b : a);
+            candidates.delete(key);
+            if (next.cost > best.cost * this.maxRouteStretch) break;
+            found.push(next.path);
+            foundKeys.add(key);
+            
+            if (routes.every(route => this.routeOverlap(route.path, next.path) <= this.maxRouteOverlap)) {
+                routes.push({
+                    path: next.path,
+                    distance: Math.round(this.pathLength(next.path)),
+                    cost: next.cost,
+                    steps: this.generateSteps(next.path)
+                });
+            }
+        }
+        
+        return routes;
+    }
+    
+    pathLength(path) {
+        return path.slice(1).reduce((sum, id, i) => sum + this.findEdge(path[i], id).dist, 0);
+    }
+    
+    routeOverlap(pathA, pathB) {
+        // Shared length as a fraction of the shorter path
+        const edgesA = new Set(pathA.slice(1).map((id, i) => this.edgeKey(pathA[i], id)));
+        const shared = pathB.slice(1).reduce((sum, id, i) =>
+            edgesA.has(this.edgeKey(pathB[i], id)) ? sum + this.findEdge(pathB[i], id).dist : sum, 0);
+        const shorter = Math.min(this.pathLength(pathA), this.pathLength(pathB));
+        return shorter > 0 ? shared / shorter : 1;
+    }
+    
+    reachableFrom(startId, maxDistance, profile = this.getRoutingProfile()) {
+        // Everything within maxDistance metres of one node along the routes
+        // findPath would choose. Nodes come sorted by distance; each edge lists
+        // the parts of it that can be reached as fractions along a → b, with
+        // the walking distance at both ends of the part.
+        const index = this.getGraphIndex();
+        if (!index.nodesById.has(startId)) return null;
+        
+        const costs = new Map([[startId, 0]]);
+        const lengths = new Map([[startId, 0]]);
+        const visited = new Set();
+        const queue = new MinHeap((x, y) =>
+            x.priority - y.priority || index.order.get(x.node) - index.order.get(y.node)
+        );
+        queue.push({ node: startId, priority: 0 });
+        
+        while (queue.size > 0) {
+            const { node: current } = queue.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            
+            index.adjacency.get(current).forEach(neighbor => {
+                if (visited.has(neighbor.node)) return;
+                
+                const cost = this.edgeCost(neighbor.edge, profile);
+                if (cost === Infinity) return;
+                
+                const alt = costs.get(current) + cost;
+                if (alt < (costs.has(neighbor.node) ? costs.get(neighbor.node) : Infinity)) {
+                    costs.set(neighbor.node, alt);
+                    lengths.set(neighbor.node, lengths.get(current) + neighbor.edge.dist);
+                    queue.push({ node: neighbor.node, priority: alt });
+                }
+            });
+        }
+        
+        const nodes = [...lengths]
+            .filter(([, distance]) => distance <= maxDistance)
+            .map(([id, distance]) => ({
+                id: id,
+                distance: Math.round(distance),
+                seconds: this.estimateWalkingTime(distance)
+            }))
+            .sort((x, y) => x.distance - y.distance || index.order.get(x.id) - index.order.get(y.id));
+        
+        const edges = [];
+        [...this.graph.edges, ...this.tempEdges].forEach(edge => {
+            if (!index.nodesById.has(edge.a) || !index.nodesById.has(edge.b)) return;
+            if (this.edgeCost(edge, profile) === Infinity) return;
+            
+            const fromA = lengths.has(edge.a) ? lengths.get(edge.a) : Infinity;
+            const fromB = lengths.has(edge.b) ? lengths.get(edge.b) : Infinity;
+            const reachA = Math.min(Math.max(maxDistance - fromA, 0), edge.dist);
+            const reachB = Math.min(Math.max(maxDistance - fromB, 0), edge.dist);
+            if (reachA === 0 && reachB === 0) return;
+            
+            const parts = [];
+            if (edge.dist === 0 || reachA + reachB >= edge.dist) {
+                // Covered from both ends: split where walking either way is equal
+                const meet = edge.dist === 0 ? 0 : Math.min(Math.max((fromB - fromA + edge.dist) / (2 * edge.dist), 0), 1);
+                if (meet > 0) parts.push({ start: 0, end: meet, startDistance: fromA, endDistance: fromA + meet * edge.dist });
+                if (meet < 1) parts.push({ start: meet, end: 1, startDistance: fromB + (1 - meet) * edge.dist, endDistance: fromB });
+            } else {
+                if (reachA > 0) parts.push({ start: 0, end: reachA / edge.dist, startDistance: fromA, endDistance: maxDistance });
+                if (reachB > 0) parts.push({ start: 1 - reachB / edge.dist, end: 1, startDistance: maxDistance, endDistance: fromB });
+            }
+            if (parts.length > 0) edges.push({ edge: edge, parts: parts });
+        });
+        
+        return { origin: startId, maxDistance: maxDistance, nodes: nodes, edges: edges };
+    }
+    
+    getRoutingProfile(profileId = this.routingProfile, time = this.getDepartureTime()) {
+        // Closed nodes and edges are added as one more exclusion, so closures
+        // are explained the same way as the profile's own constraints
+        const profile = this.routingProfiles[profileId] || this.routingProfiles.default;
+        const closed = this.getClosedItems(time);
+        if (closed.nodes.size === 0 && closed.edges.size === 0) return profile;
+        
+        return {
+            ...profile,
+            base: profile,
+            rules: [...profile.rules, {
+                id: 'closed',
+                label: 'closed',
+                closure: true,
+                exclude: true,
+                applies: edge => this.closureReason(edge, closed) !== null,
+                describe: edge => this.closureReason(edge, closed)
+            }]
+        };
+    }
+    
+    ruleLabel(rule) {
+        // Rules without an id (added by other code) keep their English label
+        return rule.id ? this.t(`rule.${rule.id}`) : rule.label;
+    }
+    
+    edgeCost(edge, profile) {
+        // Infinity when the profile excludes the edge
+        let cost = edge.dist;
+        for (const rule of profile.rules) {
+            if (!rule.applies(edge)) continue;
+            if (rule.exclude) return Infinity;
+            cost *= rule.factor;
+        }
+        return cost;
+    }
+    
+    explainNoRoute(startId, endId, profile = this.getRoutingProfile()) {
+        // Finds which of the profile's exclusions block an otherwise possible route
+        const unrestricted = this.findPath(startId, endId, this.routingProfiles.default);
+        if (!unrestricted) {
+            return { blockers: [], edges: [], reachable: false };
+        }
+        
+        const exclusions = profile.rules.filter(rule => rule.exclude);
+        let blockers = exclusions.filter(rule => {
+            const relaxed = { ...profile, rules: profile.rules.filter(r => r !== rule) };
+            return this.findPath(startId, endId, relaxed) !== null;
+        });
+        
+        // No single exclusion is to blame, so report every one on the direct route
+        const edges = [];
+        for (let i = 0; i < unrestricted.path.length - 1; i++) {
+            const edge = this.findEdge(unrestricted.path[i], unrestricted.path[i + 1]);
+            const rules = exclusions.filter(rule => rule.applies(edge));
+            if (rules.length > 0) {
+                edges.push({ edge: edge, rules: rules });
+            }
+        }
+        if (blockers.length === 0) {
+            blockers = exclusions.filter(rule => edges.some(item => item.rules.includes(rule)));
+        }
+        
+        return { blockers, edges, reachable: true };
+    }
+    
+    planRoute(stopIds) {
+        // Chains shortest paths between consecutive stops into one route
+        const legs = [];
+        for (let i = 0; i < stopIds.length - 1; i++) {
+            if (stopIds[i] === stopIds[i + 1]) continue;
+            
+            const leg = this.findPath(stopIds[i], stopIds[i + 1]);
+            if (!leg) return null;
+            legs.push(leg);
+        }
+        
+        // Every stop is the same place: one leg of zero length
+        if (legs.length === 0) {
+            const stay = stopIds.length > 0 && this.findPath(stopIds[0], stopIds[0]);
+            if (!stay) return null;
+            legs.push(stay);
+        }
+        
+        const path = [legs[0].path[0]];
+        legs.forEach(leg => path.push(...leg.path.slice(1)));
+        
+        return {
+            path: path,
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            steps: legs.flatMap(leg => leg.steps),
+            stops: stopIds,
+            legs: legs
+        };
+    }
+    
+    optimizeStopOrder(startId, stops, endId = null) {
+        // Returns [startId, ...stops in a short visiting order, endId?], or null
+        // when some stop is unreachable. Exact for small tours, heuristic beyond.
+        const points = [startId, ...stops];
+        if (endId) points.push(endId);
+        
+        const cost = points.map(from => points.map(to => {
+            if (from === to) return 0;
+            const result = this.findPath(from, to);
+            return result ? result.distance : Infinity;
+        }));
+        
+        const free = stops.map((_, i) => i + 1);
+        const endIndex = endId ? points.length - 1 : null;
+        const order = free.length <= 10
+            ? this.solveTourExact(cost, free, endIndex)
+            : this.solveTourHeuristic(cost, free, endIndex);
+        
+        if (!order) return null;
+        return order.map(i => points[i]);
+    }
+    
+    solveTourExact(cost, free, endIndex) {
+        // Held-Karp dynamic programming over subsets of free stops
+        const n = free.length;
+        const full = (1 << n) - 1;
+        const best = Array.from({ length: 1 << n }, () => new Array(n).fill(Infinity));
+        const parent = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+        
+        for (let i = 0; i < n; i++) {
+            best[1 << i][i] = cost[0][free[i]];
+        }
+        
+        for (let mask = 1; mask <= full; mask++) {
+            for (let last = 0; last < n; last++) {
+                if (!(mask & (1 << last)) || best[mask][last] === Infinity) continue;
+                for (let next = 0; next < n; next++) {
+                    if (mask & (1 << next)) continue;
+                    const nextMask = mask | (1 << next);
+                    const total = best[mask][last] + cost[free[last]][free[next]];
+                    if (total < best[nextMask][next]) {
+                        best[nextMask][next] = total;
+                        parent[nextMask][next] = last;
+                    }
+                }
+            }
+        }
+        
+        let bestLast = -1;
+        let bestTotal = Infinity;
+        for (let last = 0; last < n; last++) {
+            const total = best[full][last] + (endIndex !== null ? cost[free[last]][endIndex] : 0);
+            if (total < bestTotal) {
+                bestTotal = total;
+                bestLast = last;
+            }
+        }
+        if (bestTotal === Infinity) return null;
+        
+        const order = [];
+        let mask = full;
+        let last = bestLast;
+        while (last !== -1) {
+            order.unshift(free[last]);
+            const previous = parent[mask][last];
+            mask &= ~(1 << last);
+            last = previous;
+        }
+        
+        return [0, ...order, ...(endIndex !== null ? [endIndex] : [])];
+    }
+    
+    solveTourHeuristic(cost, free, endIndex) {
+        // Nearest neighbour construction improved with 2-opt
+        const order = [0];
+        const remaining = new Set(free);
+        while (remaining.size > 0) {
+            const current = order[order.length - 1];
+            let nearest = null;
+            remaining.forEach(candidate => {
+                if (nearest === null || cost[current][candidate] < cost[current][nearest]) {
+                    nearest = candidate;
+                }
+            });
+            order.push(nearest);
+            remaining.delete(nearest);
+        }
+        if (endIndex !== null) order.push(endIndex);
+        
+        const length = route => route.slice(1).reduce((sum, stop, i) => sum + cost[route[i]][stop], 0);
+        const lastMovable = endIndex !== null ? order.length - 2 : order.length - 1;
+        
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (let i = 1; i < lastMovable; i++) {
+                for (let j = i + 1; j <= lastMovable; j++) {
+                    const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+                    if (length(candidate) < length(order)) {
+                        order.splice(0, order.length, ...candidate);
+                        improved = true;
+                    }
+                }
+            }
+        }
+        
+        return length(order) === Infinity ? null : order;
+    }
+    
+    getDepartureTime() {
+        return this.departureTime || new Date();
+    }
+    
+    parseOpeningHours(text) {
+        // A subset of the OpenStreetMap opening_hours syntax:
+        //   "24/7", "06:00-22:00", "Mo-Fr 06:00-22:00; Sa,Su 08:00-20:00", "Su off"
+        // Later rules override earlier ones for the days they name. Ranges
+        // ending before they start run past midnight. Returns null if invalid.
+        if (this.openingHoursCache.has(text)) return this.openingHoursCache.get(text);
+        
+        const toMinutes = time => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+            // 24:00 closes at midnight; no other time in hour 24 exists
+            if (!match || +match[1] > 24 || +match[2] > 59 || (+match[1] === 24 && +match[2] > 0)) return null;
+            return +match[1] * 60 + +match[2];
+        };
+        const parseDays = spec => {
+            const days = new Set();
+            for (const part of spec.split(',')) {
+                const [first, last = first] = part.split('-').map(day => this.weekdays.indexOf(day));
+                if (first === -1 || last === -1) return null;
+                for (let day = first; ; day = (day + 1) % 7) {
+                    days.add(day);
+                    if (day === last) break;
+                }
+            }
+            return days;
+        };
+        
+        const rules = [];
+        let valid = typeof text === 'string' && text.trim() !== '';
+        for (const rawRule of valid ? text.split(';') : []) {
+            const rule = rawRule.trim();
+            if (!rule) continue;
+            if (rule === '24/7') {
+                rules.push({ days: parseDays('Mo-Su'), ranges: [[0, 1440]] });
+                continue;
+            }
+            
+            const match = /^(?:([A-Za-z,-]+)\s+)?(off|[\d:,\s-]+)$/.exec(rule);
+            const days = match && parseDays(match[1] || 'Mo-Su');
+            if (!days) {
+                valid = false;
+                break;
+            }
+            
+            if (match[2] === 'off') {
+                rules.push({ days, ranges: [] });
+                continue;
+            }
+            const ranges = match[2].split(',').map(range => range.trim().split('-').map(toMinutes));
+            if (ranges.some(range => range.length !== 2 || range.includes(null))) {
+                valid = false;
+                break;
+            }
+            rules.push({ days, ranges });
+        }
+        
+        const schedule = valid && rules.length > 0 ? rules : null;
+        this.openingHoursCache.set(text, schedule);
+        return schedule;
+    }
+    
+    isOpenAt(schedule, time) {
+        const day = (time.getDay() + 6) % 7;
+        const minutes = time.getHours() * 60 + time.getMinutes();
+        const rangesOn = d => {
+            const rule = schedule.filter(r => r.days.has(d)).pop();
+            return rule ? rule.ranges : [];
+        };
+        
+        // Today's ranges, plus yesterday's ranges that run past midnight
+        return rangesOn(day).some(([start, end]) => end > start ? minutes >= start && minutes < end : minutes >= start) ||
+            rangesOn((day + 6) % 7).some(([start, end]) => end <= start && minutes < end);
+    }
+    
+    describeReopening(schedule, time) {
+        // Looks ahead in 5-minute steps for up to a week
+        for (let step = 1; step <= 7 * 24 * 12; step++) {
+            const later = new Date(time.getTime() + step * 5 * 60000);
+            if (this.isOpenAt(schedule, later)) {
+                return this.t('closure.opens', { time: this.formatClosureTime(later, time) });
+            }
+        }
+        return this.t('closure.closedAllWeek');
+    }
+    
+    formatClosureTime(date, now = this.getDepartureTime()) {
+        const clock = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        if (date.toDateString() === now.toDateString()) return this.t('time.today', { clock });
+        
+        const days = Math.round((new Date(date.toDateString()) - new Date(now.toDateString())) / 86400000);
+        return days === 1
+            ? this.t('time.tomorrow', { clock })
+            : this.t('time.date', { clock, date: date.toLocaleDateString(this.localeTag(), { weekday: 'short', day: 'numeric', month: 'short' }) });
+    }
+    
+    isClosureActive(closure, time) {
+        return new Date(closure.start) <= time && time < new Date(closure.end);
+    }
+    
+    getClosedItems(time = this.getDepartureTime()) {
+        // Nodes and edges that are closed at `time`, each with a reason
+        const nodes = new Map();
+        const edges = new Map();
+        const nameOf = id => this.nodeName(this.getNode(id));
+        
+        this.graph.nodes.forEach(node => {
+            const schedule = node.hours && this.parseOpeningHours(node.hours);
+            if (schedule && !this.isOpenAt(schedule, time)) {
+                nodes.set(node.id, this.t('closure.node', { name: this.nodeName(node), when: this.describeReopening(schedule, time) }));
+            }
+        });
+        
+        this.graph.edges.forEach(edge => {
+            const schedule = edge.hours && this.parseOpeningHours(edge.hours);
+            if (schedule && !this.isOpenAt(schedule, time)) {
+                edges.set(this.edgeKey(edge.a, edge.b), this.t('closure.path', { a: nameOf(edge.a), b: nameOf(edge.b), when: this.describeReopening(schedule, time) }));
+            }
+        });
+        
+        (this.graph.closures || []).forEach(closure => {
+            if (!this.isClosureActive(closure, time)) return;
+            
+            const params = {
+                reason: closure.reason,
+                when: this.t('closure.reopens', { time: this.formatClosureTime(new Date(closure.end), time) })
+            };
+            const key = closure.reason ? 'ForReason' : '';
+            if (closure.node) {
+                nodes.set(closure.node, this.t(`closure.node${key}`, { ...params, name: nameOf(closure.node) }));
+            } else {
+                edges.set(this.edgeKey(closure.a, closure.b), this.t(`closure.path${key}`, { ...params, a: nameOf(closure.a), b: nameOf(closure.b) }));
+            }
+        });
+        
+        return { nodes, edges };
+    }
+    
+    closureReason(edge, closed) {
+        // Split edges of temporary points share their original edge's state
+        return closed.edges.get(edge.splitOf || this.edgeKey(edge.a, edge.b)) ||
+            closed.nodes.get(edge.a) ||
+            closed.nodes.get(edge.b) ||
+            null;
+    }
+    
+    explainDetour(routeData) {
+        // When closures lengthen a route, compares each leg with the route it
+        // would take if everything were open and lists what is in the way
+        const profile = this.getRoutingProfile();
+        if (!profile.base) return null;
+        
+        const closure = profile.rules.find(rule => rule.closure);
+        const reasons = new Set();
+        let extra = 0;
+        
+        // Legs skip repeated stops, so each leg's own ends are compared
+        (routeData.legs || [routeData]).forEach(leg => {
+            const open = this.findPath(leg.path[0], leg.path[leg.path.length - 1], profile.base);
+            if (!open || open.distance >= leg.distance) return;
+            
+            extra += leg.distance - open.distance;
+            for (let j = 0; j < open.path.length - 1; j++) {
+                const edge = this.findEdge(open.path[j], open.path[j + 1]);
+                if (closure.applies(edge)) reasons.add(closure.describe(edge));
+            }
+        });
+        
+        return extra > 0 ? { extra, reasons: [...reasons] } : null;
+    }
+    
+    pruneClosures() {
+        // Drops closures whose node or edge was deleted
+        if (!this.graph.closures) return;
+        this.graph.closures = this.graph.closures.filter(closure =>
+            closure.node ? this.getNode(closure.node) : this.findEdge(closure.a, closure.b)
+        );
+    }
+    
+    parseIcs(text) {
+        // Timed events from an iCalendar file as { title, location, day, start,
+        // end }, where day is YYYY-MM-DD and times are minutes after midnight.
+        // UTC times are converted to local time and times with a TZID are read
+        // as local time. Daily and weekly RRULEs are expanded; all-day events
+        // are skipped.
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const events = [];
+        const warnings = [];
+        let current = null;
+        
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                current = { EXDATE: [] };
+            } else if (line === 'END:VEVENT') {
+                if (current) this.expandIcsEvent(current, events, warnings);
+                current = null;
+            } else if (current) {
+                // Parameter values may be quoted and contain ":", as in ALTREP="http://…"
+                const match = /^([A-Z-]+)(?:;(?:[^:";]|"[^"]*")*)*:(.*)$/.exec(line);
+                if (!match) return;
+                if (match[1] === 'EXDATE') {
+                    current.EXDATE.push(...match[2].split(','));
+                } else {
+                    current[match[1]] = match[2];
+                }
+            }
+        });
+        
+        return { events, warnings };
+    }
+    
+    expandIcsEvent(raw, events, warnings) {
+        const unescape = value => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+        const title = raw.SUMMARY ? unescape(raw.SUMMARY) : '';
+        const start = raw.DTSTART && this.parseIcsDate(raw.DTSTART);
+        if (!start) {
+            warnings.push(`Event "${title}" has no readable start time; skipped`);
+            return;
+        }
+        if (start.allDay) return;
+        
+        let minutes = 0;
+        const end = raw.DTEND && this.parseIcsDate(raw.DTEND);
+        if (end) {
+            minutes = Math.round((end.date - start.date) / 60000);
+        } else if (raw.DURATION) {
+            minutes = this.parseIcsDuration(raw.DURATION);
+        }
+        
+        const excluded = new Set(raw.EXDATE
+            .map(value => this.parseIcsDate(value))
+            .filter(date => date)
+            .map(date => date.date.getTime()));
+        const starts = raw.RRULE ? this.expandRecurrence(start.date, raw.RRULE) : [start.date];
+        
+        starts.filter(date => !excluded.has(date.getTime())).forEach(date => {
+            const startMinutes = date.getHours() * 60 + date.getMinutes();
+            events.push({
+                title: title,
+                location: raw.LOCATION ? unescape(raw.LOCATION) : '',
+                day: this.localDateKey(date),
+                start: startMinutes,
+                end: Math.min(startMinutes + Math.max(minutes, 0), 24 * 60)
+            });
+        });
+    }
+    
+    parseIcsDate(value) {
+        // { date, allDay } for DATE and DATE-TIME values, or null
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+        
+        const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(part => parseInt(part || '0', 10));
+        if (!match[4]) {
+            return { date: new Date(year, month - 1, day), allDay: true };
+        }
+        return {
+            date: match[7]
+                ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+                : new Date(year, month - 1, day, hours, minutes, seconds),
+            allDay: false
+        };
+    }
+    
+    parseIcsDuration(value) {
+        // Minutes in a DURATION such as PT50M or PT1H30M
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+        if (!match) return 0;
+        const [weeks, days, hours, minutes] = match.slice(1, 5).map(part => parseInt(part || '0', 10));
+        return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+    }
+    
+    expandRecurrence(start, rule) {
+        // Start times of a DAILY or WEEKLY rule, at most a year from the first.
+        // Other frequencies keep only the first occurrence.
+        const options = Object.fromEntries(rule.split(';').map(part => part.split('=')));
+        if (!['DAILY', 'WEEKLY'].includes(options.FREQ)) return [start];
+        
+        const interval = parseInt(options.INTERVAL, 10) || 1;
+        const count = parseInt(options.COUNT, 10) || Infinity;
+        const days = options.BYDAY
+            ? options.BYDAY.split(',').map(day => ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(day.slice(-2)))
+            : [start.getDay()];
+        
+        let last = new Date(start);
+        last.setFullYear(last.getFullYear() + 1);
+        const until = options.UNTIL && this.parseIcsDate(options.UNTIL);
+        if (until) {
+            // A date-only UNTIL includes that whole day
+            const end = until.allDay ? new Date(until.date.getTime() + 86400000 - 1) : until.date;
+            if (end < last) last = end;
+        }
+        
+        // Weeks start on Monday, as in RFC 5545
+        const dayNumber = date => Math.round(new Date(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+        const weekOffset = (start.getDay() + 6) % 7;
+        const occurrences = [];
+        for (const date = new Date(start); date <= last && occurrences.length < count; date.setDate(date.getDate() + 1)) {
+            const offset = dayNumber(date) - dayNumber(start);
+            const due = options.FREQ === 'DAILY'
+                ? offset % interval === 0
+                : Math.floor((offset + weekOffset) / 7) % interval === 0 && days.includes(date.getDay());
+            if (due) occurrences.push(new Date(date));
+        }
+        return occurrences;
+    }
+    
+    parseTimetableCsv(text) {
+        // Rows of day, start, end, title and location. The day is a date
+        // (YYYY-MM-DD) or a weekday name; a header row may name the columns
+        // in any order.
+        const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+        const columns = {
+            day: ['day', 'date', 'weekday'],
+            start: ['start', 'from', 'begins', 'time'],
+            end: ['end', 'to', 'until', 'ends'],
+            title: ['title', 'course', 'subject', 'class', 'event', 'name'],
+            location: ['location', 'room', 'venue', 'place', 'where']
+        };
+        
+        let order = ['day', 'start', 'end', 'title', 'location'];
+        const header = rows.length > 0 ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+        if (header.some(cell => columns.start.includes(cell))) {
+            order = header.map(cell => Object.keys(columns).find(key => columns[key].includes(cell)) || null);
+            rows.shift();
+        }
+        
+        const events = [];
+        const warnings = [];
+        rows.forEach((row, index) => {
+            const fields = {};
+            order.forEach((key, column) => {
+                if (key) fields[key] = (row[column] || '').trim();
+            });
+            
+            const day = this.parseTimetableDay(fields.day || '');
+            const start = this.parseClockTime(fields.start || '');
+            const end = this.parseClockTime(fields.end || '');
+            if (!day || start === null || end === null || end < start) {
+                warnings.push(`Row ${index + 1} needs a day and a start and end time; skipped`);
+                return;
+            }
+            events.push({ title: fields.title || '', location: fields.location || '', day: day, start: start, end: end });
+        });
+        
+        return { events, warnings };
+    }
+    
+    parseCsvRows(text) {
+        // Comma-separated rows with optional "quoted, fields" and "" escapes
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+    
+    parseTimetableDay(text) {
+        // YYYY-MM-DD for dates, or a weekday code ('Mo' ... 'Su')
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+        const code = text.slice(0, 2).toLowerCase();
+        return this.weekdays.find(day => day.toLowerCase() === code) || null;
+    }
+    
+    parseClockTime(text) {
+        // Minutes after midnight for "14:30", "9.15", "9am" or "2:30 pm", or null
+        const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?$/i.exec(text.trim());
+        if (!match || (!match[2] && !match[3])) return null;
+        
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        if (match[3]) {
+            if (hours < 1 || hours > 12) return null;
+            hours = hours % 12 + (match[3][0].toLowerCase() === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+    
+    localDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+    
+    matchLocation(text) {
+        // Node id for a free-text location such as "Library" or "AB1 Room 101,
+        // 1st floor": an exact name, translated name, alias or id first, else
+        // the longest of them found in the text as whole words
+        const normalize = value => value.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+        const wanted = ` ${normalize(text)} `;
+        if (!wanted.trim()) return null;
+        
+        let best = null;
+        this.graph.nodes.forEach(node => {
+            if (this.getCategory(node) === 'junction') return;
+            
+            const labels = [node.id, node.name, ...Object.values(node.names || {}), ...(node.aliases || [])];
+            labels.map(normalize).filter(label => label).forEach(label => {
+                const score = wanted === ` ${label} ` ? Infinity : (wanted.includes(` ${label} `) ? label.length : 0);
+                if (score > 0 && (!best || score > best.score)) {
+                    best = { id: node.id, score: score };
+                }
+            });
+        });
+        return best ? best.id : null;
+    }
+    
+    timetableDays(events) {
+        // Distinct days in order: dates first, then weekdays Monday to Sunday
+        const days = [...new Set(events.map(event => event.day))];
+        const rank = day => this.weekdays.includes(day) ? `~${this.weekdays.indexOf(day)}` : day;
+        return days.sort((a, b) => rank(a).localeCompare(rank(b)));
+    }
+    
+    timetableDate(day, minutes) {
+        // Date of a timetable day at minutes after midnight. A weekday means
+        // its next occurrence on or after the departure time's date.
+        let date;
+        if (this.weekdays.includes(day)) {
+            const now = this.getDepartureTime();
+            date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            const today = (date.getDay() + 6) % 7;
+            date.setDate(date.getDate() + (this.weekdays.indexOf(day) - today + 7) % 7);
+        } else {
+            const [year, month, dayOfMonth] = day.split('-').map(Number);
+            date = new Date(year, month - 1, dayOfMonth);
+        }
+        date.setMinutes(minutes);
+        return date;
+    }
+    
+    planTimetableDay(events) {
+        // The walk between each pair of consecutive classes on one day.
+        // Events need a nodeId (see matchLocation). Routes respect opening
+        // hours and closures at the end of the earlier class, and a gap is
+        // late when the walk takes longer than the break.
+        const sorted = [...events].sort((a, b) => a.start - b.start || a.end - b.end);
+        const savedTime = this.departureTime;
+        
+        try {
+            return sorted.slice(1).map((to, i) => {
+                const from = sorted[i];
+                const gap = { from: from, to: to, breakMinutes: to.start - from.end, route: null, seconds: null, late: false, problem: null };
+                
+                if (!from.nodeId || !to.nodeId) {
+                    gap.problem = 'unmatched';
+                } else if (from.nodeId === to.nodeId) {
+                    gap.seconds = 0;
+                } else {
+                    this.departureTime = this.timetableDate(from.day, from.end);
+                    gap.route = this.findPath(from.nodeId, to.nodeId);
+                    if (gap.route) {
+                        gap.seconds = this.estimateWalkingTime(gap.route.distance);
+                        gap.late = gap.seconds > gap.breakMinutes * 60;
+                    } else {
+                        gap.problem = 'noRoute';
+                    }
+                }
+                return gap;
+            });
+        } finally {
+            this.departureTime = savedTime;
+        }
+    }
+    
+    generateSteps(path) {
+        // Turn-by-turn instructions from the bearing change at each junction.
+        // Straight continuations are merged into the preceding step.
+        const steps = [];
+        let previousBearing = null;
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const from = this.getNode(path[i]);
+            const to = this.getNode(path[i + 1]);
+            const edge = this.findEdge(from.id, to.id);
+            const distance = edge ? edge.dist : 0;
+            const bearing = this.calculateBearing(from, to);
+            const last = steps[steps.length - 1];
+            
+            // A temporary point right on a node adds no step of its own
+            if (edge && edge.temporary && distance === 0) continue;
+            
+            // The walk between a dropped pin and the path network
+            if (edge && edge.offPath) {
+                const heading = this.compassDirection(bearing);
+                const joining = to.id === `${from.id}:path`;
+                const params = { heading: this.t(`compass.${heading}`), from: this.nodeName(from), to: this.nodeName(to) };
+                steps.push({
+                    from: this.nodeName(from),
+                    to: this.nodeName(to),
+                    at: this.nodeName(from),
+                    distance: distance,
+                    maneuver: 'walk',
+                    heading: heading,
+                    description: this.t(joining ? 'step.walkToPath' : 'step.leavePath', params)
+                });
+                if (bearing !== null) {
+                    previousBearing = bearing;
+                }
+                continue;
+            }
+            
+            // Lifts and stairs become one step per continuous ride or climb
+            const vertical = edge && this.getVerticalType(edge);
+            if (vertical) {
+                if (last && last.maneuver === vertical) {
+                    last.to = this.nodeName(to);
+                    last.distance += distance;
+                    last.floor = to.floor;
+                } else {
+                    steps.push({
+                        from: this.nodeName(from),
+                        to: this.nodeName(to),
+                        at: this.nodeName(from),
+                        distance: distance,
+                        maneuver: vertical,
+                        fromFloor: from.floor,
+                        floor: to.floor
+                    });
+                }
+                const step = steps[steps.length - 1];
+                step.description = this.describeFloorChange(vertical, step.fromFloor, step.floor);
+                previousBearing = null;
+                continue;
+            }
+            
+            const maneuver = previousBearing === null
+                ? 'depart'
+                : this.classifyTurn(this.turnAngle(previousBearing, bearing));
+            if (bearing !== null) {
+                previousBearing = bearing;
+            }
+            
+            const toName = this.describeTowards(from, to);
+            if (maneuver === 'straight' && last) {
+                last.to = toName;
+                last.distance += distance;
+                last.description = this.describeManeuver(last.maneuver, last.at, last.to, last.heading);
+                continue;
+            }
+            
+            const heading = this.compassDirection(bearing);
+            steps.push({
+                from: this.nodeName(from),
+                to: toName,
+                at: this.nodeName(from),
+                distance: distance,
+                maneuver: maneuver,
+                heading: heading,
+                description: this.describeManeuver(maneuver, this.nodeName(from), toName, heading)
+            });
+        }
+        return steps;
+    }
+    
+    describeTowards(from, to) {
+        // Where a pin meets the path is described by the end of the path it lies towards
+        if (!to.split) return this.nodeName(to);
+        
+        const { a, b, t } = to.split;
+        let fromT = null;
+        if (from.id === a) fromT = 0;
+        else if (from.id === b) fromT = 1;
+        else if (from.split && from.split.a === a && from.split.b === b) fromT = from.split.t;
+        
+        return this.nodeName(fromT === null ? to : this.getNode(t > fromT ? b : a));
+    }
+    
+    calculateBearing(from, to) {
+        // Initial great-circle bearing in degrees clockwise from north
+        if (from.lat === to.lat && from.lng === to.lng) return null;
+        
+        const toRad = deg => deg * Math.PI / 180;
+        const dLng = toRad(to.lng - from.lng);
+        const y = Math.sin(dLng) * Math.cos(toRad(to.lat));
+        const x = Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
+            Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(dLng);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+    
+    turnAngle(fromBearing, toBearing) {
+        // Signed change of direction in (-180, 180]; positive turns right
+        if (fromBearing === null || toBearing === null) return 0;
+        let angle = (toBearing - fromBearing) % 360;
+        if (angle > 180) angle -= 360;
+        if (angle <= -180) angle += 360;
+        return angle;
+    }
+    
+    classifyTurn(angle) {
+        const side = angle > 0 ? 'right' : 'left';
+        const magnitude = Math.abs(angle);
+        
+        if (magnitude < 20) return 'straight';
+        if (magnitude < 60) return `slight_${side}`;
+        if (magnitude < 135) return side;
+        if (magnitude < 170) return `sharp_${side}`;
+        return 'uturn';
+    }
+    
+    compassDirection(bearing) {
+        if (bearing === null) return null;
+        const directions = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+        return directions[Math.round(bearing / 45) % 8];
+    }
+    
+    describeManeuver(maneuver, at, to, heading) {
+        // Maneuvers are slight_left, sharp_right, uturn etc.; see classifyTurn
+        if (maneuver === 'depart' && !heading) {
+            return this.t('step.departTowards', { to });
+        }
+        return this.t(`step.${maneuver}`, { at, to, heading: heading && this.t(`compass.${heading}`) });
+    }
+    
+    describeFloorChange(type, fromFloor, toFloor) {
+        if (type === 'lift') {
+            return this.t('step.lift', { floor: this.floorLabel(toFloor) });
+        }
+        return this.t(toFloor > fromFloor ? 'step.stairsUp' : 'step.stairsDown', { floor: this.floorLabel(toFloor) });
+    }
+    
+    estimateWalkingTime(distance) {
+        // Seconds at the configured walking speed (metres per second)
+        return distance / this.walkingSpeed;
+    }
+    
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 1) return this.t('duration.underMinute');
+        if (minutes < 60) return this.t('duration.minutes', { minutes });
+        return this.t('duration.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    }
+    
+    validateGraph(data) {
+        // Checks a graph before it replaces this.graph. Returns a sanitized
+        // copy along with lists of blocking errors and non-blocking warnings.
+        const errors = [];
+        const warnings = [];
+        const graph = { nodes: [], edges: [], metadata: {} };
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push('File does not contain a graph object');
+            return { graph, errors, warnings };
+        }
+        if (!Array.isArray(data.nodes)) errors.push('"nodes" must be an array');
+        if (!Array.isArray(data.edges)) errors.push('"edges" must be an array');
+        if (errors.length > 0) return { graph, errors, warnings };
+        
+        if (data.metadata && typeof data.metadata === 'object') {
+            graph.metadata = data.metadata;
+            
+            if (data.metadata.georeference !== undefined && !this.isValidGeoreference(data.metadata.georeference)) {
+                warnings.push('metadata.georeference is not a valid affine transform; ignored');
+                graph.metadata = { ...data.metadata };
+                delete graph.metadata.georeference;
+            }
+            if (data.metadata.changeLog !== undefined && !Array.isArray(data.metadata.changeLog)) {
+                warnings.push('metadata.changeLog must be an array; ignored');
+                graph.metadata = { ...graph.metadata };
+                delete graph.metadata.changeLog;
+            }
+        }
+        
+        const toNumber = value => {
+            if (typeof value === 'number') return value;
+            if (typeof value === 'string' && value.trim() !== '') return Number(value);
+            return NaN;
+        };
+        
+        // Nodes
+        const ids = new Set();
+        data.nodes.forEach((node, index) => {
+            const label = `Node #${index + 1}`;
+            if (!node || typeof node !== 'object') {
+                errors.push(`${label} is not an object`);
+                return;
+            }
+            
+            const id = typeof node.id === 'number' ? String(node.id) : node.id;
+            if (typeof id !== 'string' || !id.trim()) {
+                errors.push(`${label} has no id`);
+                return;
+            }
+            if (ids.has(id)) {
+                errors.push(`Duplicate node id "${id}"`);
+                return;
+            }
+            ids.add(id);
+            if (this.isTemporaryNode(id)) {
+                // "@" marks points added at run time, such as @me and @pin1
+                errors.push(`Node id "${id}" must not start with "@"`);
+                return;
+            }
+            
+            let name = typeof node.name === 'string' ? node.name.trim() : '';
+            if (!name) {
+                warnings.push(`Node "${id}" has no name; using its id`);
+                name = id;
+            }
+            if (/[<>]/.test(name)) {
+                warnings.push(`Node "${id}" name contains markup; it will be shown as plain text`);
+            }
+            
+            const lat = toNumber(node.lat);
+            const lng = toNumber(node.lng);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+                errors.push(`Node "${id}" is missing valid lat/lng coordinates`);
+                return;
+            }
+            if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                errors.push(`Node "${id}" has out-of-range coordinates (${lat}, ${lng})`);
+                return;
+            }
+            if (typeof node.lat !== 'number' || typeof node.lng !== 'number') {
+                warnings.push(`Node "${id}" coordinates were given as text; converted to numbers`);
+            }
+            
+            const cleanNode = { ...node, id: id, name: name, lat: lat, lng: lng };
+            if (node.floor !== undefined && !Number.isInteger(node.floor)) {
+                warnings.push(`Node "${id}" floor must be a whole number; treated as outdoor`);
+                delete cleanNode.floor;
+            }
+            
+            if (node.category !== undefined && !this.categories[node.category]) {
+                warnings.push(`Node "${id}" has unknown category "${node.category}"; shown as Other`);
+            }
+            
+            if (node.names !== undefined) {
+                const valid = node.names && typeof node.names === 'object' && !Array.isArray(node.names) &&
+                    Object.values(node.names).every(value => typeof value === 'string' && value.trim());
+                if (!valid) {
+                    warnings.push(`Node "${id}" names must map language codes to text; ignored`);
+                    delete cleanNode.names;
+                }
+            }
+            
+            ['aliases', 'tags'].forEach(field => {
+                if (node[field] === undefined) return;
+                if (Array.isArray(node[field]) && node[field].every(value => typeof value === 'string')) {
+                    cleanNode[field] = node[field].map(value => value.trim()).filter(value => value);
+                } else {
+                    warnings.push(`Node "${id}" ${field} must be a list of text values; ignored`);
+                    delete cleanNode[field];
+                }
+            });
+            
+            if (node.hours !== undefined && !this.parseOpeningHours(node.hours)) {
+                warnings.push(`Node "${id}" opening hours "${node.hours}" could not be read; treated as always open`);
+                delete cleanNode.hours;
+            }
+            
+            graph.nodes.push(cleanNode);
+        });
+        
+        // Edges
+        const seenEdges = new Set();
+        data.edges.forEach((edge, index) => {
+            const label = `Edge #${index + 1}`;
+            if (!edge || typeof edge !== 'object') {
+                errors.push(`${label} is not an object`);
+                return;
+            }
+            
+            const a = typeof edge.a === 'number' ? String(edge.a) : edge.a;
+            const b = typeof edge.b === 'number' ? String(edge.b) : edge.b;
+            const missing = [a, b].filter(id => !ids.has(id));
+            if (missing.length > 0) {
+                errors.push(`${label} (${a} → ${b}) references unknown node ${missing.map(id => `"${id}"`).join(' and ')}`);
+                return;
+            }
+            if (a === b) {
+                warnings.push(`${label} connects "${a}" to itself; dropped`);
+                return;
+            }
+            
+            const dist = toNumber(edge.dist);
+            if (!Number.isFinite(dist)) {
+                errors.push(`${label} (${a} → ${b}) has a non-numeric distance`);
+                return;
+            }
+            if (dist < 0) {
+                errors.push(`${label} (${a} → ${b}) has a negative distance (${dist})`);
+                return;
+            }
+            if (dist === 0) {
+                warnings.push(`${label} (${a} → ${b}) has zero distance`);
+            }
+            
+            // Optional accessibility attributes
+            const attributes = {};
+            ['stairs', 'wheelchair', 'covered', 'lit'].forEach(attr => {
+                if (edge[attr] === undefined) return;
+                if (typeof edge[attr] === 'boolean') {
+                    attributes[attr] = edge[attr];
+                } else {
+                    warnings.push(`${label} (${a} → ${b}) "${attr}" must be true or false; ignored`);
+                    attributes[attr] = undefined;
+                }
+            });
+            if (edge.vertical !== undefined) {
+                if (['lift', 'stairs'].includes(edge.vertical)) {
+                    attributes.vertical = edge.vertical;
+                } else {
+                    warnings.push(`${label} (${a} → ${b}) "vertical" must be "lift" or "stairs"; ignored`);
+                    attributes.vertical = undefined;
+                }
+            }
+            if (edge.hours !== undefined && !this.parseOpeningHours(edge.hours)) {
+                warnings.push(`${label} (${a} → ${b}) opening hours "${edge.hours}" could not be read; treated as always open`);
+                attributes.hours = undefined;
+            }
+            if (edge.surface !== undefined) {
+                if (typeof edge.surface === 'string' && edge.surface.trim()) {
+                    attributes.surface = edge.surface.trim().toLowerCase();
+                } else {
+                    warnings.push(`${label} (${a} → ${b}) "surface" must be a text value; ignored`);
+                    attributes.surface = undefined;
+                }
+            }
+            
+            const key = [a, b].sort().join('|');
+            if (seenEdges.has(key)) {
+                warnings.push(`Duplicate edge between "${a}" and "${b}"; dropped`);
+                return;
+            }
+            seenEdges.add(key);
+            
+            const cleanEdge = { ...edge, ...attributes, a: a, b: b, dist: dist };
+            Object.keys(attributes).forEach(attr => {
+                if (attributes[attr] === undefined) delete cleanEdge[attr];
+            });
+            graph.edges.push(cleanEdge);
+        });
+        
+        if (graph.nodes.length === 0) {
+            errors.push('Graph has no nodes');
+        }
+        
+        // Temporary closures of a node or an edge
+        if (data.closures !== undefined) {
+            if (!Array.isArray(data.closures)) {
+                warnings.push('"closures" must be an array; ignored');
+            } else {
+                graph.closures = data.closures.filter((closure, index) => {
+                    const label = `Closure #${index + 1}`;
+                    const valid = closure && typeof closure === 'object';
+                    const target = valid && (closure.node !== undefined
+                        ? ids.has(closure.node)
+                        : seenEdges.has([closure.a, closure.b].sort().join('|')));
+                    
+                    if (!target) {
+                        warnings.push(`${label} does not refer to an existing node or edge; dropped`);
+                        return false;
+                    }
+                    if (!(new Date(closure.end) > new Date(closure.start))) {
+                        warnings.push(`${label} must have a start time before its end time; dropped`);
+                        return false;
+                    }
+                    return true;
+                });
+            }
+        }
+        
+        // Indoor nodes should point at the outdoor node of their building
+        graph.nodes.forEach(node => {
+            if (node.building !== undefined && !ids.has(node.building)) {
+                warnings.push(`Node "${node.id}" belongs to unknown building "${node.building}"`);
+            }
+        });
+        
+        // Connectivity: everything outside the largest component is unreachable
+        const components = this.findComponents(graph);
+        if (components.length > 1) {
+            const nameOf = id => graph.nodes.find(n => n.id === id).name;
+            warnings.push(`Graph has ${components.length} disconnected components`);
+            components.slice(1).forEach(component => {
+                warnings.push(`Unreachable from the main network: ${component.map(nameOf).join(', ')}`);
+            });
+        }
+        
+        return { graph, errors, warnings };
+    }
+    
+    isValidGeoreference(georeference) {
+        return Boolean(georeference) &&
+            georeference.type === 'affine' &&
+            Array.isArray(georeference.imageSize) &&
+            georeference.imageSize.length === 2 &&
+            georeference.imageSize.every(size => Number.isFinite(size) && size > 0) &&
+            Array.isArray(georeference.transform) &&
+            georeference.transform.length === 6 &&
+            georeference.transform.every(Number.isFinite);
+    }
+    
+    findComponents(graph) {
+        // Connected components, largest first
+        const adjacency = {};
+        graph.nodes.forEach(node => {
+            adjacency[node.id] = [];
+        });
+        graph.edges.forEach(edge => {
+            if (adjacency[edge.a] && adjacency[edge.b]) {
+                adjacency[edge.a].push(edge.b);
+                adjacency[edge.b].push(edge.a);
+            }
+        });
+        
+        const visited = new Set();
+        const components = [];
+        graph.nodes.forEach(node => {
+            if (visited.has(node.id)) return;
+            
+            const component = [];
+            const stack = [node.id];
+            visited.add(node.id);
+            while (stack.length > 0) {
+                const current = stack.pop();
+                component.push(current);
+                adjacency[current].forEach(next => {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        stack.push(next);
+                    }
+                });
+            }
+            components.push(component);
+        });
+        
+        return components.sort((x, y) => y.length - x.length);
+    }
+    
+    diffGraphs(current, incoming) {
+        // Changes that would turn current into incoming: nodes by id, edges by
+        // their pair of ends, closures by id (or target and start time) and
+        // metadata as a whole. Each change has a unique key such as
+        // "node:library" or "edge:cafeteria|library".
+        const changes = [];
+        const sameValue = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+        const changedFields = (before, after, ignore = []) =>
+            [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(field => !ignore.includes(field) && !sameValue(before[field], after[field]));
+        
+        const compare = (kind, beforeItems, afterItems, keyOf, ignore) => {
+            const before = new Map(beforeItems.map(item => [keyOf(item), item]));
+            const after = new Map(afterItems.map(item => [keyOf(item), item]));
+            after.forEach((item, id) => {
+                if (!before.has(id)) {
+                    changes.push({ key: `${kind}:${id}`, kind: kind, type: 'added', id: id, after: item });
+                    return;
+                }
+                const fields = changedFields(before.get(id), item, ignore);
+                if (fields.length > 0) {
+                    changes.push({ key: `${kind}:${id}`, kind: kind, type: 'changed', id: id, before: before.get(id), after: item, fields: fields });
+                }
+            });
+            before.forEach((item, id) => {
+                if (!after.has(id)) {
+                    changes.push({ key: `${kind}:${id}`, kind: kind, type: 'removed', id: id, before: item });
+                }
+            });
+        };
+        
+        compare('node', current.nodes, incoming.nodes, node => node.id);
+        compare('edge', current.edges, incoming.edges, edge => this.edgeKey(edge.a, edge.b), ['a', 'b']);
+        compare('closure', current.closures || [], incoming.closures || [], closure =>
+            closure.id || `${closure.node !== undefined ? closure.node : this.edgeKey(closure.a, closure.b)}@${closure.start}`);
+        
+        // How far moved nodes went, for the review list and map
+        changes.forEach(change => {
+            if (change.kind === 'node' && change.type === 'changed' &&
+                (change.fields.includes('lat') || change.fields.includes('lng'))) {
+                change.moved = Math.round(this.haversineDistance(change.before, change.after));
+            }
+        });
+        
+        // The change log and its timestamp are merged, never compared
+        const fields = changedFields(current.metadata || {}, incoming.metadata || {}, ['lastUpdated', 'changeLog']);
+        if (fields.length > 0) {
+            changes.push({ key: 'metadata', kind: 'metadata', type: 'changed', id: 'metadata', before: current.metadata || {}, after: incoming.metadata || {}, fields: fields });
+        }
+        
+        return changes;
+    }
+    
+    mergeGraphs(current, incoming, changes) {
+        // A copy of current with the given changes from diffGraphs(current,
+        // incoming) applied. Edges and closures left without their nodes are
+        // dropped, and the change logs of both graphs are combined.
+        const graph = JSON.parse(JSON.stringify(current));
+        const copy = item => JSON.parse(JSON.stringify(item));
+        const lists = {
+            node: { items: graph.nodes, keyOf: node => node.id },
+            edge: { items: graph.edges, keyOf: edge => this.edgeKey(edge.a, edge.b) },
+            closure: {
+                items: graph.closures || (graph.closures = []),
+                keyOf: closure => closure.id || `${closure.node !== undefined ? closure.node : this.edgeKey(closure.a, closure.b)}@${closure.start}`
+            }
+        };
+        
+        changes.forEach(change => {
+            if (change.kind === 'metadata') {
+                graph.metadata = { ...copy(change.after), lastUpdated: graph.metadata?.lastUpdated, changeLog: graph.metadata?.changeLog };
+                return;
+            }
+            
+            const list = lists[change.kind];
+            const index = list.items.findIndex(item => list.keyOf(item) === change.id);
+            if (change.type === 'added' && index === -1) {
+                list.items.push(copy(change.after));
+            } else if (change.type === 'changed' && index !== -1) {
+                list.items[index] = copy(change.after);
+            } else if (change.type === 'removed' && index !== -1) {
+                list.items.splice(index, 1);
+            }
+        });
+        
+        const ids = new Set(graph.nodes.map(node => node.id));
+        graph.edges = graph.edges.filter(edge => ids.has(edge.a) && ids.has(edge.b));
+        const edgeKeys = new Set(graph.edges.map(edge => this.edgeKey(edge.a, edge.b)));
+        graph.closures = graph.closures.filter(closure => closure.node !== undefined
+            ? ids.has(closure.node)
+            : edgeKeys.has(this.edgeKey(closure.a, closure.b)));
+        if (graph.closures.length === 0 && !current.closures) delete graph.closures;
+        
+        // Keep every entry from both copies, oldest first
+        const entries = [...(current.metadata?.changeLog || []), ...(incoming.metadata?.changeLog || [])];
+        const changeLog = [...new Map(entries.map(entry => [JSON.stringify(entry), entry])).values()]
+            .sort((x, y) => String(x.date).localeCompare(String(y.date)));
+        graph.metadata = { ...(graph.metadata || {}) };
+        if (changeLog.length > 0) {
+            graph.metadata.changeLog = changeLog.slice(-this.maxChangeLog);
+        } else {
+            delete graph.metadata.changeLog;
+        }
+        if (graph.metadata.lastUpdated === undefined) delete graph.metadata.lastUpdated;
+        
+        return graph;
+    }
+    
+    summarizeChanges(changes) {
+        // e.g. "2 nodes added, 1 node moved, 3 edges removed"
+        const counts = new Map();
+        changes.forEach(change => {
+            const verb = change.moved ? 'moved' : change.type;
+            const key = change.kind === 'metadata' ? 'metadata changed' : `${change.kind}|${verb}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return [...counts].map(([key, count]) => {
+            if (key === 'metadata changed') return key;
+            const [kind, verb] = key.split('|');
+            return `${count} ${kind}${count === 1 ? '' : 's'} ${verb}`;
+        }).join(', ');
+    }
+    
+    recordChange(graph, summary, author, time = new Date()) {
+        // Stamps metadata.lastUpdated and appends to metadata.changeLog
+        graph.metadata = graph.metadata || {};
+        graph.metadata.lastUpdated = time.toISOString();
+        const changeLog = Array.isArray(graph.metadata.changeLog) ? graph.metadata.changeLog : [];
+        graph.metadata.changeLog = [...changeLog, { date: graph.metadata.lastUpdated, author: author, summary: summary }]
+            .slice(-this.maxChangeLog);
+    }
+    
+    changesSinceBaseline() {
+        return this.baselineGraph ? this.diffGraphs(this.baselineGraph, this.graph) : [];
+    }
+    
+    recordBaselineChanges(changes, author, time = new Date()) {
+        // Logs changes from changesSinceBaseline() and starts counting afresh
+        this.recordChange(this.graph, this.summarizeChanges(changes), author, time);
+        this.baselineGraph = JSON.parse(JSON.stringify(this.graph));
+    }
+    
+    commitImport(merged, name, incoming, accepted, author, time = new Date()) {
+        // Takes a validated mergeGraphs(this.graph, incoming, accepted) result
+        // and logs the import. The baseline gets the same changes, so the next
+        // export only logs local edits.
+        this.graph = merged;
+        this.recordChange(this.graph, `Imported ${name}: ${this.summarizeChanges(accepted)}`, author, time);
+        if (this.baselineGraph) {
+            this.baselineGraph = this.mergeGraphs(this.baselineGraph, incoming, accepted);
+        }
+    }
+    
+    historyState() {
+        // What undo restores: the graph and the baseline its change log follows
+        return { graph: this.graph, baselineGraph: this.baselineGraph };
+    }
+    
+    restoreHistoryState(state) {
+        this.graph = state.graph;
+        this.baselineGraph = state.baselineGraph;
+    }
+    
+    getDefaultGraphData() {
+        // Built-in copy of data/distances.json for when it cannot be fetched,
+        // e.g. index.html opened from disk. The tests keep the two identical.
+        return {
+            "nodes": [
+                {"id":"main_gate","name":"Main Gate","names":{"kn":"ಮುಖ್ಯ ದ್ವಾರ","hi":"मुख्य द्वार"},"lat":13.1950,"lng":77.7060,"category":"gate","aliases":["Front Gate","Entrance"],"hours":"05:00-23:00"},
+                {"id":"entrance_junction","name":"Entrance Junction","names":{"kn":"ಪ್ರವೇಶ ಜಂಕ್ಷನ್","hi":"प्रवेश चौराहा"},"lat":13.1955,"lng":77.7065,"category":"junction"},
+                {"id":"admin_block1","name":"Admin Block 1","names":{"kn":"ಆಡಳಿತ ಕಟ್ಟಡ 1","hi":"प्रशासनिक भवन 1"},"lat":13.1960,"lng":77.7070,"category":"admin","aliases":["Administration","Admissions Office"]},
+                {"id":"hostel1","name":"Hostel 1","names":{"kn":"ವಸತಿ ನಿಲಯ 1","hi":"छात्रावास 1"},"lat":13.1965,"lng":77.7075,"category":"hostel","aliases":["Dorm 1","Residence 1"]},
+                {"id":"academic_block1","name":"Academic Block 1","names":{"kn":"ಶೈಕ್ಷಣಿಕ ಕಟ್ಟಡ 1","hi":"शैक्षणिक भवन 1"},"lat":13.1970,"lng":77.7070,"category":"academic","aliases":["Exam Hall 1"]},
+                {"id":"academic_block2","name":"Academic Block 2","names":{"kn":"ಶೈಕ್ಷಣಿಕ ಕಟ್ಟಡ 2","hi":"शैक्षणिक भवन 2"},"lat":13.1970,"lng":77.7065,"category":"academic","aliases":["Exam Hall 2"]},
+                {"id":"library","name":"Library","names":{"kn":"ಗ್ರಂಥಾಲಯ","hi":"पुस्तकालय"},"lat":13.1970,"lng":77.7060,"category":"academic","aliases":["Reading Room"]},
+                {"id":"cafeteria","name":"Cafeteria","names":{"kn":"ಉಪಾಹಾರ ಗೃಹ","hi":"कैंटीन"},"lat":13.1965,"lng":77.7055,"category":"food","aliases":["Canteen","Food Court","Mess"]},
+                {"id":"sports_complex","name":"Sports Complex","names":{"kn":"ಕ್ರೀಡಾ ಸಂಕೀರ್ಣ","hi":"खेल परिसर"},"lat":13.1975,"lng":77.7067,"category":"sports","aliases":["Gym","Playground"]},
+                {"id":"auditorium","name":"Auditorium","names":{"kn":"ಸಭಾಂಗಣ","hi":"सभागार"},"lat":13.1962,"lng":77.7062,"category":"academic","aliases":["Convocation Hall"]},
+                {"id":"parking_area","name":"Parking Area","names":{"kn":"ವಾಹನ ನಿಲುಗಡೆ ಸ್ಥಳ","hi":"पार्किंग स्थल"},"lat":13.1952,"lng":77.7062,"category":"parking","aliases":["Car Park"]},
+                {"id":"north_junction","name":"North Junction","names":{"kn":"ಉತ್ತರ ಜಂಕ್ಷನ್","hi":"उत्तरी चौराहा"},"lat":13.1972,"lng":77.7067,"category":"junction"},
+                {"id":"east_junction","name":"East Junction","names":{"kn":"ಪೂರ್ವ ಜಂಕ್ಷನ್","hi":"पूर्वी चौराहा"},"lat":13.1967,"lng":77.7072,"category":"junction"},
+                {"id":"south_junction","name":"South Junction","names":{"kn":"ದಕ್ಷಿಣ ಜಂಕ್ಷನ್","hi":"दक्षिणी चौराहा"},"lat":13.1962,"lng":77.7067,"category":"junction"},
+                {"id":"west_junction","name":"West Junction","names":{"kn":"ಪಶ್ಚಿಮ ಜಂಕ್ಷನ್","hi":"पश्चिमी चौराहा"},"lat":13.1967,"lng":77.7062,"category":"junction"},
+                {"id":"center_junction","name":"Center Junction","names":{"kn":"ಕೇಂದ್ರ ಜಂಕ್ಷನ್","hi":"केंद्रीय चौराहा"},"lat":13.1967,"lng":77.7067,"category":"junction"},
+                
+                {"id":"ab1_lobby","name":"AB1 Lobby","lat":13.19708,"lng":77.707,"category":"room","building":"academic_block1","floor":0},
+                {"id":"ab1_lift_f0","name":"AB1 Lift (Ground)","lat":13.19712,"lng":77.70708,"category":"lift","building":"academic_block1","floor":0},
+                {"id":"ab1_stairs_f0","name":"AB1 Stairs (Ground)","lat":13.19712,"lng":77.70692,"category":"stairwell","building":"academic_block1","floor":0},
+                {"id":"ab1_corridor_f1","name":"AB1 Corridor (Floor 1)","lat":13.19708,"lng":77.707,"category":"junction","building":"academic_block1","floor":1},
+                {"id":"ab1_lift_f1","name":"AB1 Lift (Floor 1)","lat":13.19712,"lng":77.70708,"category":"lift","building":"academic_block1","floor":1},
+                {"id":"ab1_stairs_f1","name":"AB1 Stairs (Floor 1)","lat":13.19712,"lng":77.70692,"category":"stairwell","building":"academic_block1","floor":1},
+                {"id":"ab1_room_101","name":"AB1 Room 101","lat":13.19716,"lng":77.707,"category":"room","building":"academic_block1","floor":1,"aliases":["Room 101"]},
+                {"id":"ab1_corridor_f2","name":"AB1 Corridor (Floor 2)","lat":13.19708,"lng":77.707,"category":"junction","building":"academic_block1","floor":2},
+                {"id":"ab1_lift_f2","name":"AB1 Lift (Floor 2)","lat":13.19712,"lng":77.70708,"category":"lift","building":"academic_block1","floor":2},
+                {"id":"ab1_stairs_f2","name":"AB1 Stairs (Floor 2)","lat":13.19712,"lng":77.70692,"category":"stairwell","building":"academic_block1","floor":2},
+                {"id":"ab1_exam_hall_201","name":"AB1 Exam Hall 201","lat":13.19716,"lng":77.707,"category":"room","building":"academic_block1","floor":2,"aliases":["Exam Hall 1-201"]},
+                {"id":"ab1_corridor_f3","name":"AB1 Corridor (Floor 3)","lat":13.19708,"lng":77.707,"category":"junction","building":"academic_block1","floor":3},
+                {"id":"ab1_lift_f3","name":"AB1 Lift (Floor 3)","lat":13.19712,"lng":77.70708,"category":"lift","building":"academic_block1","floor":3},
+                {"id":"ab1_stairs_f3","name":"AB1 Stairs (Floor 3)","lat":13.19712,"lng":77.70692,"category":"stairwell","building":"academic_block1","floor":3},
+                {"id":"ab1_exam_hall_301","name":"AB1 Exam Hall 301","lat":13.19716,"lng":77.707,"category":"room","building":"academic_block1","floor":3,"aliases":["Exam Hall 301"]},
+                {"id":"ab2_lobby","name":"AB2 Lobby","lat":13.19708,"lng":77.7065,"category":"room","building":"academic_block2","floor":0},
+                {"id":"ab2_lift_f0","name":"AB2 Lift (Ground)","lat":13.19712,"lng":77.70658,"category":"lift","building":"academic_block2","floor":0},
+                {"id":"ab2_stairs_f0","name":"AB2 Stairs (Ground)","lat":13.19712,"lng":77.70642,"category":"stairwell","building":"academic_block2","floor":0},
+                {"id":"ab2_corridor_f1","name":"AB2 Corridor (Floor 1)","lat":13.19708,"lng":77.7065,"category":"junction","building":"academic_block2","floor":1},
+                {"id":"ab2_lift_f1","name":"AB2 Lift (Floor 1)","lat":13.19712,"lng":77.70658,"category":"lift","building":"academic_block2","floor":1},
+                {"id":"ab2_stairs_f1","name":"AB2 Stairs (Floor 1)","lat":13.19712,"lng":77.70642,"category":"stairwell","building":"academic_block2","floor":1},
+                {"id":"ab2_exam_hall_101","name":"AB2 Exam Hall 101","lat":13.19716,"lng":77.7065,"category":"room","building":"academic_block2","floor":1,"aliases":["Exam Hall 101"]},
+                {"id":"ab2_corridor_f2","name":"AB2 Corridor (Floor 2)","lat":13.19708,"lng":77.7065,"category":"junction","building":"academic_block2","floor":2},
+                {"id":"ab2_lift_f2","name":"AB2 Lift (Floor 2)","lat":13.19712,"lng":77.70658,"category":"lift","building":"academic_block2","floor":2},
+                {"id":"ab2_stairs_f2","name":"AB2 Stairs (Floor 2)","lat":13.19712,"lng":77.70642,"category":"stairwell","building":"academic_block2","floor":2},
+                {"id":"ab2_exam_hall_201","name":"AB2 Exam Hall 201","lat":13.19716,"lng":77.7065,"category":"room","building":"academic_block2","floor":2,"aliases":["Exam Hall 2-201"]}
+            ],
+            "edges": [
+                {"a":"main_gate","b":"entrance_junction","dist":120},
+                {"a":"entrance_junction","b":"parking_area","dist":80},
+                {"a":"entrance_junction","b":"south_junction","dist":150},
+                {"a":"south_junction","b":"west_junction","dist":180},
+                {"a":"west_junction","b":"north_junction","dist":180},
+                {"a":"north_junction","b":"east_junction","dist":180},
+                {"a":"east_junction","b":"south_junction","dist":180},
+                {"a":"south_junction","b":"center_junction","dist":90},
+                {"a":"west_junction","b":"center_junction","dist":90},
+                {"a":"north_junction","b":"center_junction","dist":90},
+                {"a":"east_junction","b":"center_junction","dist":90},
+                {"a":"south_junction","b":"admin_block1","dist":100},
+                {"a":"south_junction","b":"auditorium","dist":80},
+                {"a":"east_junction","b":"hostel1","dist":120},
+                {"a":"east_junction","b":"academic_block1","dist":100},
+                {"a":"north_junction","b":"academic_block1","dist":80},
+                {"a":"north_junction","b":"academic_block2","dist":100},
+                {"a":"north_junction","b":"sports_complex","dist":150},
+                {"a":"west_junction","b":"library","dist":100},
+                {"a":"west_junction","b":"cafeteria","dist":120},
+                {"a":"admin_block1","b":"auditorium","dist":90},
+                {"a":"hostel1","b":"academic_block1","dist":140},
+                {"a":"academic_block1","b":"academic_block2","dist":80},
+                {"a":"academic_block2","b":"library","dist":80},
+                {"a":"library","b":"cafeteria","dist":120},
+                {"a":"cafeteria","b":"parking_area","dist":160},
+                {"a":"center_junction","b":"auditorium","dist":70},
+                {"a":"sports_complex","b":"academic_block1","dist":120},
+                {"a":"sports_complex","b":"academic_block2","dist":100},
+                
+                {"a":"academic_block1","b":"ab1_lobby","dist":15},
+                {"a":"ab1_lobby","b":"ab1_lift_f0","dist":10},
+                {"a":"ab1_lobby","b":"ab1_stairs_f0","dist":10},
+                {"a":"ab1_corridor_f1","b":"ab1_lift_f1","dist":10},
+                {"a":"ab1_corridor_f1","b":"ab1_stairs_f1","dist":10},
+                {"a":"ab1_lift_f0","b":"ab1_lift_f1","dist":15,"vertical":"lift"},
+                {"a":"ab1_stairs_f0","b":"ab1_stairs_f1","dist":20,"vertical":"stairs","stairs":true},
+                {"a":"ab1_corridor_f1","b":"ab1_room_101","dist":20},
+                {"a":"ab1_corridor_f2","b":"ab1_lift_f2","dist":10},
+                {"a":"ab1_corridor_f2","b":"ab1_stairs_f2","dist":10},
+                {"a":"ab1_lift_f1","b":"ab1_lift_f2","dist":15,"vertical":"lift"},
+                {"a":"ab1_stairs_f1","b":"ab1_stairs_f2","dist":20,"vertical":"stairs","stairs":true},
+                {"a":"ab1_corridor_f2","b":"ab1_exam_hall_201","dist":20},
+                {"a":"ab1_corridor_f3","b":"ab1_lift_f3","dist":10},
+                {"a":"ab1_corridor_f3","b":"ab1_stairs_f3","dist":10},
+                {"a":"ab1_lift_f2","b":"ab1_lift_f3","dist":15,"vertical":"lift"},
+                {"a":"ab1_stairs_f2","b":"ab1_stairs_f3","dist":20,"vertical":"stairs","stairs":true},
+                {"a":"ab1_corridor_f3","b":"ab1_exam_hall_301","dist":20},
+                {"a":"academic_block2","b":"ab2_lobby","dist":15},
+                {"a":"ab2_lobby","b":"ab2_lift_f0","dist":10},
+                {"a":"ab2_lobby","b":"ab2_stairs_f0","dist":10},
+                {"a":"ab2_corridor_f1","b":"ab2_lift_f1","dist":10},
+                {"a":"ab2_corridor_f1","b":"ab2_stairs_f1","dist":10},
+                {"a":"ab2_lift_f0","b":"ab2_lift_f1","dist":15,"vertical":"lift"},
+                {"a":"ab2_stairs_f0","b":"ab2_stairs_f1","dist":20,"vertical":"stairs","stairs":true},
+                {"a":"ab2_corridor_f1","b":"ab2_exam_hall_101","dist":20},
+                {"a":"ab2_corridor_f2","b":"ab2_lift_f2","dist":10},
+                {"a":"ab2_corridor_f2","b":"ab2_stairs_f2","dist":10},
+                {"a":"ab2_lift_f1","b":"ab2_lift_f2","dist":15,"vertical":"lift"},
+                {"a":"ab2_stairs_f1","b":"ab2_stairs_f2","dist":20,"vertical":"stairs","stairs":true},
+                {"a":"ab2_corridor_f2","b":"ab2_exam_hall_201","dist":20}
+            ],
+            "metadata": {
+                "source":"updated-circular-layout",
+                "centerApprox":[13.1967,77.7067],
+                "lastUpdated":"2025-01-27",
+                "description":"Chanakya University campus with circular road design and central junction system",
+                "layout":"circular_road_with_center_hub"
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CampusGraph, MinHeap };
+}
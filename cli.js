@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Command-line access to the campus graph: validation, routes and
+// reachability checks without a browser. Run `node cli.js help` for usage.
+
+const fs = require('fs');
+const path = require('path');
+const { CampusGraph } = require('./campus-graph.js');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'distances.json');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  validate                 Check the graph and list errors and warnings
+  route <from> <to>        Print the route between two node ids
+  unreachable              List nodes that cannot be reached from the main network
+
+Options:
+  --file <path>            Graph file (default: data/distances.json)
+  --json                   Print machine-readable JSON
+  --via <id,id,...>        Stops between start and destination (route)
+  --profile <name>         default, step_free, covered or lit (route)
+  --at <date-time>         Departure time for opening hours and closures (route)
+  --algorithm <name>       dijkstra or astar (route)`;
+
+function parseArgs(argv) {
+    // Positional arguments plus --name value options; --json is a flag
+    const args = { positional: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json' || arg === '--help') {
+            args.options[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            args.options[arg.slice(2)] = argv[++i];
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+function loadGraph(file) {
+    // Returns the CampusGraph and the validation result, whether or not it has errors
+    const campus = new CampusGraph();
+    const text = fs.readFileSync(file, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { campus, result: { graph: null, errors: [`${file} is not valid JSON: ${error.message}`], warnings: [] } };
+    }
+
+    const result = campus.validateGraph(data);
+    campus.graph = result.graph;
+    return { campus, result };
+}
+
+function validate(campus, result, options, out) {
+    if (options.json) {
+        out(JSON.stringify({ valid: result.errors.length === 0, errors: result.errors, warnings: result.warnings }, null, 2));
+    } else {
+        result.errors.forEach(error => out(`error: ${error}`));
+        result.warnings.forEach(warning => out(`warning: ${warning}`));
+        if (result.errors.length === 0) {
+            out(`OK: ${result.graph.nodes.length} nodes, ${result.graph.edges.length} edges, ${result.warnings.length} warning(s)`);
+        }
+    }
+    return result.errors.length === 0 ? 0 : 1;
+}
+
+function route(campus, positional, options, out, err) {
+    const [from, to] = positional;
+    if (!from || !to) {
+        err('route needs a start and a destination id');
+        return 2;
+    }
+
+    const stops = [from, ...(options.via ? options.via.split(',').filter(id => id) : []), to];
+    const unknown = stops.filter(id => !campus.getNode(id));
+    if (unknown.length > 0) {
+        err(`Unknown node id(s): ${unknown.join(', ')}`);
+        return 2;
+    }
+
+    if (options.profile) {
+        if (!campus.routingProfiles[options.profile]) {
+            err(`Unknown profile "${options.profile}"; use one of ${Object.keys(campus.routingProfiles).join(', ')}`);
+            return 2;
+        }
+        campus.routingProfile = options.profile;
+    }
+    if (options.at) {
+        const time = new Date(options.at);
+        if (Number.isNaN(time.getTime())) {
+            err(`Cannot read departure time "${options.at}"`);
+            return 2;
+        }
+        campus.departureTime = time;
+    }
+    if (options.algorithm) {
+        if (!['dijkstra', 'astar'].includes(options.algorithm)) {
+            err(`Unknown algorithm "${options.algorithm}"; use dijkstra or astar`);
+            return 2;
+        }
+        campus.routingAlgorithm = options.algorithm;
+    }
+
+    const result = stops.length > 2 ? campus.planRoute(stops) : campus.findPath(from, to);
+    if (!result) {
+        // Same explanation as the route panel, for the first leg that fails
+        const failed = stops.findIndex((id, i) => i < stops.length - 1 && !campus.findPath(id, stops[i + 1]));
+        const explanation = campus.explainNoRoute(stops[failed], stops[failed + 1]);
+        if (options.json) {
+            out(JSON.stringify({
+                found: false,
+                from: stops[failed],
+                to: stops[failed + 1],
+                reachable: explanation.reachable,
+                blockedBy: explanation.blockers.map(rule => rule.label),
+                edges: explanation.edges.map(item => ({
+                    a: item.edge.a,
+                    b: item.edge.b,
+                    reasons: item.rules.map(rule => rule.describe ? rule.describe(item.edge) : rule.label)
+                }))
+            }, null, 2));
+        } else if (!explanation.reachable) {
+            out(`No route: ${stops[failed]} and ${stops[failed + 1]} are not connected by any path`);
+        } else {
+            out(`No route: blocked by ${explanation.blockers.map(rule => rule.label).join(', ')}`);
+            explanation.edges.forEach(item => {
+                const reasons = item.rules.map(rule => rule.describe ? rule.describe(item.edge) : rule.label);
+                out(`  ${campus.getNode(item.edge.a).name} ↔ ${campus.getNode(item.edge.b).name}: ${reasons.join(', ')}`);
+            });
+        }
+        return 1;
+    }
+
+    const seconds = campus.estimateWalkingTime(result.distance);
+    if (options.json) {
+        out(JSON.stringify({
+            found: true,
+            path: result.path,
+            stops: stops,
+            distance: result.distance,
+            seconds: Math.round(seconds),
+            steps: result.steps.map(step => ({ description: step.description, distance: step.distance, maneuver: step.maneuver }))
+        }, null, 2));
+        return 0;
+    }
+
+    out(`${campus.getNode(from).name} → ${campus.getNode(to).name}: ${result.distance}m, about ${campus.formatDuration(seconds)}`);
+    result.steps.forEach((step, index) => {
+        out(`${String(index + 1).padStart(3)}. ${step.description} (${step.distance}m)`);
+    });
+
+    const detour = campus.explainDetour(result);
+    if (detour) {
+        out(`Detour of ${detour.extra}m around closures:`);
+        detour.reasons.forEach(reason => out(`  - ${reason}`));
+    }
+    return 0;
+}
+
+function unreachable(campus, options, out) {
+    // Everything outside the largest connected component
+    const components = campus.findComponents(campus.graph);
+    const nodes = components.slice(1).flat().map(id => campus.getNode(id));
+
+    if (options.json) {
+        out(JSON.stringify(nodes.map(node => ({ id: node.id, name: node.name })), null, 2));
+    } else if (nodes.length === 0) {
+        out('All nodes are reachable from the main network');
+    } else {
+        nodes.forEach(node => out(`${node.id}\t${node.name}`));
+    }
+    return nodes.length === 0 ? 0 : 1;
+}
+
+function main(argv, out = console.log, err = console.error) {
+    // Returns the exit code: 0 success, 1 problem found, 2 usage error
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        err(error.message);
+        return 2;
+    }
+
+    const [command, ...positional] = args.positional;
+    if (!command || command === 'help' || args.options.help) {
+        out(USAGE);
+        return command || args.options.help ? 0 : 2;
+    }
+    if (!['validate', 'route', 'unreachable'].includes(command)) {
+        err(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    const file = args.options.file || DEFAULT_FILE;
+    if (!fs.existsSync(file)) {
+        err(`Cannot find ${file}`);
+        return 2;
+    }
+
+    const { campus, result } = loadGraph(file);
+    if (command === 'validate') {
+        return validate(campus, result, args.options, out);
+    }
+    if (result.errors.length > 0) {
+        err(`${file} has ${result.errors.length} error(s); run "node cli.js validate" for details`);
+        return 1;
+    }
+
+    return command === 'route'
+        ? route(campus, positional, args.options, out, err)
+        : unreachable(campus, args.options, out);
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,770 @@
+// Interface text and route instructions in each supported language. Loaded
+// as a plain script before campus-graph.js in the browser, and with require()
+// in Node. Messages use {name} placeholders; a key missing from a language
+// falls back to English (see CampusGraph.t).
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        locale: 'en-IN',
+        messages: {
+            // Route instructions
+            'compass.north': 'north',
+            'compass.northeast': 'northeast',
+            'compass.east': 'east',
+            'compass.southeast': 'southeast',
+            'compass.south': 'south',
+            'compass.southwest': 'southwest',
+            'compass.west': 'west',
+            'compass.northwest': 'northwest',
+            'step.depart': 'Head {heading} from {at} towards {to}',
+            'step.departTowards': 'Head towards {to}',
+            'step.slight_left': 'Bear left at {at} towards {to}',
+            'step.slight_right': 'Bear right at {at} towards {to}',
+            'step.left': 'Turn left at {at} towards {to}',
+            'step.right': 'Turn right at {at} towards {to}',
+            'step.sharp_left': 'Turn sharp left at {at} towards {to}',
+            'step.sharp_right': 'Turn sharp right at {at} towards {to}',
+            'step.uturn': 'Make a U-turn at {at} towards {to}',
+            'step.straight': 'Continue straight at {at} towards {to}',
+            'step.walkToPath': 'Walk {heading} from {from} to {to}',
+            'step.leavePath': 'Leave the path and walk {heading} to {to}',
+            'step.lift': 'Take the lift to {floor}',
+            'step.stairsUp': 'Take the stairs up to {floor}',
+            'step.stairsDown': 'Take the stairs down to {floor}',
+            'floor.ground': 'the ground floor',
+            'floor.basement': 'basement {n}',
+            'floor.number': 'floor {n}',
+            'floor.groundShort': 'G',
+            'floor.show': 'Show {floor}',
+            'floor.arriveFrom': 'Arrive from {floor}',
+            'floorName.ground': 'Ground floor',
+            'floorName.basement': 'Basement {n}',
+            'floorName.number': 'Floor {n}',
+            'point.pathBetween': 'the path between {a} and {b}',
+            'duration.underMinute': '< 1 min',
+            'duration.minutes': '{minutes} min',
+            'duration.hours': '{hours} h {minutes} min',
+
+            // Opening hours and closures
+            'closure.node': '{name} is closed ({when})',
+            'closure.nodeForReason': '{name} is closed for {reason} ({when})',
+            'closure.path': 'path {a} ↔ {b} is closed ({when})',
+            'closure.pathForReason': 'path {a} ↔ {b} is closed for {reason} ({when})',
+            'closure.opens': 'opens {time}',
+            'closure.reopens': 'reopens {time}',
+            'closure.closedAllWeek': 'closed all week',
+            'time.today': 'at {clock}',
+            'time.tomorrow': 'tomorrow at {clock}',
+            'time.date': '{date} at {clock}',
+
+            // Routing profiles and what they avoid
+            'profile.default': 'Default',
+            'profile.step_free': 'Step-free',
+            'profile.covered': 'Covered',
+            'profile.lit': 'Well-lit',
+            'profileOption.default': 'Default',
+            'profileOption.step_free': 'Step-free (no stairs or unpaved paths)',
+            'profileOption.covered': 'Covered when raining',
+            'profileOption.lit': 'Well-lit at night',
+            'rule.stairs': 'stairs',
+            'rule.wheelchair': 'not wheelchair accessible',
+            'rule.unpaved': 'unpaved surface',
+            'rule.uncovered': 'uncovered',
+            'rule.unlit': 'unlit path',
+            'rule.lighting_unknown': 'lighting unknown',
+            'rule.closed': 'closed',
+
+            // Map
+            'category.academic': 'Academic',
+            'category.hostel': 'Hostels',
+            'category.food': 'Food',
+            'category.sports': 'Sports',
+            'category.admin': 'Administration',
+            'category.parking': 'Parking',
+            'category.gate': 'Gates',
+            'category.room': 'Rooms',
+            'category.lift': 'Lifts',
+            'category.stairwell': 'Stairs',
+            'category.junction': 'Junctions',
+            'category.other': 'Other',
+            'layer.osm': 'Street map',
+            'layer.local': 'Local tiles',
+            'layer.blueprint': 'Blueprint only',
+            'legend.title': 'Legend',
+            'popup.id': 'ID',
+            'popup.coordinates': 'Coordinates',
+            'popup.copyLink': 'Copy link',
+            'popup.linkCopied': 'Link to {name} copied',
+            'pointMenu.start': 'Start here',
+            'pointMenu.stop': 'Add stop here',
+            'pointMenu.end': 'Destination here',
+            'pin.name': 'Pin {n}',
+            'pin.noPaths': 'There are no paths on this floor to route from',
+            'pin.snapped': '{name} is {distance}m from the nearest path',
+            'source.network': 'Live data',
+            'source.networkTitle': 'Campus data downloaded from the server',
+            'source.cache': 'Cached data',
+            'source.cacheTitle': 'Server unreachable; showing the copy saved on this device',
+            'source.embedded': 'Built-in data',
+            'source.embeddedTitle': 'Campus data could not be loaded; showing the data built into the app',
+            'source.local': 'Local edits',
+            'source.localTitle': 'Showing graph changes saved in this browser',
+            'source.offline': 'Offline',
+
+            // Page
+            'app.title': 'Chanakya University Campus Map',
+            'app.loading': 'Loading campus map...',
+            'app.loaded': 'Campus map loaded successfully!',
+            'app.loadedLocal': 'Campus map loaded with your local changes',
+            'app.serverChanged': 'The campus data on the server has changed since your local changes were saved; review it in admin mode',
+            'app.loadError': 'Error loading campus data',
+            'app.invalidData': 'distances.json has {count} error(s); using built-in data',
+            'language.label': 'Language',
+            'search.placeholder': 'Search campus locations...',
+            'search.empty': 'No matching locations',
+            'search.from': 'From',
+            'search.to': 'To',
+            'search.fromTitle': 'Set as starting point',
+            'search.toTitle': 'Set as destination',
+            'search.startSet': 'Starting point set to {name}',
+            'search.endSet': 'Destination set to {name}',
+            'link.unknown': 'Link refers to unknown location(s): {ids}',
+
+            // Route finder
+            'route.title': 'Route Finder',
+            'route.start': 'Start Location',
+            'route.selectStart': 'Select starting point...',
+            'route.stops': 'Stops',
+            'route.addStop': 'Add Stop',
+            'route.selectStop': 'Select stop...',
+            'route.moveUp': 'Move up',
+            'route.moveDown': 'Move down',
+            'route.removeStop': 'Remove stop',
+            'route.mapPoints': 'Map points',
+            'route.destination': 'Destination',
+            'route.selectDestination': 'Select destination...',
+            'route.profile': 'Routing Profile',
+            'route.speed': 'Walking Speed',
+            'speed.slow': 'Slow (3 km/h)',
+            'speed.relaxed': 'Relaxed (4 km/h)',
+            'speed.average': 'Average (5 km/h)',
+            'speed.brisk': 'Brisk (6 km/h)',
+            'route.leaveAt': 'Leave At',
+            'route.leaveAtHint': 'Leave empty to use the current time. Opening hours and closures are checked at this time.',
+            'route.optimize': 'Optimize stop order',
+            'route.fixedEnd': 'Keep destination as the final stop',
+            'route.find': 'Find Route',
+            'route.clear': 'Clear Route',
+            'route.placeholder': 'Select start and end locations to find the optimal route',
+            'route.selectBoth': 'Please select both start and end locations',
+            'route.same': 'Start and end locations cannot be the same',
+            'route.found': 'Route found! Distance: {distance}m',
+            'route.foundLegs': 'Route with {legs} legs found! Distance: {distance}m',
+            'route.foundAlternatives': 'Route found! Distance: {distance}m, plus {count} alternative(s)',
+            'route.alternatives': 'Alternative routes',
+            'route.alternative': 'Route {n}',
+            'route.via': 'via {name}',
+            'route.showAlternatives': 'Show other routes',
+            'route.noAlternatives': 'No other distinct route was found',
+            'route.noneForStops': 'No route connects all selected stops',
+            'route.none': 'No route found between selected locations',
+            'route.leg': 'Leg {n}: {from} → {to}',
+            'route.detour': 'Detour of {extra}m around closures',
+            'route.exportGpx': 'Export GPX',
+            'route.copyLink': 'Copy route link',
+            'route.linkCopied': 'Route link copied',
+            'route.print': 'Print',
+            'noRoute.title': 'No {profile} route from {from} to {to}',
+            'noRoute.toast': 'No {profile} route found',
+            'noRoute.open': 'open',
+            'noRoute.notConnected': 'These locations are not connected by any path.',
+            'noRoute.blockedBy': 'Blocked by:',
+            'noRoute.laterTime': 'Pick a later departure time under 🕒 Leave At to route once it reopens.',
+            'noRoute.defaultProfile': 'Switch to the Default profile to see the unrestricted route.',
+            'print.findFirst': 'Find a route first',
+            'print.walk': '{time} walk',
+            'print.profile': '{profile} route',
+            'print.printed': 'Printed {time}',
+            'print.scan': 'Scan for the live map',
+            'data.export': 'Export Data',
+            'data.exportGeoJson': 'Export GeoJSON',
+            'data.saveOffline': 'Save Map Offline',
+            'data.import': 'Import Data',
+            'data.saveOfflineUnsupported': 'This browser cannot store map tiles offline',
+            'data.saveOfflineNoSource': 'Choose Street map or Local tiles to save tiles for offline use',
+            'data.saveOfflineTooMany': 'Campus area needs {count} tiles; the limit is {limit}',
+            'data.savingTiles': 'Saving tiles {done}/{total}',
+            'data.savedTilesSome': 'Saved {saved} tiles; {failed} could not be downloaded',
+            'data.savedTiles': 'Saved {saved} tiles for offline use',
+            'data.blueprintLoaded': 'Blueprint overlay loaded',
+
+            // Your location and navigation
+            'location.you': 'Your location',
+            'location.use': 'Use my location',
+            'location.stop': 'Stop using my location',
+            'location.notSupported': 'Location is not available in this browser',
+            'location.finding': 'Finding your location…',
+            'location.denied': 'Location permission was denied',
+            'location.unavailable': 'Your location is unavailable',
+            'location.timeout': 'Timed out finding your location',
+            'location.failed': 'Could not get your location',
+            'navigation.remaining': '{distance}m to go · {time}',
+            'navigation.arrived': 'You have arrived',
+            'navigation.arrivedAt': 'You have arrived at {name}',
+            'navigation.noReroute': 'You are off the route and no new route was found',
+            'navigation.rerouted': 'Off route; new route: {distance}m',
+            'navigation.replaying': 'Replaying {count} recorded positions',
+            'navigation.replayFinished': 'Recorded walk finished',
+
+            // Class timetable
+            'timetable.open': 'My Timetable',
+            'timetable.title': 'My Timetable',
+            'timetable.file': 'Calendar file (.ics) or CSV',
+            'timetable.paste': 'Or paste CSV rows: day, start, end, class, room',
+            'timetable.load': 'Load Pasted Timetable',
+            'timetable.clear': 'Clear Timetable',
+            'timetable.day': 'Day',
+            'timetable.locations': 'Locations',
+            'timetable.locationsHint': 'Check that each room points at the right place on the map.',
+            'timetable.unmatchedOption': 'Not on the map',
+            'timetable.loaded': 'Loaded {count} classes',
+            'timetable.loadedWarnings': 'Loaded {count} classes; skipped {skipped} unreadable entries',
+            'timetable.empty': 'No classes with times were found',
+            'timetable.readError': 'Could not read the timetable file',
+            'timetable.cleared': 'Timetable cleared',
+            'timetable.noClasses': 'No classes on this day',
+            'timetable.none': 'No location',
+            'timetable.walk': '{distance}m, {time} walk · {minutes} min break',
+            'timetable.late': 'You may be late',
+            'timetable.sameRoom': 'Same place, no walk needed',
+            'timetable.unmatched': 'Choose a map location for both classes to see the walk',
+            'timetable.noRoute': 'No route between these classes at this time',
+            'timetable.showRoute': 'Show route',
+
+            // Reachable area
+            'reach.title': 'What Can I Reach?',
+            'reach.from': 'From',
+            'reach.selectOrigin': 'Select a place...',
+            'reach.within': 'Within',
+            'reach.minutes': 'minutes',
+            'reach.meters': 'metres',
+            'reach.list': 'List',
+            'reach.allPlaces': 'All places',
+            'reach.show': 'Show Reachable Area',
+            'reach.clear': 'Clear',
+            'reach.badBudget': 'Enter a time or distance greater than zero',
+            'reach.withinMinutes': 'Within {minutes} min',
+            'reach.withinMeters': 'Within {distance}m',
+            'reach.bandMinutes': '{from}–{to} min',
+            'reach.bandMeters': '{from}–{to}m',
+            'reach.none': 'No places of this kind can be reached'
+        }
+    },
+
+    kn: {
+        name: 'ಕನ್ನಡ',
+        locale: 'kn-IN',
+        messages: {
+            'compass.north': 'ಉತ್ತರ',
+            'compass.northeast': 'ಈಶಾನ್ಯ',
+            'compass.east': 'ಪೂರ್ವ',
+            'compass.southeast': 'ಆಗ್ನೇಯ',
+            'compass.south': 'ದಕ್ಷಿಣ',
+            'compass.southwest': 'ನೈಋತ್ಯ',
+            'compass.west': 'ಪಶ್ಚಿಮ',
+            'compass.northwest': 'ವಾಯವ್ಯ',
+            'step.depart': '{at} ಇಂದ {heading} ದಿಕ್ಕಿನಲ್ಲಿ {to} ಕಡೆಗೆ ಹೊರಡಿ',
+            'step.departTowards': '{to} ಕಡೆಗೆ ಹೊರಡಿ',
+            'step.slight_left': '{at} ಬಳಿ ಸ್ವಲ್ಪ ಎಡಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.slight_right': '{at} ಬಳಿ ಸ್ವಲ್ಪ ಬಲಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.left': '{at} ಬಳಿ ಎಡಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.right': '{at} ಬಳಿ ಬಲಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.sharp_left': '{at} ಬಳಿ ತೀಕ್ಷ್ಣವಾಗಿ ಎಡಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.sharp_right': '{at} ಬಳಿ ತೀಕ್ಷ್ಣವಾಗಿ ಬಲಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.uturn': '{at} ಬಳಿ ಹಿಂದಕ್ಕೆ ತಿರುಗಿ {to} ಕಡೆಗೆ ಸಾಗಿ',
+            'step.straight': '{at} ಬಳಿ ನೇರವಾಗಿ {to} ಕಡೆಗೆ ಮುಂದುವರಿಯಿರಿ',
+            'step.walkToPath': '{from} ಇಂದ {heading} ದಿಕ್ಕಿನಲ್ಲಿ {to} ವರೆಗೆ ನಡೆಯಿರಿ',
+            'step.leavePath': 'ದಾರಿಯಿಂದ ಹೊರಬಂದು {heading} ದಿಕ್ಕಿನಲ್ಲಿ {to} ವರೆಗೆ ನಡೆಯಿರಿ',
+            'step.lift': 'ಲಿಫ್ಟ್ ಮೂಲಕ {floor} ತಲುಪಿ',
+            'step.stairsUp': 'ಮೆಟ್ಟಿಲುಗಳನ್ನು ಹತ್ತಿ {floor} ತಲುಪಿ',
+            'step.stairsDown': 'ಮೆಟ್ಟಿಲುಗಳನ್ನು ಇಳಿದು {floor} ತಲುಪಿ',
+            'floor.ground': 'ನೆಲ ಮಹಡಿ',
+            'floor.basement': 'ನೆಲಮಾಳಿಗೆ {n}',
+            'floor.number': '{n}ನೇ ಮಹಡಿ',
+            'floor.groundShort': 'ನೆ',
+            'floor.show': '{floor} ತೋರಿಸಿ',
+            'floor.arriveFrom': '{floor} ಇಂದ ಬರುವಿರಿ',
+            'floorName.ground': 'ನೆಲ ಮಹಡಿ',
+            'floorName.basement': 'ನೆಲಮಾಳಿಗೆ {n}',
+            'floorName.number': '{n}ನೇ ಮಹಡಿ',
+            'point.pathBetween': '{a} ಮತ್ತು {b} ನಡುವಿನ ದಾರಿ',
+            'duration.underMinute': '< 1 ನಿಮಿಷ',
+            'duration.minutes': '{minutes} ನಿಮಿಷ',
+            'duration.hours': '{hours} ಗಂ {minutes} ನಿಮಿಷ',
+
+            'closure.node': '{name} ಮುಚ್ಚಿದೆ ({when})',
+            'closure.nodeForReason': '{reason} ಕಾರಣ {name} ಮುಚ್ಚಿದೆ ({when})',
+            'closure.path': '{a} ↔ {b} ದಾರಿ ಮುಚ್ಚಿದೆ ({when})',
+            'closure.pathForReason': '{reason} ಕಾರಣ {a} ↔ {b} ದಾರಿ ಮುಚ್ಚಿದೆ ({when})',
+            'closure.opens': '{time} ತೆರೆಯುತ್ತದೆ',
+            'closure.reopens': '{time} ಮತ್ತೆ ತೆರೆಯುತ್ತದೆ',
+            'closure.closedAllWeek': 'ವಾರವಿಡೀ ಮುಚ್ಚಿರುತ್ತದೆ',
+            'time.today': '{clock}ಕ್ಕೆ',
+            'time.tomorrow': 'ನಾಳೆ {clock}ಕ್ಕೆ',
+            'time.date': '{date} {clock}ಕ್ಕೆ',
+
+            'profile.default': 'ಸಾಮಾನ್ಯ',
+            'profile.step_free': 'ಮೆಟ್ಟಿಲು-ರಹಿತ',
+            'profile.covered': 'ಛಾವಣಿಯುಳ್ಳ',
+            'profile.lit': 'ಬೆಳಕಿರುವ',
+            'profileOption.default': 'ಸಾಮಾನ್ಯ',
+            'profileOption.step_free': 'ಮೆಟ್ಟಿಲು-ರಹಿತ (ಮೆಟ್ಟಿಲು ಅಥವಾ ಕಚ್ಚಾ ದಾರಿ ಇಲ್ಲ)',
+            'profileOption.covered': 'ಮಳೆಯಲ್ಲಿ ಛಾವಣಿಯುಳ್ಳ ದಾರಿ',
+            'profileOption.lit': 'ರಾತ್ರಿ ಬೆಳಕಿರುವ ದಾರಿ',
+            'rule.stairs': 'ಮೆಟ್ಟಿಲುಗಳು',
+            'rule.wheelchair': 'ಗಾಲಿಕುರ್ಚಿಗೆ ಅನುಕೂಲವಿಲ್ಲ',
+            'rule.unpaved': 'ಕಚ್ಚಾ ದಾರಿ',
+            'rule.uncovered': 'ಛಾವಣಿ ಇಲ್ಲ',
+            'rule.unlit': 'ಬೆಳಕಿಲ್ಲದ ದಾರಿ',
+            'rule.lighting_unknown': 'ಬೆಳಕಿನ ಮಾಹಿತಿ ಇಲ್ಲ',
+            'rule.closed': 'ಮುಚ್ಚಿದೆ',
+
+            'category.academic': 'ಶೈಕ್ಷಣಿಕ',
+            'category.hostel': 'ವಸತಿ ನಿಲಯಗಳು',
+            'category.food': 'ಆಹಾರ',
+            'category.sports': 'ಕ್ರೀಡೆ',
+            'category.admin': 'ಆಡಳಿತ',
+            'category.parking': 'ವಾಹನ ನಿಲುಗಡೆ',
+            'category.gate': 'ದ್ವಾರಗಳು',
+            'category.room': 'ಕೊಠಡಿಗಳು',
+            'category.lift': 'ಲಿಫ್ಟ್‌ಗಳು',
+            'category.stairwell': 'ಮೆಟ್ಟಿಲುಗಳು',
+            'category.junction': 'ಜಂಕ್ಷನ್‌ಗಳು',
+            'category.other': 'ಇತರೆ',
+            'layer.osm': 'ರಸ್ತೆ ನಕ್ಷೆ',
+            'layer.local': 'ಸ್ಥಳೀಯ ಟೈಲ್‌ಗಳು',
+            'layer.blueprint': 'ನೀಲನಕ್ಷೆ ಮಾತ್ರ',
+            'legend.title': 'ಸೂಚಿ',
+            'popup.id': 'ಐಡಿ',
+            'popup.coordinates': 'ನಿರ್ದೇಶಾಂಕಗಳು',
+            'popup.copyLink': 'ಲಿಂಕ್ ನಕಲಿಸಿ',
+            'popup.linkCopied': '{name} ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ',
+            'pointMenu.start': 'ಇಲ್ಲಿಂದ ಪ್ರಾರಂಭಿಸಿ',
+            'pointMenu.stop': 'ಇಲ್ಲಿ ನಿಲುಗಡೆ ಸೇರಿಸಿ',
+            'pointMenu.end': 'ಇಲ್ಲಿಗೆ ತಲುಪಿ',
+            'pin.name': 'ಗುರುತು {n}',
+            'pin.noPaths': 'ಈ ಮಹಡಿಯಲ್ಲಿ ಮಾರ್ಗ ಹುಡುಕಲು ಯಾವುದೇ ದಾರಿ ಇಲ್ಲ',
+            'pin.snapped': '{name} ಹತ್ತಿರದ ದಾರಿಯಿಂದ {distance}m ದೂರದಲ್ಲಿದೆ',
+            'source.network': 'ನೇರ ಮಾಹಿತಿ',
+            'source.networkTitle': 'ಕ್ಯಾಂಪಸ್ ಮಾಹಿತಿಯನ್ನು ಸರ್ವರ್‌ನಿಂದ ಪಡೆಯಲಾಗಿದೆ',
+            'source.cache': 'ಉಳಿಸಿದ ಮಾಹಿತಿ',
+            'source.cacheTitle': 'ಸರ್ವರ್ ಲಭ್ಯವಿಲ್ಲ; ಈ ಸಾಧನದಲ್ಲಿ ಉಳಿಸಿದ ಪ್ರತಿಯನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            'source.embedded': 'ಅಂತರ್ನಿರ್ಮಿತ ಮಾಹಿತಿ',
+            'source.embeddedTitle': 'ಕ್ಯಾಂಪಸ್ ಮಾಹಿತಿ ಲೋಡ್ ಆಗಲಿಲ್ಲ; ಆ್ಯಪ್‌ನಲ್ಲಿರುವ ಮಾಹಿತಿಯನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            'source.local': 'ಸ್ಥಳೀಯ ಬದಲಾವಣೆಗಳು',
+            'source.localTitle': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಉಳಿಸಿದ ಬದಲಾವಣೆಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+            'source.offline': 'ಆಫ್‌ಲೈನ್',
+
+            'app.title': 'ಚಾಣಕ್ಯ ವಿಶ್ವವಿದ್ಯಾಲಯ ಕ್ಯಾಂಪಸ್ ನಕ್ಷೆ',
+            'app.loading': 'ಕ್ಯಾಂಪಸ್ ನಕ್ಷೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+            'app.loaded': 'ಕ್ಯಾಂಪಸ್ ನಕ್ಷೆ ಯಶಸ್ವಿಯಾಗಿ ಲೋಡ್ ಆಯಿತು!',
+            'app.loadedLocal': 'ನಿಮ್ಮ ಸ್ಥಳೀಯ ಬದಲಾವಣೆಗಳೊಂದಿಗೆ ಕ್ಯಾಂಪಸ್ ನಕ್ಷೆ ಲೋಡ್ ಆಯಿತು',
+            'app.serverChanged': 'ನಿಮ್ಮ ಸ್ಥಳೀಯ ಬದಲಾವಣೆಗಳನ್ನು ಉಳಿಸಿದ ನಂತರ ಸರ್ವರ್‌ನಲ್ಲಿನ ಕ್ಯಾಂಪಸ್ ಮಾಹಿತಿ ಬದಲಾಗಿದೆ; ನಿರ್ವಾಹಕ ಮೋಡ್‌ನಲ್ಲಿ ಪರಿಶೀಲಿಸಿ',
+            'app.loadError': 'ಕ್ಯಾಂಪಸ್ ಮಾಹಿತಿ ಲೋಡ್ ಮಾಡುವಲ್ಲಿ ದೋಷ',
+            'app.invalidData': 'distances.json ನಲ್ಲಿ {count} ದೋಷ(ಗಳು) ಇವೆ; ಅಂತರ್ನಿರ್ಮಿತ ಮಾಹಿತಿ ಬಳಸಲಾಗುತ್ತಿದೆ',
+            'language.label': 'ಭಾಷೆ',
+            'search.placeholder': 'ಕ್ಯಾಂಪಸ್ ಸ್ಥಳಗಳನ್ನು ಹುಡುಕಿ...',
+            'search.empty': 'ಹೊಂದುವ ಸ್ಥಳಗಳಿಲ್ಲ',
+            'search.from': 'ಇಂದ',
+            'search.to': 'ಗೆ',
+            'search.fromTitle': 'ಪ್ರಾರಂಭ ಸ್ಥಳವಾಗಿ ಆಯ್ಕೆಮಾಡಿ',
+            'search.toTitle': 'ಗಮ್ಯಸ್ಥಾನವಾಗಿ ಆಯ್ಕೆಮಾಡಿ',
+            'search.startSet': 'ಪ್ರಾರಂಭ ಸ್ಥಳ: {name}',
+            'search.endSet': 'ಗಮ್ಯಸ್ಥಾನ: {name}',
+            'link.unknown': 'ಲಿಂಕ್‌ನಲ್ಲಿ ತಿಳಿಯದ ಸ್ಥಳ(ಗಳು): {ids}',
+
+            'route.title': 'ಮಾರ್ಗ ಶೋಧಕ',
+            'route.start': 'ಪ್ರಾರಂಭ ಸ್ಥಳ',
+            'route.selectStart': 'ಪ್ರಾರಂಭ ಸ್ಥಳ ಆಯ್ಕೆಮಾಡಿ...',
+            'route.stops': 'ನಿಲುಗಡೆಗಳು',
+            'route.addStop': 'ನಿಲುಗಡೆ ಸೇರಿಸಿ',
+            'route.selectStop': 'ನಿಲುಗಡೆ ಆಯ್ಕೆಮಾಡಿ...',
+            'route.moveUp': 'ಮೇಲಕ್ಕೆ ಸರಿಸಿ',
+            'route.moveDown': 'ಕೆಳಕ್ಕೆ ಸರಿಸಿ',
+            'route.removeStop': 'ನಿಲುಗಡೆ ತೆಗೆದುಹಾಕಿ',
+            'route.mapPoints': 'ನಕ್ಷೆಯ ಬಿಂದುಗಳು',
+            'route.destination': 'ಗಮ್ಯಸ್ಥಾನ',
+            'route.selectDestination': 'ಗಮ್ಯಸ್ಥಾನ ಆಯ್ಕೆಮಾಡಿ...',
+            'route.profile': 'ಮಾರ್ಗದ ಆದ್ಯತೆ',
+            'route.speed': 'ನಡಿಗೆಯ ವೇಗ',
+            'speed.slow': 'ನಿಧಾನ (3 ಕಿ.ಮೀ/ಗಂ)',
+            'speed.relaxed': 'ಆರಾಮ (4 ಕಿ.ಮೀ/ಗಂ)',
+            'speed.average': 'ಸರಾಸರಿ (5 ಕಿ.ಮೀ/ಗಂ)',
+            'speed.brisk': 'ವೇಗ (6 ಕಿ.ಮೀ/ಗಂ)',
+            'route.leaveAt': 'ಹೊರಡುವ ಸಮಯ',
+            'route.leaveAtHint': 'ಈಗಿನ ಸಮಯಕ್ಕೆ ಖಾಲಿ ಬಿಡಿ. ತೆರೆಯುವ ಸಮಯ ಮತ್ತು ಮುಚ್ಚುವಿಕೆಗಳನ್ನು ಈ ಸಮಯಕ್ಕೆ ಪರಿಶೀಲಿಸಲಾಗುತ್ತದೆ.',
+            'route.optimize': 'ನಿಲುಗಡೆಗಳ ಕ್ರಮವನ್ನು ಉತ್ತಮಗೊಳಿಸಿ',
+            'route.fixedEnd': 'ಗಮ್ಯಸ್ಥಾನವನ್ನೇ ಕೊನೆಯ ನಿಲುಗಡೆಯಾಗಿ ಇರಿಸಿ',
+            'route.find': 'ಮಾರ್ಗ ಹುಡುಕಿ',
+            'route.clear': 'ಮಾರ್ಗ ತೆರವುಗೊಳಿಸಿ',
+            'route.placeholder': 'ಉತ್ತಮ ಮಾರ್ಗ ಹುಡುಕಲು ಪ್ರಾರಂಭ ಮತ್ತು ಗಮ್ಯಸ್ಥಾನ ಆಯ್ಕೆಮಾಡಿ',
+            'route.selectBoth': 'ದಯವಿಟ್ಟು ಪ್ರಾರಂಭ ಮತ್ತು ಗಮ್ಯಸ್ಥಾನ ಎರಡನ್ನೂ ಆಯ್ಕೆಮಾಡಿ',
+            'route.same': 'ಪ್ರಾರಂಭ ಮತ್ತು ಗಮ್ಯಸ್ಥಾನ ಒಂದೇ ಆಗಿರಬಾರದು',
+            'route.found': 'ಮಾರ್ಗ ಸಿಕ್ಕಿತು! ದೂರ: {distance}m',
+            'route.foundLegs': '{legs} ಭಾಗಗಳ ಮಾರ್ಗ ಸಿಕ್ಕಿತು! ದೂರ: {distance}m',
+            'route.foundAlternatives': 'ಮಾರ್ಗ ಸಿಕ್ಕಿತು! ದೂರ: {distance}m, ಜೊತೆಗೆ {count} ಪರ್ಯಾಯ ಮಾರ್ಗ(ಗಳು)',
+            'route.alternatives': 'ಪರ್ಯಾಯ ಮಾರ್ಗಗಳು',
+            'route.alternative': 'ಮಾರ್ಗ {n}',
+            'route.via': '{name} ಮೂಲಕ',
+            'route.showAlternatives': 'ಇತರ ಮಾರ್ಗಗಳನ್ನು ತೋರಿಸಿ',
+            'route.noAlternatives': 'ಬೇರೆ ವಿಭಿನ್ನ ಮಾರ್ಗ ಸಿಗಲಿಲ್ಲ',
+            'route.noneForStops': 'ಆಯ್ಕೆಮಾಡಿದ ಎಲ್ಲ ನಿಲುಗಡೆಗಳನ್ನು ಜೋಡಿಸುವ ಮಾರ್ಗವಿಲ್ಲ',
+            'route.none': 'ಆಯ್ಕೆಮಾಡಿದ ಸ್ಥಳಗಳ ನಡುವೆ ಮಾರ್ಗ ಸಿಗಲಿಲ್ಲ',
+            'route.leg': 'ಭಾಗ {n}: {from} → {to}',
+            'route.detour': 'ಮುಚ್ಚುವಿಕೆಗಳಿಂದಾಗಿ {extra}m ಸುತ್ತುದಾರಿ',
+            'route.exportGpx': 'GPX ರಫ್ತು',
+            'route.copyLink': 'ಮಾರ್ಗದ ಲಿಂಕ್ ನಕಲಿಸಿ',
+            'route.linkCopied': 'ಮಾರ್ಗದ ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ',
+            'route.print': 'ಮುದ್ರಿಸಿ',
+            'noRoute.title': '{from} ಇಂದ {to} ಗೆ {profile} ಮಾರ್ಗವಿಲ್ಲ',
+            'noRoute.toast': '{profile} ಮಾರ್ಗ ಸಿಗಲಿಲ್ಲ',
+            'noRoute.open': 'ತೆರೆದ',
+            'noRoute.notConnected': 'ಈ ಸ್ಥಳಗಳನ್ನು ಯಾವುದೇ ದಾರಿ ಜೋಡಿಸುವುದಿಲ್ಲ.',
+            'noRoute.blockedBy': 'ತಡೆ:',
+            'noRoute.laterTime': 'ಮತ್ತೆ ತೆರೆದ ನಂತರದ ಮಾರ್ಗಕ್ಕಾಗಿ 🕒 ಹೊರಡುವ ಸಮಯದಲ್ಲಿ ನಂತರದ ಸಮಯ ಆಯ್ಕೆಮಾಡಿ.',
+            'noRoute.defaultProfile': 'ನಿರ್ಬಂಧವಿಲ್ಲದ ಮಾರ್ಗ ನೋಡಲು ಸಾಮಾನ್ಯ ಆದ್ಯತೆಗೆ ಬದಲಿಸಿ.',
+            'print.findFirst': 'ಮೊದಲು ಮಾರ್ಗ ಹುಡುಕಿ',
+            'print.walk': '{time} ನಡಿಗೆ',
+            'print.profile': '{profile} ಮಾರ್ಗ',
+            'print.printed': 'ಮುದ್ರಿಸಿದ ಸಮಯ {time}',
+            'print.scan': 'ನೇರ ನಕ್ಷೆಗಾಗಿ ಸ್ಕ್ಯಾನ್ ಮಾಡಿ',
+            'data.export': 'ಮಾಹಿತಿ ರಫ್ತು',
+            'data.exportGeoJson': 'GeoJSON ರಫ್ತು',
+            'data.saveOffline': 'ನಕ್ಷೆಯನ್ನು ಆಫ್‌ಲೈನ್‌ಗೆ ಉಳಿಸಿ',
+            'data.import': 'ಮಾಹಿತಿ ಆಮದು',
+            'data.saveOfflineUnsupported': 'ಈ ಬ್ರೌಸರ್ ನಕ್ಷೆಯ ಟೈಲ್‌ಗಳನ್ನು ಆಫ್‌ಲೈನ್‌ಗೆ ಉಳಿಸಲಾರದು',
+            'data.saveOfflineNoSource': 'ಆಫ್‌ಲೈನ್‌ಗೆ ಉಳಿಸಲು ಬೀದಿ ನಕ್ಷೆ ಅಥವಾ ಸ್ಥಳೀಯ ಟೈಲ್‌ಗಳನ್ನು ಆರಿಸಿ',
+            'data.saveOfflineTooMany': 'ಕ್ಯಾಂಪಸ್ ಪ್ರದೇಶಕ್ಕೆ {count} ಟೈಲ್‌ಗಳು ಬೇಕು; ಮಿತಿ {limit}',
+            'data.savingTiles': 'ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗುತ್ತಿದೆ {done}/{total}',
+            'data.savedTilesSome': '{saved} ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ; {failed} ಡೌನ್‌ಲೋಡ್ ಆಗಲಿಲ್ಲ',
+            'data.savedTiles': 'ಆಫ್‌ಲೈನ್ ಬಳಕೆಗೆ {saved} ಟೈಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ',
+            'data.blueprintLoaded': 'ನೀಲನಕ್ಷೆ ಪದರ ಲೋಡ್ ಆಗಿದೆ',
+
+            'location.you': 'ನಿಮ್ಮ ಸ್ಥಳ',
+            'location.use': 'ನನ್ನ ಸ್ಥಳ ಬಳಸಿ',
+            'location.stop': 'ನನ್ನ ಸ್ಥಳ ಬಳಸುವುದನ್ನು ನಿಲ್ಲಿಸಿ',
+            'location.notSupported': 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಸ್ಥಳ ಲಭ್ಯವಿಲ್ಲ',
+            'location.finding': 'ನಿಮ್ಮ ಸ್ಥಳ ಹುಡುಕಲಾಗುತ್ತಿದೆ…',
+            'location.denied': 'ಸ್ಥಳದ ಅನುಮತಿ ನಿರಾಕರಿಸಲಾಗಿದೆ',
+            'location.unavailable': 'ನಿಮ್ಮ ಸ್ಥಳ ಲಭ್ಯವಿಲ್ಲ',
+            'location.timeout': 'ನಿಮ್ಮ ಸ್ಥಳ ಹುಡುಕುವ ಸಮಯ ಮೀರಿದೆ',
+            'location.failed': 'ನಿಮ್ಮ ಸ್ಥಳ ಪಡೆಯಲಾಗಲಿಲ್ಲ',
+            'navigation.remaining': 'ಇನ್ನೂ {distance}m · {time}',
+            'navigation.arrived': 'ನೀವು ತಲುಪಿದ್ದೀರಿ',
+            'navigation.arrivedAt': 'ನೀವು {name} ತಲುಪಿದ್ದೀರಿ',
+            'navigation.noReroute': 'ನೀವು ಮಾರ್ಗದಿಂದ ಹೊರಗಿದ್ದೀರಿ, ಹೊಸ ಮಾರ್ಗ ಸಿಗಲಿಲ್ಲ',
+            'navigation.rerouted': 'ಮಾರ್ಗದಿಂದ ಹೊರಗೆ; ಹೊಸ ಮಾರ್ಗ: {distance}m',
+            'navigation.replaying': 'ದಾಖಲಾದ {count} ಸ್ಥಾನಗಳನ್ನು ಮರುಪ್ರದರ್ಶಿಸಲಾಗುತ್ತಿದೆ',
+            'navigation.replayFinished': 'ದಾಖಲಾದ ನಡಿಗೆ ಮುಗಿದಿದೆ',
+
+            // Class timetable
+            'timetable.open': 'ನನ್ನ ವೇಳಾಪಟ್ಟಿ',
+            'timetable.title': 'ನನ್ನ ವೇಳಾಪಟ್ಟಿ',
+            'timetable.file': 'ಕ್ಯಾಲೆಂಡರ್ ಫೈಲ್ (.ics) ಅಥವಾ CSV',
+            'timetable.paste': 'ಅಥವಾ CSV ಸಾಲುಗಳನ್ನು ಅಂಟಿಸಿ: ದಿನ, ಆರಂಭ, ಅಂತ್ಯ, ತರಗತಿ, ಕೊಠಡಿ',
+            'timetable.load': 'ಅಂಟಿಸಿದ ವೇಳಾಪಟ್ಟಿ ಲೋಡ್ ಮಾಡಿ',
+            'timetable.clear': 'ವೇಳಾಪಟ್ಟಿ ತೆರವುಗೊಳಿಸಿ',
+            'timetable.day': 'ದಿನ',
+            'timetable.locations': 'ಸ್ಥಳಗಳು',
+            'timetable.locationsHint': 'ಪ್ರತಿ ಕೊಠಡಿ ನಕ್ಷೆಯಲ್ಲಿ ಸರಿಯಾದ ಸ್ಥಳಕ್ಕೆ ಹೊಂದಿದೆಯೇ ಎಂದು ಪರಿಶೀಲಿಸಿ.',
+            'timetable.unmatchedOption': 'ನಕ್ಷೆಯಲ್ಲಿ ಇಲ್ಲ',
+            'timetable.loaded': '{count} ತರಗತಿಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಿದೆ',
+            'timetable.loadedWarnings': '{count} ತರಗತಿಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಿದೆ; ಓದಲಾಗದ {skipped} ನಮೂದುಗಳನ್ನು ಬಿಡಲಾಗಿದೆ',
+            'timetable.empty': 'ಸಮಯವಿರುವ ಯಾವುದೇ ತರಗತಿಗಳು ಸಿಗಲಿಲ್ಲ',
+            'timetable.readError': 'ವೇಳಾಪಟ್ಟಿ ಫೈಲ್ ಓದಲಾಗಲಿಲ್ಲ',
+            'timetable.cleared': 'ವೇಳಾಪಟ್ಟಿ ತೆರವುಗೊಳಿಸಲಾಗಿದೆ',
+            'timetable.noClasses': 'ಈ ದಿನ ಯಾವುದೇ ತರಗತಿಗಳಿಲ್ಲ',
+            'timetable.none': 'ಸ್ಥಳವಿಲ್ಲ',
+            'timetable.walk': '{distance}m, {time} ನಡಿಗೆ · {minutes} ನಿಮಿಷ ವಿರಾಮ',
+            'timetable.late': 'ನೀವು ತಡವಾಗಬಹುದು',
+            'timetable.sameRoom': 'ಅದೇ ಸ್ಥಳ, ನಡೆಯುವ ಅಗತ್ಯವಿಲ್ಲ',
+            'timetable.unmatched': 'ನಡಿಗೆ ನೋಡಲು ಎರಡೂ ತರಗತಿಗಳಿಗೆ ನಕ್ಷೆಯ ಸ್ಥಳ ಆಯ್ಕೆಮಾಡಿ',
+            'timetable.noRoute': 'ಈ ಸಮಯದಲ್ಲಿ ಈ ತರಗತಿಗಳ ನಡುವೆ ಮಾರ್ಗವಿಲ್ಲ',
+            'timetable.showRoute': 'ಮಾರ್ಗ ತೋರಿಸಿ',
+
+            // Reachable area
+            'reach.title': 'ನಾನು ಎಲ್ಲಿಗೆ ತಲುಪಬಹುದು?',
+            'reach.from': 'ಇಂದ',
+            'reach.selectOrigin': 'ಸ್ಥಳ ಆಯ್ಕೆಮಾಡಿ...',
+            'reach.within': 'ಒಳಗೆ',
+            'reach.minutes': 'ನಿಮಿಷಗಳು',
+            'reach.meters': 'ಮೀಟರ್',
+            'reach.list': 'ಪಟ್ಟಿ',
+            'reach.allPlaces': 'ಎಲ್ಲಾ ಸ್ಥಳಗಳು',
+            'reach.show': 'ತಲುಪಬಹುದಾದ ಪ್ರದೇಶ ತೋರಿಸಿ',
+            'reach.clear': 'ತೆರವುಗೊಳಿಸಿ',
+            'reach.badBudget': 'ಸೊನ್ನೆಗಿಂತ ಹೆಚ್ಚಿನ ಸಮಯ ಅಥವಾ ದೂರ ನಮೂದಿಸಿ',
+            'reach.withinMinutes': '{minutes} ನಿಮಿಷದೊಳಗೆ',
+            'reach.withinMeters': '{distance}m ಒಳಗೆ',
+            'reach.bandMinutes': '{from}–{to} ನಿಮಿಷ',
+            'reach.bandMeters': '{from}–{to}m',
+            'reach.none': 'ಈ ರೀತಿಯ ಯಾವುದೇ ಸ್ಥಳ ತಲುಪಲಾಗುವುದಿಲ್ಲ'
+        }
+    },
+
+    hi: {
+        name: 'हिन्दी',
+        locale: 'hi-IN',
+        messages: {
+            'compass.north': 'उत्तर',
+            'compass.northeast': 'उत्तर-पूर्व',
+            'compass.east': 'पूर्व',
+            'compass.southeast': 'दक्षिण-पूर्व',
+            'compass.south': 'दक्षिण',
+            'compass.southwest': 'दक्षिण-पश्चिम',
+            'compass.west': 'पश्चिम',
+            'compass.northwest': 'उत्तर-पश्चिम',
+            'step.depart': '{at} से {heading} दिशा में {to} की ओर चलें',
+            'step.departTowards': '{to} की ओर चलें',
+            'step.slight_left': '{at} पर हल्का बाएँ मुड़ें और {to} की ओर चलें',
+            'step.slight_right': '{at} पर हल्का दाएँ मुड़ें और {to} की ओर चलें',
+            'step.left': '{at} पर बाएँ मुड़ें और {to} की ओर चलें',
+            'step.right': '{at} पर दाएँ मुड़ें और {to} की ओर चलें',
+            'step.sharp_left': '{at} पर तेज़ बाएँ मुड़ें और {to} की ओर चलें',
+            'step.sharp_right': '{at} पर तेज़ दाएँ मुड़ें और {to} की ओर चलें',
+            'step.uturn': '{at} पर वापस मुड़ें और {to} की ओर चलें',
+            'step.straight': '{at} पर सीधे {to} की ओर चलते रहें',
+            'step.walkToPath': '{from} से {heading} दिशा में {to} तक चलें',
+            'step.leavePath': 'रास्ते से हटकर {heading} दिशा में {to} तक चलें',
+            'step.lift': 'लिफ़्ट से {floor} पर जाएँ',
+            'step.stairsUp': 'सीढ़ियों से ऊपर {floor} पर जाएँ',
+            'step.stairsDown': 'सीढ़ियों से नीचे {floor} पर जाएँ',
+            'floor.ground': 'भूतल',
+            'floor.basement': 'तहखाना {n}',
+            'floor.number': 'मंज़िल {n}',
+            'floor.groundShort': 'भू',
+            'floor.show': '{floor} दिखाएँ',
+            'floor.arriveFrom': '{floor} से आएँ',
+            'floorName.ground': 'भूतल',
+            'floorName.basement': 'तहखाना {n}',
+            'floorName.number': 'मंज़िल {n}',
+            'point.pathBetween': '{a} और {b} के बीच का रास्ता',
+            'duration.underMinute': '< 1 मिनट',
+            'duration.minutes': '{minutes} मिनट',
+            'duration.hours': '{hours} घंटे {minutes} मिनट',
+
+            'closure.node': '{name} बंद है ({when})',
+            'closure.nodeForReason': '{reason} के कारण {name} बंद है ({when})',
+            'closure.path': '{a} ↔ {b} रास्ता बंद है ({when})',
+            'closure.pathForReason': '{reason} के कारण {a} ↔ {b} रास्ता बंद है ({when})',
+            'closure.opens': '{time} खुलेगा',
+            'closure.reopens': '{time} फिर खुलेगा',
+            'closure.closedAllWeek': 'पूरे सप्ताह बंद',
+            'time.today': '{clock} बजे',
+            'time.tomorrow': 'कल {clock} बजे',
+            'time.date': '{date} को {clock} बजे',
+
+            'profile.default': 'सामान्य',
+            'profile.step_free': 'सीढ़ी-रहित',
+            'profile.covered': 'ढका हुआ',
+            'profile.lit': 'रोशनी वाला',
+            'profileOption.default': 'सामान्य',
+            'profileOption.step_free': 'सीढ़ी-रहित (सीढ़ियाँ या कच्चे रास्ते नहीं)',
+            'profileOption.covered': 'बारिश में ढका हुआ रास्ता',
+            'profileOption.lit': 'रात में रोशनी वाला रास्ता',
+            'rule.stairs': 'सीढ़ियाँ',
+            'rule.wheelchair': 'व्हीलचेयर के लिए सुलभ नहीं',
+            'rule.unpaved': 'कच्चा रास्ता',
+            'rule.uncovered': 'खुला रास्ता',
+            'rule.unlit': 'बिना रोशनी का रास्ता',
+            'rule.lighting_unknown': 'रोशनी की जानकारी नहीं',
+            'rule.closed': 'बंद',
+
+            'category.academic': 'शैक्षणिक',
+            'category.hostel': 'छात्रावास',
+            'category.food': 'भोजन',
+            'category.sports': 'खेल',
+            'category.admin': 'प्रशासन',
+            'category.parking': 'पार्किंग',
+            'category.gate': 'द्वार',
+            'category.room': 'कमरे',
+            'category.lift': 'लिफ़्ट',
+            'category.stairwell': 'सीढ़ियाँ',
+            'category.junction': 'चौराहे',
+            'category.other': 'अन्य',
+            'layer.osm': 'सड़क मानचित्र',
+            'layer.local': 'स्थानीय टाइलें',
+            'layer.blueprint': 'केवल ब्लूप्रिंट',
+            'legend.title': 'संकेत',
+            'popup.id': 'आईडी',
+            'popup.coordinates': 'निर्देशांक',
+            'popup.copyLink': 'लिंक कॉपी करें',
+            'popup.linkCopied': '{name} का लिंक कॉपी हो गया',
+            'pointMenu.start': 'यहाँ से शुरू करें',
+            'pointMenu.stop': 'यहाँ पड़ाव जोड़ें',
+            'pointMenu.end': 'यहाँ तक जाएँ',
+            'pin.name': 'पिन {n}',
+            'pin.noPaths': 'इस मंज़िल पर मार्ग के लिए कोई रास्ता नहीं है',
+            'pin.snapped': '{name} सबसे नज़दीकी रास्ते से {distance}m दूर है',
+            'source.network': 'लाइव डेटा',
+            'source.networkTitle': 'कैंपस डेटा सर्वर से डाउनलोड किया गया',
+            'source.cache': 'सहेजा गया डेटा',
+            'source.cacheTitle': 'सर्वर उपलब्ध नहीं; इस डिवाइस पर सहेजी गई प्रति दिखाई जा रही है',
+            'source.embedded': 'अंतर्निहित डेटा',
+            'source.embeddedTitle': 'कैंपस डेटा लोड नहीं हो सका; ऐप में मौजूद डेटा दिखाया जा रहा है',
+            'source.local': 'स्थानीय बदलाव',
+            'source.localTitle': 'इस ब्राउज़र में सहेजे गए बदलाव दिखाए जा रहे हैं',
+            'source.offline': 'ऑफ़लाइन',
+
+            'app.title': 'चाणक्य विश्वविद्यालय कैंपस मानचित्र',
+            'app.loading': 'कैंपस मानचित्र लोड हो रहा है...',
+            'app.loaded': 'कैंपस मानचित्र सफलतापूर्वक लोड हुआ!',
+            'app.loadedLocal': 'आपके स्थानीय बदलावों के साथ कैंपस मानचित्र लोड हुआ',
+            'app.serverChanged': 'आपके स्थानीय बदलाव सहेजे जाने के बाद सर्वर पर कैंपस डेटा बदल गया है; एडमिन मोड में इसकी समीक्षा करें',
+            'app.loadError': 'कैंपस डेटा लोड करने में त्रुटि',
+            'app.invalidData': 'distances.json में {count} त्रुटि(याँ) हैं; अंतर्निहित डेटा का उपयोग हो रहा है',
+            'language.label': 'भाषा',
+            'search.placeholder': 'कैंपस के स्थान खोजें...',
+            'search.empty': 'कोई मेल खाता स्थान नहीं',
+            'search.from': 'से',
+            'search.to': 'तक',
+            'search.fromTitle': 'प्रारंभ स्थान बनाएँ',
+            'search.toTitle': 'गंतव्य बनाएँ',
+            'search.startSet': 'प्रारंभ स्थान: {name}',
+            'search.endSet': 'गंतव्य: {name}',
+            'link.unknown': 'लिंक में अज्ञात स्थान: {ids}',
+
+            'route.title': 'मार्ग खोजक',
+            'route.start': 'प्रारंभ स्थान',
+            'route.selectStart': 'प्रारंभ स्थान चुनें...',
+            'route.stops': 'पड़ाव',
+            'route.addStop': 'पड़ाव जोड़ें',
+            'route.selectStop': 'पड़ाव चुनें...',
+            'route.moveUp': 'ऊपर करें',
+            'route.moveDown': 'नीचे करें',
+            'route.removeStop': 'पड़ाव हटाएँ',
+            'route.mapPoints': 'मानचित्र बिंदु',
+            'route.destination': 'गंतव्य',
+            'route.selectDestination': 'गंतव्य चुनें...',
+            'route.profile': 'मार्ग प्राथमिकता',
+            'route.speed': 'चलने की गति',
+            'speed.slow': 'धीमी (3 कि.मी./घं.)',
+            'speed.relaxed': 'आराम से (4 कि.मी./घं.)',
+            'speed.average': 'औसत (5 कि.मी./घं.)',
+            'speed.brisk': 'तेज़ (6 कि.मी./घं.)',
+            'route.leaveAt': 'निकलने का समय',
+            'route.leaveAtHint': 'अभी के समय के लिए खाली छोड़ें। खुलने का समय और बंद रास्ते इसी समय के अनुसार देखे जाते हैं।',
+            'route.optimize': 'पड़ावों का क्रम बेहतर करें',
+            'route.fixedEnd': 'गंतव्य को अंतिम पड़ाव रखें',
+            'route.find': 'मार्ग खोजें',
+            'route.clear': 'मार्ग हटाएँ',
+            'route.placeholder': 'सबसे अच्छा मार्ग खोजने के लिए प्रारंभ और गंतव्य चुनें',
+            'route.selectBoth': 'कृपया प्रारंभ और गंतव्य दोनों चुनें',
+            'route.same': 'प्रारंभ और गंतव्य एक ही नहीं हो सकते',
+            'route.found': 'मार्ग मिल गया! दूरी: {distance}m',
+            'route.foundLegs': '{legs} हिस्सों वाला मार्ग मिल गया! दूरी: {distance}m',
+            'route.foundAlternatives': 'मार्ग मिल गया! दूरी: {distance}m, साथ में {count} वैकल्पिक मार्ग',
+            'route.alternatives': 'वैकल्पिक मार्ग',
+            'route.alternative': 'मार्ग {n}',
+            'route.via': '{name} होकर',
+            'route.showAlternatives': 'अन्य मार्ग दिखाएँ',
+            'route.noAlternatives': 'कोई अन्य अलग मार्ग नहीं मिला',
+            'route.noneForStops': 'कोई भी मार्ग सभी चुने गए पड़ावों को नहीं जोड़ता',
+            'route.none': 'चुने गए स्थानों के बीच कोई मार्ग नहीं मिला',
+            'route.leg': 'हिस्सा {n}: {from} → {to}',
+            'route.detour': 'बंद रास्तों के कारण {extra}m का घुमाव',
+            'route.exportGpx': 'GPX निर्यात करें',
+            'route.copyLink': 'मार्ग का लिंक कॉपी करें',
+            'route.linkCopied': 'मार्ग का लिंक कॉपी हो गया',
+            'route.print': 'प्रिंट करें',
+            'noRoute.title': '{from} से {to} तक कोई {profile} मार्ग नहीं',
+            'noRoute.toast': 'कोई {profile} मार्ग नहीं मिला',
+            'noRoute.open': 'खुला',
+            'noRoute.notConnected': 'ये स्थान किसी भी रास्ते से जुड़े नहीं हैं।',
+            'noRoute.blockedBy': 'रुकावट:',
+            'noRoute.laterTime': 'दोबारा खुलने के बाद का मार्ग देखने के लिए 🕒 निकलने का समय में बाद का समय चुनें।',
+            'noRoute.defaultProfile': 'बिना प्रतिबंध वाला मार्ग देखने के लिए सामान्य प्राथमिकता चुनें।',
+            'print.findFirst': 'पहले मार्ग खोजें',
+            'print.walk': '{time} पैदल',
+            'print.profile': '{profile} मार्ग',
+            'print.printed': 'प्रिंट का समय {time}',
+            'print.scan': 'लाइव मानचित्र के लिए स्कैन करें',
+            'data.export': 'डेटा निर्यात करें',
+            'data.exportGeoJson': 'GeoJSON निर्यात करें',
+            'data.saveOffline': 'मानचित्र ऑफ़लाइन सहेजें',
+            'data.import': 'डेटा आयात करें',
+            'data.saveOfflineUnsupported': 'यह ब्राउज़र मानचित्र टाइलें ऑफ़लाइन सहेज नहीं सकता',
+            'data.saveOfflineNoSource': 'ऑफ़लाइन उपयोग के लिए टाइलें सहेजने हेतु स्ट्रीट मैप या लोकल टाइलें चुनें',
+            'data.saveOfflineTooMany': 'परिसर क्षेत्र के लिए {count} टाइलें चाहिए; सीमा {limit} है',
+            'data.savingTiles': 'टाइलें सहेजी जा रही हैं {done}/{total}',
+            'data.savedTilesSome': '{saved} टाइलें सहेजी गईं; {failed} डाउनलोड नहीं हो सकीं',
+            'data.savedTiles': 'ऑफ़लाइन उपयोग के लिए {saved} टाइलें सहेजी गईं',
+            'data.blueprintLoaded': 'ब्लूप्रिंट परत लोड हो गई',
+
+            'location.you': 'आपका स्थान',
+            'location.use': 'मेरा स्थान उपयोग करें',
+            'location.stop': 'मेरा स्थान उपयोग करना बंद करें',
+            'location.notSupported': 'इस ब्राउज़र में स्थान उपलब्ध नहीं है',
+            'location.finding': 'आपका स्थान खोजा जा रहा है…',
+            'location.denied': 'स्थान की अनुमति नहीं दी गई',
+            'location.unavailable': 'आपका स्थान उपलब्ध नहीं है',
+            'location.timeout': 'आपका स्थान खोजने में समय समाप्त हो गया',
+            'location.failed': 'आपका स्थान नहीं मिल सका',
+            'navigation.remaining': '{distance}m बाकी · {time}',
+            'navigation.arrived': 'आप पहुँच गए हैं',
+            'navigation.arrivedAt': 'आप {name} पहुँच गए हैं',
+            'navigation.noReroute': 'आप मार्ग से हट गए हैं और कोई नया मार्ग नहीं मिला',
+            'navigation.rerouted': 'मार्ग से हटे; नया मार्ग: {distance}m',
+            'navigation.replaying': '{count} रिकॉर्ड की गई स्थितियाँ फिर से चलाई जा रही हैं',
+            'navigation.replayFinished': 'रिकॉर्ड की गई सैर समाप्त हुई',
+
+            // Class timetable
+            'timetable.open': 'मेरी समय-सारणी',
+            'timetable.title': 'मेरी समय-सारणी',
+            'timetable.file': 'कैलेंडर फ़ाइल (.ics) या CSV',
+            'timetable.paste': 'या CSV पंक्तियाँ चिपकाएँ: दिन, शुरू, समाप्त, कक्षा, कमरा',
+            'timetable.load': 'चिपकाई गई समय-सारणी लोड करें',
+            'timetable.clear': 'समय-सारणी हटाएँ',
+            'timetable.day': 'दिन',
+            'timetable.locations': 'स्थान',
+            'timetable.locationsHint': 'जाँचें कि हर कमरा नक्शे पर सही जगह से जुड़ा है।',
+            'timetable.unmatchedOption': 'नक्शे पर नहीं',
+            'timetable.loaded': '{count} कक्षाएँ लोड की गईं',
+            'timetable.loadedWarnings': '{count} कक्षाएँ लोड की गईं; {skipped} अपठनीय प्रविष्टियाँ छोड़ी गईं',
+            'timetable.empty': 'समय वाली कोई कक्षा नहीं मिली',
+            'timetable.readError': 'समय-सारणी फ़ाइल पढ़ी नहीं जा सकी',
+            'timetable.cleared': 'समय-सारणी हटा दी गई',
+            'timetable.noClasses': 'इस दिन कोई कक्षा नहीं',
+            'timetable.none': 'कोई स्थान नहीं',
+            'timetable.walk': '{distance}m, {time} पैदल · {minutes} मिनट का अंतराल',
+            'timetable.late': 'आपको देर हो सकती है',
+            'timetable.sameRoom': 'वही जगह, चलने की ज़रूरत नहीं',
+            'timetable.unmatched': 'पैदल रास्ता देखने के लिए दोनों कक्षाओं का नक्शे पर स्थान चुनें',
+            'timetable.noRoute': 'इस समय इन कक्षाओं के बीच कोई मार्ग नहीं',
+            'timetable.showRoute': 'मार्ग दिखाएँ',
+
+            // Reachable area
+            'reach.title': 'मैं कहाँ तक पहुँच सकता हूँ?',
+            'reach.from': 'से',
+            'reach.selectOrigin': 'स्थान चुनें...',
+            'reach.within': 'के भीतर',
+            'reach.minutes': 'मिनट',
+            'reach.meters': 'मीटर',
+            'reach.list': 'सूची',
+            'reach.allPlaces': 'सभी स्थान',
+            'reach.show': 'पहुँच योग्य क्षेत्र दिखाएँ',
+            'reach.clear': 'हटाएँ',
+            'reach.badBudget': 'शून्य से अधिक समय या दूरी दर्ज करें',
+            'reach.withinMinutes': '{minutes} मिनट के भीतर',
+            'reach.withinMeters': '{distance}m के भीतर',
+            'reach.bandMinutes': '{from}–{to} मिनट',
+            'reach.bandMeters': '{from}–{to}m',
+            'reach.none': 'इस प्रकार का कोई स्थान नहीं पहुँचा जा सकता'
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCALES };
+}
@@ -1,42 +1,676 @@
 // Chanakya University Campus Map Application
 // Interactive mapping with Leaflet, pathfinding, and route visualization
 
-class CampusMap {
+// Maps blueprint pixel (x, y) to [lat, lng] with
+// lat = a·x + b·y + c and lng = d·x + e·y + f
+function applyAffineTransform(transform, x, y) {
+    const [a, b, c, d, e, f] = transform;
+    return [a * x + b * y + c, d * x + e * y + f];
+}
+
+// Image overlay placed by an affine transform instead of two corners,
+// so a rotated or skewed blueprint can line up with the satellite tiles
+const AffineImageOverlay = L.Layer.extend({
+    options: {
+        opacity: 1
+    },
+    
+    initialize(url, georeference, options) {
+        this._url = url;
+        this._georeference = georeference;
+        L.setOptions(this, options);
+    },
+    
+    onAdd() {
+        if (!this._image) {
+            const [width, height] = this._georeference.imageSize;
+            const image = L.DomUtil.create('img', 'leaflet-image-layer leaflet-zoom-hide');
+            image.style.width = `${width}px`;
+            image.style.height = `${height}px`;
+            image.style.transformOrigin = '0 0';
+            L.DomUtil.setOpacity(image, this.options.opacity);
+            image.onload = () => this.fire('load');
+            image.onerror = () => this.fire('error');
+            image.src = this._url;
+            this._image = image;
+        }
+        
+        this.getPane().appendChild(this._image);
+        this._reset();
+    },
+    
+    onRemove() {
+        L.DomUtil.remove(this._image);
+    },
+    
+    getEvents() {
+        return {
+            zoom: this._reset,
+            viewreset: this._reset
+        };
+    },
+    
+    setOpacity(opacity) {
+        this.options.opacity = opacity;
+        if (this._image) {
+            L.DomUtil.setOpacity(this._image, opacity);
+        }
+        return this;
+    },
+    
+    _reset() {
+        // Three projected corners define the CSS matrix for the current view
+        const [width, height] = this._georeference.imageSize;
+        const project = (x, y) => this._map.latLngToLayerPoint(applyAffineTransform(this._georeference.transform, x, y));
+        const origin = project(0, 0);
+        const right = project(width, 0);
+        const down = project(0, height);
+        
+        this._image.style.transform = `matrix(${[
+            (right.x - origin.x) / width,
+            (right.y - origin.y) / width,
+            (down.x - origin.x) / height,
+            (down.y - origin.y) / height,
+            origin.x,
+            origin.y
+        ].join(', ')})`;
+    }
+});
+
+// QR code encoder (byte mode, error correction level M) so signage codes
+// can be made offline. Follows ISO/IEC 18004; modules[y][x] is true for dark.
+class QrCode {
+    static encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        
+        // Smallest version whose data capacity fits mode, length and bytes
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QrCode.dataCodewords(version) * 8) break;
+        }
+        if (version > 40) {
+            throw new Error('Text is too long for a QR code');
+        }
+        
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        
+        // Terminator, byte alignment, then alternating pad bytes
+        const capacity = QrCode.dataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+        
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        
+        return new QrCode(version, QrCode.addErrorCorrection(version, data));
+    }
+    
+    static rawCodewords(version) {
+        // Modules left for data after function patterns, in whole bytes
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return Math.floor(modules / 8);
+    }
+    
+    static dataCodewords(version) {
+        return QrCode.rawCodewords(version) - QrCode.ECC_PER_BLOCK[version] * QrCode.BLOCKS[version];
+    }
+    
+    static addErrorCorrection(version, data) {
+        // Splits data into blocks, appends Reed-Solomon codewords to each and
+        // interleaves them. Long blocks have one more data codeword.
+        const blockCount = QrCode.BLOCKS[version];
+        const eccLength = QrCode.ECC_PER_BLOCK[version];
+        const raw = QrCode.rawCodewords(version);
+        const shortBlocks = blockCount - raw % blockCount;
+        const shortLength = Math.floor(raw / blockCount) - eccLength;
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+        
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ecc: QrCode.reedSolomonRemainder(block, divisor) });
+        }
+        
+        const result = [];
+        for (let i = 0; i <= shortLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return result;
+    }
+    
+    static gfMultiply(x, y) {
+        // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+    
+    static reedSolomonDivisor(degree) {
+        // Coefficients of (x - 2^0)(x - 2^1)...(x - 2^(degree-1)), highest
+        // power first with its leading 1 dropped
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCode.gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QrCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+    
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+    
+    constructor(version, codewords) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        
+        this.drawFunctionPatterns();
+        this.drawCodewords(codewords);
+        
+        // Keep the mask with the lowest penalty
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.penalty();
+            if (!best || penalty < best.penalty) best = { mask, penalty };
+            this.applyMask(mask);
+        }
+        this.mask = best.mask;
+        this.applyMask(best.mask);
+        this.drawFormatBits(best.mask);
+        this.reserved = null;
+    }
+    
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+    
+    drawFunctionPatterns() {
+        const size = this.size;
+        
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+        
+        // Finder patterns with their light separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+        
+        // Alignment patterns, except where they would overlap a finder
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format areas now; drawFormatBits fills them per mask
+        this.drawFormatBits(0);
+        
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, dark);
+                this.setFunctionModule(b, a, dark);
+            }
+        }
+    }
+    
+    alignmentPositions() {
+        if (this.version === 1) return [];
+        
+        const count = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+    
+    drawFormatBits(mask) {
+        // Level M is 00 in the format field
+        const data = (0b00 << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = this.size;
+        
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+        
+        // Split between the other two finders, plus the fixed dark module
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+        this.setFunctionModule(8, size - 8, true);
+    }
+    
+    drawCodewords(codewords) {
+        // Zigzag up and down two-module columns from the right, skipping the
+        // vertical timing pattern
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x]) continue;
+                    if (i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+    
+    applyMask(mask) {
+        // XOR, so applying the same mask twice undoes it
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+    
+    penalty() {
+        // The four penalty rules used to choose a mask
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i].map(dark => dark ? 1 : 0).join(''));
+            lines.push(this.modules.map(row => row[i] ? 1 : 0).join(''));
+        }
+        
+        let score = 0;
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                score += run.length - 2;
+            });
+            
+            // Finder-like 1:1:3:1:1 runs with four light modules on a side
+            const padded = `0000${line}0000`;
+            for (let i = 0; i + 11 <= padded.length; i++) {
+                const window = padded.substr(i, 11);
+                if (window === '10111010000' || window === '00001011101') score += 40;
+            }
+        });
+        
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+    
+    toSvg(moduleSize = 4, margin = 4) {
+        // One path of unit squares; the light quiet zone is part of the image
+        const total = (this.size + margin * 2) * moduleSize;
+        const path = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            }
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${total}" height="${total}" viewBox="0 0 ${this.size + margin * 2} ${this.size + margin * 2}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+}
+
+// Error correction codewords per block and block counts at level M, by version
+QrCode.ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+QrCode.BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+class CampusMap extends CampusGraph {
     constructor() {
+        super();
+        
         this.map = null;
         this.overlay = null;
         this.markers = {};
         this.currentRoute = null;
-        this.graph = null;
+        this.currentRouteData = null;
         this.isAdminMode = false;
         this.searchIndex = [];
+        this.searchActiveIndex = -1;
+        
+        // Deep link state; updates are suppressed while restoring from the URL
+        this.selectedLocation = null;
+        this.restoringUrl = false;
+        
+        // Intermediate stops between start and destination, in visiting order
+        this.waypoints = [];
+        
+        // Map layer for each point-of-interest category
+        this.categoryLayers = {};
+        
+        // Floor switcher for this.currentFloor
+        this.floorControl = null;
+        
+        // Layer switcher and legend, rebuilt when the language changes
+        this.layersControl = null;
+        this.legendControl = null;
+        
+        // Admin graph editor state
+        this.editorTool = 'move';
+        this.edgeLayer = null;
+        this.pendingEdgeStart = null;
+        this.pendingNodeLatLng = null;
+        this.autoDistances = true;
         
         // Default bounds for overlay (approximate Bangalore coordinates)
         this.defaultBounds = {
             nw: [13.1980, 77.7050],
             se: [13.1950, 77.7080]
         };
+        this.initialBounds = JSON.parse(JSON.stringify(this.defaultBounds));
+        this.overlayOpacity = 0.8;
+        this.blueprintUrl = './assets/blueprint.jpg';
+        
+        // Base layers. Local tiles are served from ./tiles/{z}/{x}/{y}.png
+        // (see README); the service worker caches both tile sources.
+        this.tileSources = {
+            osm: {
+                label: 'Street map',
+                url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+                attribution: '© OpenStreetMap contributors'
+            },
+            local: {
+                label: 'Local tiles',
+                url: './tiles/{z}/{x}/{y}.png',
+                attribution: '© OpenStreetMap contributors'
+            }
+        };
+        this.baseLayers = {};
+        this.baseLayerKey = 'osm';
+        this.tileCacheName = 'campus-tiles';
+        this.offlineZooms = [15, 16, 17, 18, 19];
+        this.maxOfflineTiles = 1500;
+        
+        // Where the graph came from: network, cache, embedded or local
+        this.dataSource = 'network';
+        
+        // Location tracking and progress along the current route
+        this.locationNodeId = '@me';
+        this.pinCount = 0;
+        this.pinMarkers = {};
+        this.locationWatchId = null;
+        this.simulationTimer = null;
+        this.locationLayer = null;
+        this.navigation = null;
+        this.offRouteDistance = 25;
+        
+        // Import under review
+        this.pendingImport = null;
+        this.importPreviewLayer = null;
+        
+        // Alternatives to the current single-leg route; currentRouteData is one of them
+        this.alternativeRoutes = null;
+        
+        // Reachable area from one place, coloured in equal time bands from near to far
+        this.reachLayer = null;
+        this.reachability = null;
+        this.reachColors = ['#059669', '#84cc16', '#f59e0b', '#dc2626'];
+        
+        // Closures on the map and the closure being added in the editor
+        this.closureLayer = null;
+        this.pendingClosureTarget = null;
+        
+        // Control points pair blueprint pixels with map positions for the affine fit
+        this.controlPoints = [];
+        this.pendingControlPoint = null;
+        
+        // Imported class timetable and its location-to-node matches
+        this.timetable = { events: [], matches: {} };
+        this.timetableDay = null;
+        this.timetableGaps = [];
+        
+        // Local persistence and undo/redo history for admin edits
+        this.storageKeys = {
+            graph: 'campusMap.graph',
+            calibration: 'campusMap.calibration',
+            baseLayer: 'campusMap.baseLayer',
+            language: 'campusMap.language',
+            editor: 'campusMap.editor',
+            timetable: 'campusMap.timetable',
+            serverBase: 'campusMap.serverBase'
+        };
+        // The server's distances.json as fetched, the server copy local edits
+        // started from, and the fetched copy again when the two differ
+        this.serverGraph = null;
+        this.localBaseGraph = null;
+        this.serverUpdate = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
         
         this.init();
     }
     
     async init() {
+        this.language = this.getPreferredLanguage();
+        this.applyTranslations();
         this.showLoading();
         try {
             await this.loadGraphData();
+            const restored = this.restoreLocalState();
+            if (restored) {
+                this.dataSource = 'local';
+            }
             this.initMap();
             this.initUI();
+            this.initLanguageSelect();
+            this.renderDataSource();
+            this.registerServiceWorker();
+            this.renderClosureList();
             this.buildSearchIndex();
             this.populateSelects();
-            this.showToast('Campus map loaded successfully!', 'success');
+            this.restoreTimetable();
+            this.updateHistoryButtons();
+            this.applyUrlState();
+            this.showToast(this.t(restored ? 'app.loadedLocal' : 'app.loaded'), 'success');
+            if (this.serverUpdate) {
+                this.showToast(this.t('app.serverChanged'), 'warning');
+            }
         } catch (error) {
             console.error('Error initializing map:', error);
-            this.showToast('Error loading campus data', 'error');
+            this.showToast(this.t('app.loadError'), 'error');
         } finally {
             this.hideLoading();
         }
     }
     
+    getPreferredLanguage() {
+        // Saved choice, then the browser's language, then English
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKeys.language);
+        } catch (error) {
+            saved = null;
+        }
+        const browser = (navigator.language || '').split('-')[0];
+        return [saved, browser].find(code => code && this.locales[code]) || 'en';
+    }
+    
+    initLanguageSelect() {
+        const select = document.getElementById('languageSelect');
+        Object.entries(this.locales).forEach(([code, locale]) => {
+            select.add(new Option(locale.name, code));
+        });
+        select.value = this.language;
+        select.addEventListener('change', (e) => {
+            this.setLanguage(e.target.value);
+        });
+    }
+    
+    applyTranslations() {
+        // Static page text is marked with data-i18n attributes; everything
+        // rendered later goes through this.t() directly
+        document.documentElement.lang = this.language;
+        document.title = this.t('app.title');
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+            element.setAttribute('aria-label', element.title);
+        });
+    }
+    
+    setLanguage(code) {
+        if (!this.locales[code]) return;
+        this.language = code;
+        try {
+            localStorage.setItem(this.storageKeys.language, code);
+        } catch (error) {
+            console.error('Error saving language:', error);
+        }
+        
+        this.applyTranslations();
+        this.renderDataSource();
+        this.renderLayersControl();
+        this.renderLegend();
+        this.renderFloorControl();
+        this.updateLocationButton();
+        
+        // Names of your location and pins, then everything showing node names
+        this.temporaryPoints.forEach(point => {
+            if (point.id === this.locationNodeId) {
+                point.name = this.t('location.you');
+            } else if (this.pinMarkers[point.id]) {
+                point.name = this.t('pin.name', { n: point.id.replace('@pin', '') });
+                this.pinMarkers[point.id].setTooltipContent(point.name);
+            }
+        });
+        this.rebuildTemporaryGraph();
+        Object.values(this.categoryLayers).forEach(layer => layer.clearLayers());
+        this.markers = {};
+        this.addMarkers();
+        this.buildSearchIndex();
+        this.populateSelects();
+        this.drawClosures();
+        this.renderTimetable();
+        
+        // Route instructions are generated text, so the current route is redone
+        const route = this.currentRouteData;
+        if (route) {
+            (route.legs || this.alternativeRoutes || [route]).forEach(leg => {
+                leg.steps = this.generateSteps(leg.path);
+            });
+            if (route.legs) route.steps = route.legs.flatMap(leg => leg.steps);
+            this.displayRouteInfo(route);
+        } else if (this.reachability) {
+            this.drawReachability();
+            this.renderReachability();
+        } else if (!document.querySelector('#routeOutput .route-blocked')) {
+            this.clearRouteDisplay();
+        }
+    }
+    
     showLoading() {
         document.getElementById('loadingOverlay').classList.remove('hidden');
     }
@@ -48,73 +682,56 @@ class CampusMap {
     async loadGraphData() {
         try {
             const response = await fetch('./data/distances.json');
-            this.graph = await response.json();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            // The service worker marks copies it served while offline
+            const source = response.headers.get('X-Served-From') === 'cache' ? 'cache' : 'network';
+            
+            const result = this.validateGraph(await response.json());
+            if (result.errors.length > 0) {
+                console.error('Invalid graph data:', result.errors);
+                this.showToast(this.t('app.invalidData', { count: result.errors.length }), 'error');
+                throw new Error('Invalid graph data');
+            }
+            
+            if (result.warnings.length > 0) {
+                console.warn('Graph data warnings:', result.warnings);
+            }
+            this.graph = result.graph;
+            this.dataSource = source;
+            this.serverGraph = JSON.parse(JSON.stringify(result.graph));
         } catch (error) {
             console.error('Error loading graph data:', error);
             // Fallback to embedded data if file doesn't exist
             this.graph = this.getDefaultGraphData();
+            this.dataSource = 'embedded';
+            this.serverGraph = null;
         }
+        
+        // Exports log what changed since this copy
+        this.baselineGraph = JSON.parse(JSON.stringify(this.graph));
     }
     
-    getDefaultGraphData() {
-        return {
-            "nodes": [
-                {"id":"main_gate","name":"Main Gate","lat":13.1950,"lng":77.7060},
-                {"id":"entrance_junction","name":"Entrance Junction","lat":13.1955,"lng":77.7065},
-                {"id":"admin_block1","name":"Admin Block 1","lat":13.1960,"lng":77.7070},
-                {"id":"hostel1","name":"Hostel 1","lat":13.1965,"lng":77.7075},
-                {"id":"academic_block1","name":"Academic Block 1","lat":13.1970,"lng":77.7070},
-                {"id":"academic_block2","name":"Academic Block 2","lat":13.1970,"lng":77.7065},
-                {"id":"library","name":"Library","lat":13.1970,"lng":77.7060},
-                {"id":"cafeteria","name":"Cafeteria","lat":13.1965,"lng":77.7055},
-                {"id":"sports_complex","name":"Sports Complex","lat":13.1975,"lng":77.7067},
-                {"id":"auditorium","name":"Auditorium","lat":13.1962,"lng":77.7062},
-                {"id":"parking_area","name":"Parking Area","lat":13.1952,"lng":77.7062},
-                {"id":"north_junction","name":"North Junction","lat":13.1972,"lng":77.7067},
-                {"id":"east_junction","name":"East Junction","lat":13.1967,"lng":77.7072},
-                {"id":"south_junction","name":"South Junction","lat":13.1962,"lng":77.7067},
-                {"id":"west_junction","name":"West Junction","lat":13.1967,"lng":77.7062},
-                {"id":"center_junction","name":"Center Junction","lat":13.1967,"lng":77.7067}
-            ],
-            "edges": [
-                {"a":"main_gate","b":"entrance_junction","dist":120},
-                {"a":"entrance_junction","b":"parking_area","dist":80},
-                {"a":"entrance_junction","b":"south_junction","dist":150},
-                {"a":"south_junction","b":"west_junction","dist":180},
-                {"a":"west_junction","b":"north_junction","dist":180},
-                {"a":"north_junction","b":"east_junction","dist":180},
-                {"a":"east_junction","b":"south_junction","dist":180},
-                {"a":"south_junction","b":"center_junction","dist":90},
-                {"a":"west_junction","b":"center_junction","dist":90},
-                {"a":"north_junction","b":"center_junction","dist":90},
-                {"a":"east_junction","b":"center_junction","dist":90},
-                {"a":"south_junction","b":"admin_block1","dist":100},
-                {"a":"south_junction","b":"auditorium","dist":80},
-                {"a":"east_junction","b":"hostel1","dist":120},
-                {"a":"east_junction","b":"academic_block1","dist":100},
-                {"a":"north_junction","b":"academic_block1","dist":80},
-                {"a":"north_junction","b":"academic_block2","dist":100},
-                {"a":"north_junction","b":"sports_complex","dist":150},
-                {"a":"west_junction","b":"library","dist":100},
-                {"a":"west_junction","b":"cafeteria","dist":120},
-                {"a":"admin_block1","b":"auditorium","dist":90},
-                {"a":"hostel1","b":"academic_block1","dist":140},
-                {"a":"academic_block1","b":"academic_block2","dist":80},
-                {"a":"academic_block2","b":"library","dist":80},
-                {"a":"library","b":"cafeteria","dist":120},
-                {"a":"cafeteria","b":"parking_area","dist":160},
-                {"a":"center_junction","b":"auditorium","dist":70},
-                {"a":"sports_complex","b":"academic_block1","dist":120},
-                {"a":"sports_complex","b":"academic_block2","dist":100}
-            ],
-            "metadata": {
-                "source":"updated-circular-layout",
-                "centerApprox":[13.1967,77.7067],
-                "lastUpdated":"2025-01-27",
-                "description":"Chanakya University campus with circular road design and central junction system",
-                "layout":"circular_road_with_center_hub"
-            }
-        };
+    registerServiceWorker() {
+        // Service workers need http(s); opening index.html from disk skips this
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
+    }
+    
+    renderDataSource() {
+        const badge = document.getElementById('dataSourceBadge');
+        const icons = { network: '🌐', cache: '💾', embedded: '📦', local: '✏️' };
+        const source = icons[this.dataSource] ? this.dataSource : 'network';
+        const offline = !navigator.onLine;
+        
+        badge.className = `data-source-badge source-${this.dataSource}${offline ? ' offline' : ''}`;
+        badge.textContent = `${icons[source]} ${this.t(`source.${source}`)}${offline ? ` · ${this.t('source.offline')}` : ''}`;
+        badge.title = this.t(`source.${source}Title`);
     }
     
     initMap() {
@@ -122,579 +739,4026 @@ class CampusMap {
         const center = this.graph.metadata?.centerApprox || [12.9507, 77.6682];
         this.map = L.map('map').setView(center, 17);
         
-        // Add satellite/street tile layer
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: 20
-        }).addTo(this.map);
+        // Street tiles, local tiles or no tiles under the blueprint
+        this.initBaseLayers();
         
         // Try to add blueprint overlay
         this.initOverlay();
         
+        // One toggleable layer per category, plus a legend
+        this.initCategoryLayers();
+        
         // Add markers for each node
         this.addMarkers();
         
-        // Map click handler for admin mode
+        // Floor switcher for indoor navigation
+        this.initFloorControl();
+        
+        this.reachLayer = L.layerGroup().addTo(this.map);
+        
+        // Closures at the departure time, refreshed every minute while it is "now"
+        this.closureLayer = L.layerGroup().addTo(this.map);
+        this.drawClosures();
+        setInterval(() => {
+            if (!this.departureTime) this.drawClosures();
+        }, 60000);
+        
+        // Edge layer is only shown while editing in admin mode
+        this.edgeLayer = L.layerGroup();
+        
+        // Map click handler for admin mode and control-point picking
         this.map.on('click', (e) => {
-            if (this.isAdminMode) {
+            if (this.isAdminMode || this.pendingControlPoint) {
                 this.handleMapClick(e);
             }
         });
-    }
-    
-    initOverlay() {
-        // Check if blueprint image exists and add overlay
-        const overlayBounds = [
-            [this.defaultBounds.nw[0], this.defaultBounds.nw[1]],
-            [this.defaultBounds.se[0], this.defaultBounds.se[1]]
-        ];
-        
-        // Try to load blueprint overlay
-        this.overlay = L.imageOverlay('./assets/blueprint.jpg', overlayBounds, {
-            opacity: 0.8,
-            interactive: false,
-            errorOverlayUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMSIgaGVpZ2h0PSIxIiB2aWV3Qm94PSIwIDAgMSAxIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxIiBoZWlnaHQ9IjEiIGZpbGw9InRyYW5zcGFyZW50Ii8+PC9zdmc+'
-        }).addTo(this.map);
         
-        this.overlay.on('load', () => {
-            this.showToast('Blueprint overlay loaded', 'success');
+        // Right-click or long-press anywhere to route from or to that spot
+        this.map.on('contextmenu', (e) => {
+            this.showPointMenu(e.latlng);
         });
         
-        this.overlay.on('error', () => {
-            console.warn('Blueprint image not found. Please add ./assets/blueprint.jpg');
+        // Keep the map view in the URL
+        this.map.on('moveend', () => {
+            this.updateUrl();
         });
     }
     
-    addMarkers() {
-        this.graph.nodes.forEach(node => {
-            const marker = L.marker([node.lat, node.lng], {
-                draggable: false,
-                title: node.name
-            }).addTo(this.map);
-            
-            marker.bindPopup(`
-                <div class="popup-content">
-                    <h3>${node.name}</h3>
-                    <p>ID: ${node.id}</p>
-                    <p>Coordinates: ${node.lat.toFixed(6)}, ${node.lng.toFixed(6)}</p>
-                </div>
-            `);
-            
-            // Enable dragging in admin mode
-            marker.on('dragend', (e) => {
-                if (this.isAdminMode) {
-                    const pos = e.target.getLatLng();
-                    node.lat = pos.lat;
-                    node.lng = pos.lng;
-                    this.showToast(`${node.name} position updated`, 'success');
-                }
+    initBaseLayers() {
+        Object.entries(this.tileSources).forEach(([key, source]) => {
+            this.baseLayers[source.label] = L.tileLayer(source.url, {
+                attribution: source.attribution,
+                maxZoom: 20
             });
-            
-            this.markers[node.id] = marker;
+            this.baseLayers[source.label].sourceKey = key;
         });
-    }
-    
-    buildSearchIndex() {
-        this.searchIndex = this.graph.nodes.map(node => ({
-            id: node.id,
-            name: node.name,
-            searchText: node.name.toLowerCase()
-        }));
-    }
-    
-    populateSelects() {
-        const startSelect = document.getElementById('startSelect');
-        const endSelect = document.getElementById('endSelect');
         
-        // Clear existing options
-        startSelect.innerHTML = '<option value="">Select starting point...</option>';
-        endSelect.innerHTML = '<option value="">Select destination...</option>';
+        // Blueprint only: an empty base so nothing is fetched
+        const blank = L.layerGroup();
+        blank.sourceKey = 'blueprint';
+        this.baseLayers['Blueprint only'] = blank;
         
-        // Add options for each node
-        this.graph.nodes.forEach(node => {
-            const startOption = new Option(node.name, node.id);
-            const endOption = new Option(node.name, node.id);
-            startSelect.add(startOption);
-            endSelect.add(endOption);
+        try {
+            this.baseLayerKey = localStorage.getItem(this.storageKeys.baseLayer) || 'osm';
+        } catch (error) {
+            this.baseLayerKey = 'osm';
+        }
+        
+        const layers = Object.values(this.baseLayers);
+        (layers.find(layer => layer.sourceKey === this.baseLayerKey) || layers[0]).addTo(this.map);
+        
+        this.map.on('baselayerchange', (e) => {
+            this.baseLayerKey = e.layer.sourceKey;
+            try {
+                localStorage.setItem(this.storageKeys.baseLayer, this.baseLayerKey);
+            } catch (error) {
+                console.error('Error saving base layer:', error);
+            }
         });
     }
     
-    initUI() {
-        // Search functionality
-        const searchInput = document.getElementById('searchInput');
-        const searchResults = document.getElementById('searchResults');
+    getOfflineTileUrls() {
+        // Tiles covering the campus (node extent plus a margin) at the offline zoom levels
+        const source = this.tileSources[this.baseLayerKey];
+        if (!source) return [];
         
-        searchInput.addEventListener('input', (e) => {
-            this.handleSearch(e.target.value, searchResults);
-        });
+        const lats = this.graph.nodes.map(node => node.lat);
+        const lngs = this.graph.nodes.map(node => node.lng);
+        const margin = 0.002;
+        const north = Math.max(...lats) + margin;
+        const south = Math.min(...lats) - margin;
+        const west = Math.min(...lngs) - margin;
+        const east = Math.max(...lngs) + margin;
         
-        // Hide search results when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!searchInput.contains(e.target) && !searchResults.contains(e.target)) {
-                searchResults.style.display = 'none';
+        const tileX = (lng, z) => Math.floor((lng + 180) / 360 * 2 ** z);
+        const tileY = (lat, z) => {
+            const rad = lat * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** z);
+        };
+        
+        const urls = [];
+        this.offlineZooms.forEach(z => {
+            for (let x = tileX(west, z); x <= tileX(east, z); x++) {
+                for (let y = tileY(north, z); y <= tileY(south, z); y++) {
+                    urls.push(new URL(source.url.replace('{z}', z).replace('{x}', x).replace('{y}', y), location.href).href);
+                }
             }
         });
+        return urls;
+    }
+    
+    async saveTilesForOffline() {
+        if (!('caches' in window)) {
+            this.showToast(this.t('data.saveOfflineUnsupported'), 'error');
+            return;
+        }
         
-        // Route finder controls
-        document.getElementById('findRouteBtn').addEventListener('click', () => {
-            this.findRoute();
+        const urls = this.getOfflineTileUrls();
+        if (urls.length === 0) {
+            this.showToast(this.t('data.saveOfflineNoSource'), 'warning');
+            return;
+        }
+        if (urls.length > this.maxOfflineTiles) {
+            this.showToast(this.t('data.saveOfflineTooMany', { count: urls.length, limit: this.maxOfflineTiles }), 'error');
+            return;
+        }
+        
+        const button = document.getElementById('saveOfflineBtn');
+        const label = button.querySelector('[data-i18n]');
+        button.disabled = true;
+        
+        const cache = await caches.open(this.tileCacheName);
+        let saved = 0;
+        let failed = 0;
+        
+        // A few requests at a time to stay polite to the tile server
+        const queue = urls.slice();
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                try {
+                    if (!(await cache.match(url))) {
+                        const response = await fetch(url, { mode: 'cors' });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        await cache.put(url, response);
+                    }
+                    saved++;
+                } catch (error) {
+                    failed++;
+                }
+                label.textContent = this.t('data.savingTiles', { done: saved + failed, total: urls.length });
+            }
+        };
+        await Promise.all([worker(), worker(), worker(), worker()]);
+        
+        button.disabled = false;
+        label.textContent = this.t('data.saveOffline');
+        if (failed > 0) {
+            this.showToast(this.t('data.savedTilesSome', { saved: saved, failed: failed }), 'warning');
+        } else {
+            this.showToast(this.t('data.savedTiles', { saved: saved }), 'success');
+        }
+    }
+    
+    initOverlay() {
+        // A control-point transform saved with the graph takes precedence over the corner bounds
+        const georeference = this.graph.metadata?.georeference;
+        if (georeference) {
+            this.overlay = new AffineImageOverlay(this.blueprintUrl, georeference, {
+                opacity: this.overlayOpacity
+            }).addTo(this.map);
+        } else {
+            const overlayBounds = [
+                [this.defaultBounds.nw[0], this.defaultBounds.nw[1]],
+                [this.defaultBounds.se[0], this.defaultBounds.se[1]]
+            ];
+            
+            // Try to load blueprint overlay
+            this.overlay = L.imageOverlay(this.blueprintUrl, overlayBounds, {
+                opacity: this.overlayOpacity,
+                interactive: false,
+                errorOverlayUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMSIgaGVpZ2h0PSIxIiB2aWV3Qm94PSIwIDAgMSAxIiBmaWxsPSJub25lIiB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciPjxyZWN0IHdpZHRoPSIxIiBoZWlnaHQ9IjEiIGZpbGw9InRyYW5zcGFyZW50Ii8+PC9zdmc+'
+            }).addTo(this.map);
+        }
+        
+        this.overlay.on('load', () => {
+            this.showToast(this.t('data.blueprintLoaded'), 'success');
         });
         
-        document.getElementById('clearRouteBtn').addEventListener('click', () => {
-            this.clearRoute();
+        this.overlay.on('error', () => {
+            console.warn('Blueprint image not found. Please add ./assets/blueprint.jpg');
+        });
+    }
+    
+    initCategoryLayers() {
+        Object.entries(this.categories).forEach(([key, category]) => {
+            const layer = L.layerGroup();
+            if (!category.hiddenByDefault) {
+                layer.addTo(this.map);
+            }
+            this.categoryLayers[key] = layer;
         });
+        this.renderLayersControl();
         
-        // Admin mode toggle
-        document.getElementById('adminToggle').addEventListener('click', () => {
-            this.toggleAdminMode();
+        const legend = L.control({ position: 'bottomleft' });
+        legend.onAdd = () => L.DomUtil.create('div', 'map-legend');
+        legend.addTo(this.map);
+        this.legendControl = legend;
+        this.renderLegend();
+    }
+    
+    renderLayersControl() {
+        // Leaflet keeps layer names as given, so the control is replaced
+        if (this.layersControl) {
+            this.layersControl.remove();
+        }
+        
+        const baseLayers = {};
+        Object.values(this.baseLayers).forEach(layer => {
+            baseLayers[this.t(`layer.${layer.sourceKey}`)] = layer;
+        });
+        const overlays = {};
+        Object.entries(this.categories).forEach(([key, category]) => {
+            overlays[`<span class="layer-label">${category.icon || '•'} ${this.categoryLabel(key)}</span>`] = this.categoryLayers[key];
         });
         
-        // Calibration modal
-        document.getElementById('calibrateBtn').addEventListener('click', () => {
-            this.showCalibrationModal();
+        this.layersControl = L.control.layers(baseLayers, overlays, { collapsed: true, position: 'topright' }).addTo(this.map);
+    }
+    
+    renderLegend() {
+        if (!this.legendControl) return;
+        
+        this.legendControl.getContainer().innerHTML = `
+            <h4>${this.t('legend.title')}</h4>
+            ${Object.entries(this.categories).map(([key, category]) => `
+                <div class="legend-item">
+                    <span class="legend-icon" style="background: ${category.color};">${category.icon}</span>
+                    ${this.categoryLabel(key)}
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    categoryLabel(key) {
+        return this.t(`category.${key}`);
+    }
+    
+    createCategoryIcon(categoryKey) {
+        const category = this.categories[categoryKey];
+        if (categoryKey === 'junction') {
+            return L.divIcon({
+                html: `<div class="junction-dot" style="background: ${category.color};"></div>`,
+                iconSize: [14, 14],
+                iconAnchor: [7, 7],
+                className: 'custom-marker junction-marker'
+            });
+        }
+        return this.createCustomIcon(category.icon, category.color);
+    }
+    
+    groupNodesByCategory(nodes = this.graph.nodes) {
+        // [{ key, category, nodes }] in category order, nodes sorted by name
+        return Object.entries(this.categories)
+            .map(([key, category]) => ({
+                key: key,
+                category: category,
+                nodes: nodes
+                    .filter(node => this.getCategory(node) === key)
+                    .sort((a, b) => this.nodeName(a).localeCompare(this.nodeName(b), this.localeTag()))
+            }))
+            .filter(group => group.nodes.length > 0);
+    }
+    
+    setMarkersDraggable(enabled) {
+        // Markers in hidden layers have no drag handler until they are added
+        Object.values(this.markers).forEach(marker => {
+            marker.options.draggable = enabled;
+            if (marker.dragging) {
+                if (enabled) {
+                    marker.dragging.enable();
+                } else {
+                    marker.dragging.disable();
+                }
+            }
+        });
+    }
+    
+    addMarkers() {
+        this.graph.nodes.forEach(node => {
+            const categoryKey = this.getCategory(node);
+            const category = this.categories[categoryKey];
+            const marker = L.marker([node.lat, node.lng], {
+                draggable: this.isAdminMode,
+                title: this.nodeName(node),
+                icon: this.createCategoryIcon(categoryKey)
+            }).addTo(this.categoryLayers[categoryKey]);
+            
+            const popupContent = () => `
+                <div class="popup-content">
+                    <h3>${this.escapeHtml(this.nodeName(node))}</h3>
+                    <p class="popup-category">${category.icon} ${this.categoryLabel(categoryKey)}${this.describeNodeLocation(node)}</p>
+                    ${node.hours ? `<p>🕒 ${this.escapeHtml(node.hours)}</p>` : ''}
+                    <p>${this.t('popup.id')}: ${this.escapeHtml(node.id)}</p>
+                    <p>${this.t('popup.coordinates')}: ${node.lat.toFixed(6)}, ${node.lng.toFixed(6)}</p>
+                    <button class="popup-link-btn">🔗 ${this.t('popup.copyLink')}</button>
+                </div>
+            `;
+            marker.bindPopup(popupContent());
+            
+            // Track the selected location for deep links
+            marker.on('popupopen', (e) => {
+                this.selectedLocation = node.id;
+                this.updateUrl();
+                
+                const linkBtn = e.popup.getElement().querySelector('.popup-link-btn');
+                if (linkBtn) {
+                    linkBtn.addEventListener('click', () => {
+                        this.copyLink(this.buildShareUrl({ loc: node.id }), this.t('popup.linkCopied', { name: this.nodeName(node) }));
+                    });
+                }
+            });
+            
+            marker.on('popupclose', () => {
+                if (this.selectedLocation === node.id) {
+                    this.selectedLocation = null;
+                    this.updateUrl();
+                }
+            });
+            
+            // Enable dragging in admin mode
+            marker.on('dragstart', () => {
+                if (this.isAdminMode) {
+                    this.pushHistory();
+                }
+            });
+            
+            marker.on('dragend', (e) => {
+                if (this.isAdminMode) {
+                    const pos = e.target.getLatLng();
+                    node.lat = pos.lat;
+                    node.lng = pos.lng;
+                    if (this.autoDistances) {
+                        this.updateNodeEdgeDistances(node.id);
+                    }
+                    this.invalidateGraphIndex();
+                    // Points split onto this node's paths snap again
+                    this.rebuildTemporaryGraph();
+                    marker.setPopupContent(popupContent());
+                    this.drawEdges();
+                    this.saveLocalState();
+                    this.showToast(`${node.name} position updated`, 'success');
+                }
+            });
+            
+            // Editor tools take over marker clicks in admin mode
+            marker.on('click', () => {
+                if (this.isAdminMode && this.editorTool !== 'move') {
+                    marker.closePopup();
+                    this.handleMarkerEdit(node.id);
+                }
+            });
+            
+            this.markers[node.id] = marker;
         });
         
-        document.getElementById('closeModal').addEventListener('click', () => {
-            this.hideCalibrationModal();
+        this.applyFloorFilter();
+    }
+    
+    initFloorControl() {
+        const control = L.control({ position: 'topleft' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'floor-control leaflet-bar');
+            L.DomEvent.disableClickPropagation(div);
+            div.addEventListener('click', (e) => {
+                const btn = e.target.closest('.floor-btn');
+                if (btn) {
+                    this.setFloor(parseInt(btn.dataset.floor, 10));
+                }
+            });
+            return div;
+        };
+        control.addTo(this.map);
+        
+        this.floorControl = control;
+        this.renderFloorControl();
+    }
+    
+    renderFloorControl() {
+        if (!this.floorControl) return;
+        
+        const container = this.floorControl.getContainer();
+        const floors = this.getFloors();
+        
+        // Outdoor-only graphs have nothing to switch
+        container.style.display = floors.length > 0 ? '' : 'none';
+        container.innerHTML = floors.slice().reverse().map(floor => `
+            <button class="floor-btn ${floor === this.currentFloor ? 'active' : ''}" data-floor="${floor}" title="${this.t('floor.show', { floor: this.floorLabel(floor) })}">
+                ${floor === 0 ? this.t('floor.groundShort') : floor}
+            </button>
+        `).join('');
+    }
+    
+    getFloors() {
+        const floors = new Set();
+        this.graph.nodes.forEach(node => {
+            if (node.floor !== undefined) floors.add(node.floor);
         });
+        if (floors.size > 0) floors.add(0);
+        return [...floors].sort((a, b) => a - b);
+    }
+    
+    describeNodeLocation(node) {
+        if (node.floor === undefined) return '';
         
-        document.getElementById('applyCalibration').addEventListener('click', () => {
-            this.applyCalibration();
+        const building = node.building && this.getNode(node.building);
+        const floor = node.floor === 0
+            ? this.t('floorName.ground')
+            : this.t(node.floor < 0 ? 'floorName.basement' : 'floorName.number', { n: Math.abs(node.floor) });
+        return ` · ${building ? `${this.escapeHtml(this.nodeName(building))}, ` : ''}${floor}`;
+    }
+    
+    setFloor(floor) {
+        this.currentFloor = floor;
+        this.applyFloorFilter();
+        this.drawEdges();
+        this.drawClosures();
+        this.drawReachability();
+        this.drawRouteFloorSegments();
+        this.renderFloorControl();
+    }
+    
+    applyFloorFilter() {
+        this.graph.nodes.forEach(node => {
+            if (node.floor === undefined) return;
+            
+            const marker = this.markers[node.id];
+            const layer = this.categoryLayers[this.getCategory(node)];
+            if (!marker || !layer) return;
+            
+            if (this.isVisibleOnFloor(node)) {
+                layer.addLayer(marker);
+            } else {
+                layer.removeLayer(marker);
+            }
         });
+    }
+    
+    drawRouteFloorSegments() {
+        // Highlights the part of an indoor route on the current floor
+        if (!this.currentRoute || !this.currentRoute.floorSegments) return;
         
-        document.getElementById('resetCalibration').addEventListener('click', () => {
-            this.resetCalibration();
+        const layer = this.currentRoute.floorSegments;
+        const path = this.currentRouteData.path;
+        layer.clearLayers();
+        
+        let segment = [];
+        const flush = () => {
+            if (segment.length > 1) {
+                L.polyline(segment, { color: '#2563eb', weight: 6, opacity: 0.9 }).addTo(layer);
+            }
+            segment = [];
+        };
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const from = this.getNode(path[i]);
+            const to = this.getNode(path[i + 1]);
+            const edge = this.findEdge(from.id, to.id);
+            const vertical = edge && this.getVerticalType(edge);
+            
+            if (vertical) {
+                flush();
+                // Mark where the route leaves or arrives on this floor
+                [from, to].forEach(node => {
+                    if (node.floor !== this.currentFloor) return;
+                    const other = node === from ? to : from;
+                    const direction = node === from ? (other.floor > node.floor ? '⬆' : '⬇') : '⬅';
+                    const text = node === from
+                        ? `${direction} ${this.describeFloorChange(vertical, node.floor, other.floor)}`
+                        : this.t('floor.arriveFrom', { floor: this.floorLabel(other.floor) });
+                    L.circleMarker([node.lat, node.lng], {
+                        radius: 8, color: '#0f766e', fillColor: '#14b8a6', fillOpacity: 0.9
+                    }).bindTooltip(text).addTo(layer);
+                });
+                continue;
+            }
+            
+            if (this.isVisibleOnFloor(from) && this.isVisibleOnFloor(to)) {
+                if (segment.length === 0) segment.push([from.lat, from.lng]);
+                segment.push([to.lat, to.lng]);
+            } else {
+                flush();
+            }
+        }
+        flush();
+    }
+    
+    buildSearchIndex() {
+        // Each node is searchable by its name in every language, aliases,
+        // tags and an abbreviation of its initials ("Academic Block 1" → "ab1")
+        this.searchIndex = this.graph.nodes.map(node => {
+            const terms = [{ text: node.name, kind: 'name' }];
+            Object.values(node.names || {}).forEach(name => terms.push({ text: name, kind: 'name' }));
+            (node.aliases || []).forEach(alias => terms.push({ text: alias, kind: 'alias' }));
+            (node.tags || []).forEach(tag => terms.push({ text: tag, kind: 'tag' }));
+            
+            const abbreviation = this.abbreviate(node.name);
+            if (abbreviation.length >= 2) {
+                terms.push({ text: abbreviation, kind: 'abbr' });
+            }
+            
+            return {
+                id: node.id,
+                name: this.nodeName(node),
+                searchText: node.name.toLowerCase(),
+                terms: terms.map(term => ({ ...term, lower: term.text.toLowerCase() }))
+            };
         });
+    }
+    
+    abbreviate(name) {
+        return name.split(/[\s_-]+/)
+            .filter(word => word)
+            .map(word => /^\d+$/.test(word) ? word : word[0])
+            .join('')
+            .toLowerCase();
+    }
+    
+    searchLocations(query, limit = 8) {
+        const q = query.trim().toLowerCase();
+        if (!q) return [];
         
-        // Opacity slider
-        document.getElementById('overlayOpacity').addEventListener('input', (e) => {
-            const opacity = parseFloat(e.target.value);
-            document.getElementById('opacityValue').textContent = `${Math.round(opacity * 100)}%`;
-            if (this.overlay) {
-                this.overlay.setOpacity(opacity);
+        // Later kinds are slightly less specific than a name match
+        const kindWeight = { name: 1, alias: 0.95, abbr: 0.9, tag: 0.8 };
+        
+        const results = [];
+        this.searchIndex.forEach(item => {
+            let best = null;
+            item.terms.forEach(term => {
+                const match = this.matchTerm(q, term.lower);
+                if (!match) return;
+                
+                const score = match.score * kindWeight[term.kind];
+                if (!best || score > best.score) {
+                    best = { ...match, score: score, term: term };
+                }
+            });
+            
+            if (best) {
+                results.push({ id: item.id, name: item.name, ...best });
             }
         });
         
-        // Import/Export functionality
-        document.getElementById('exportBtn').addEventListener('click', () => {
-            this.exportGraph();
+        return results
+            .sort((x, y) => y.score - x.score || x.name.localeCompare(y.name))
+            .slice(0, limit);
+    }
+    
+    matchTerm(query, term) {
+        // Returns { score, start, length } for highlighted matches, or null
+        if (term === query) return { score: 100, start: 0, length: query.length };
+        if (term.startsWith(query)) return { score: 90, start: 0, length: query.length };
+        
+        const wordStart = term.search(new RegExp(`(^|[\\s_-])${this.escapeRegExp(query)}`));
+        if (wordStart !== -1) {
+            const start = wordStart === 0 ? 0 : wordStart + 1;
+            return { score: 80, start: start, length: query.length };
+        }
+        
+        const index = term.indexOf(query);
+        if (index !== -1) return { score: 70, start: index, length: query.length };
+        
+        // Typo tolerance grows with query length
+        if (query.length < 4) return null;
+        const allowed = query.length >= 7 ? 2 : 1;
+        
+        const candidates = [term, ...term.split(/[\s_-]+/)];
+        candidates.push(term.slice(0, query.length));
+        
+        let distance = Infinity;
+        candidates.forEach(candidate => {
+            if (Math.abs(candidate.length - query.length) <= allowed) {
+                distance = Math.min(distance, this.editDistance(query, candidate));
+            }
         });
         
-        document.getElementById('importBtn').addEventListener('click', () => {
-            document.getElementById('importFile').click();
+        if (distance <= allowed) {
+            return { score: 60 - distance * 10, start: -1, length: 0 };
+        }
+        return null;
+    }
+    
+    editDistance(a, b) {
+        // Optimal string alignment distance: Levenshtein plus adjacent swaps
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = Array.from({ length: rows }, (_, i) => {
+            const row = new Array(cols).fill(0);
+            row[0] = i;
+            return row;
         });
+        for (let j = 0; j < cols; j++) d[0][j] = j;
         
-        document.getElementById('importFile').addEventListener('change', (e) => {
-            this.importGraph(e.target.files[0]);
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[rows - 1][cols - 1];
+    }
+    
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    highlightMatch(text, start, length) {
+        if (start < 0 || length === 0) return this.escapeHtml(text);
+        return this.escapeHtml(text.slice(0, start)) +
+            `<mark>${this.escapeHtml(text.slice(start, start + length))}</mark>` +
+            this.escapeHtml(text.slice(start + length));
+    }
+    
+    populateSelects() {
+        const startSelect = document.getElementById('startSelect');
+        const endSelect = document.getElementById('endSelect');
+        const reachSelect = document.getElementById('reachOrigin');
+        const categorySelect = document.getElementById('reachCategory');
+        const previousStart = startSelect.value;
+        const previousEnd = endSelect.value;
+        const previousReach = reachSelect.value;
+        const previousCategory = categorySelect.value;
+        
+        // Clear existing options
+        startSelect.innerHTML = `<option value="">${this.t('route.selectStart')}</option>`;
+        endSelect.innerHTML = `<option value="">${this.t('route.selectDestination')}</option>`;
+        reachSelect.innerHTML = `<option value="">${this.t('reach.selectOrigin')}</option>`;
+        categorySelect.innerHTML = `<option value="">${this.t('reach.allPlaces')}</option>`;
+        
+        // Add options for each node, grouped by category
+        this.groupNodesByCategory().forEach(group => {
+            categorySelect.add(new Option(`${group.category.icon} ${this.categoryLabel(group.key)}`.trim(), group.key));
+            [startSelect, endSelect, reachSelect].forEach(select => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = `${group.category.icon} ${this.categoryLabel(group.key)}`.trim();
+                group.nodes.forEach(node => {
+                    optgroup.appendChild(new Option(this.nodeName(node), node.id));
+                });
+                select.appendChild(optgroup);
+            });
+        });
+        
+        // Your location and other temporary points
+        if (this.temporaryPoints.size > 0) {
+            [startSelect, endSelect, reachSelect].forEach(select => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = `📍 ${this.t('route.mapPoints')}`;
+                this.temporaryPoints.forEach(point => {
+                    optgroup.appendChild(new Option(point.name, point.id));
+                });
+                select.appendChild(optgroup);
+            });
+        }
+        
+        // Keep selections that still exist after a graph change
+        startSelect.value = this.getNode(previousStart) ? previousStart : '';
+        endSelect.value = this.getNode(previousEnd) ? previousEnd : '';
+        reachSelect.value = this.getNode(previousReach) ? previousReach : '';
+        categorySelect.value = [...categorySelect.options].some(option => option.value === previousCategory) ? previousCategory : '';
+        
+        this.waypoints = this.waypoints.filter(id => id === '' || this.getNode(id));
+        this.renderWaypoints();
+    }
+    
+    renderWaypoints() {
+        const list = document.getElementById('waypointList');
+        const options = this.groupNodesByCategory().map(group => `
+            <optgroup label="${this.escapeHtml(`${group.category.icon} ${this.categoryLabel(group.key)}`.trim())}">
+                ${group.nodes.map(node =>
+                    `<option value="${this.escapeHtml(node.id)}">${this.escapeHtml(this.nodeName(node))}</option>`
+                ).join('')}
+            </optgroup>
+        `).join('') + (this.temporaryPoints.size > 0 ? `
+            <optgroup label="📍 ${this.escapeHtml(this.t('route.mapPoints'))}">
+                ${[...this.temporaryPoints.values()].map(point =>
+                    `<option value="${this.escapeHtml(point.id)}">${this.escapeHtml(point.name)}</option>`
+                ).join('')}
+            </optgroup>
+        ` : '');
+        
+        list.innerHTML = this.waypoints.map((id, index) => `
+            <div class="waypoint-row" data-index="${index}">
+                <span class="waypoint-number">${index + 1}</span>
+                <select class="control-select waypoint-select">
+                    <option value="">${this.t('route.selectStop')}</option>
+                    ${options}
+                </select>
+                <button class="waypoint-btn" data-action="up" title="${this.t('route.moveUp')}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="waypoint-btn" data-action="down" title="${this.t('route.moveDown')}" ${index === this.waypoints.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="waypoint-btn" data-action="remove" title="${this.t('route.removeStop')}">✕</button>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.waypoint-select').forEach((select, index) => {
+            select.value = this.waypoints[index];
+        });
+        
+        document.getElementById('tourOptions').classList.toggle('visible', this.waypoints.length > 0);
+    }
+    
+    addWaypoint(nodeId = '') {
+        this.waypoints.push(nodeId);
+        this.renderWaypoints();
+    }
+    
+    handleWaypointAction(index, action) {
+        const target = action === 'up' ? index - 1 : index + 1;
+        
+        if (action === 'remove') {
+            this.waypoints.splice(index, 1);
+        } else if (target >= 0 && target < this.waypoints.length) {
+            [this.waypoints[index], this.waypoints[target]] = [this.waypoints[target], this.waypoints[index]];
+        }
+        this.renderWaypoints();
+    }
+    
+    initUI() {
+        // Search functionality
+        const searchInput = document.getElementById('searchInput');
+        const searchResults = document.getElementById('searchResults');
+        
+        searchInput.addEventListener('input', (e) => {
+            this.handleSearch(e.target.value, searchResults);
+        });
+        
+        searchInput.addEventListener('keydown', (e) => {
+            this.handleSearchKeydown(e);
+        });
+        
+        // Hide search results when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!searchInput.contains(e.target) && !searchResults.contains(e.target)) {
+                searchResults.style.display = 'none';
+            }
+        });
+        
+        // Route finder controls
+        document.getElementById('findRouteBtn').addEventListener('click', () => {
+            this.findRoute();
+        });
+        
+        document.getElementById('clearRouteBtn').addEventListener('click', () => {
+            this.clearRoute();
+        });
+        
+        document.getElementById('profileSelect').addEventListener('change', (e) => {
+            this.routingProfile = e.target.value;
+        });
+        
+        // Reachable area
+        document.getElementById('showReachBtn').addEventListener('click', () => {
+            this.showReachability();
+        });
+        
+        document.getElementById('reachCategory').addEventListener('change', () => {
+            if (this.reachability) this.renderReachability();
+        });
+        
+        document.getElementById('routeOutput').addEventListener('keydown', (e) => {
+            const item = e.target.closest('.reach-item');
+            if (item && e.key === 'Enter') {
+                this.goToLocation(item.dataset.node);
+            }
+        });
+        
+        // Class timetable
+        document.getElementById('timetableBtn').addEventListener('click', () => {
+            this.showTimetableModal();
+        });
+        
+        document.getElementById('closeTimetableModal').addEventListener('click', () => {
+            this.hideTimetableModal();
+        });
+        
+        document.getElementById('timetableFile').addEventListener('change', (e) => {
+            this.readTimetableFile(e.target.files[0]);
+        });
+        
+        document.getElementById('loadTimetableBtn').addEventListener('click', () => {
+            const textarea = document.getElementById('timetableText');
+            if (textarea.value.trim()) {
+                this.loadTimetable(textarea.value);
+            }
+        });
+        
+        document.getElementById('clearTimetableBtn').addEventListener('click', () => {
+            this.clearTimetable();
+        });
+        
+        document.getElementById('timetableMatches').addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-location]');
+            if (select) {
+                this.timetable.matches[select.dataset.location] = select.value;
+                select.parentElement.classList.toggle('unmatched', !select.value);
+                this.saveTimetable();
+                this.renderTimetableDay();
+            }
+        });
+        
+        document.getElementById('timetableDay').addEventListener('change', (e) => {
+            this.timetableDay = e.target.value;
+            this.renderTimetableDay();
+        });
+        
+        document.getElementById('timetableDayView').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-gap]');
+            if (btn) {
+                this.showTimetableRoute(this.timetableGaps[parseInt(btn.dataset.gap, 10)]);
+            }
+        });
+        
+        document.getElementById('routeOutput').addEventListener('click', (e) => {
+            if (e.target.closest('#copyRouteLinkBtn')) {
+                this.copyLink(this.buildShareUrl(this.getRouteUrlState()), this.t('route.linkCopied'));
+            } else if (e.target.closest('#exportGpxBtn')) {
+                this.exportRouteGpx();
+            } else if (e.target.closest('#printRouteBtn')) {
+                this.printRoute();
+            } else if (e.target.closest('#showAlternativesBtn')) {
+                this.showAlternativeRoutes();
+            } else if (e.target.closest('[data-alternative]')) {
+                this.selectAlternativeRoute(parseInt(e.target.closest('[data-alternative]').dataset.alternative, 10));
+            } else if (e.target.closest('#clearReachBtn')) {
+                this.clearRouteDisplay();
+            } else if (e.target.closest('.reach-item')) {
+                this.goToLocation(e.target.closest('.reach-item').dataset.node);
+            }
+        });
+        
+        document.getElementById('walkingSpeed').addEventListener('change', (e) => {
+            // Select values are km/h
+            this.walkingSpeed = parseFloat(e.target.value) / 3.6;
+            if (this.currentRouteData) {
+                this.displayRouteInfo(this.currentRouteData);
+            } else if (this.reachability) {
+                this.showReachability();
+            }
+        });
+        
+        // Waypoint list
+        document.getElementById('addWaypointBtn').addEventListener('click', () => {
+            this.addWaypoint();
+        });
+        
+        const waypointList = document.getElementById('waypointList');
+        waypointList.addEventListener('change', (e) => {
+            const row = e.target.closest('.waypoint-row');
+            if (row) {
+                this.waypoints[parseInt(row.dataset.index, 10)] = e.target.value;
+            }
+        });
+        
+        waypointList.addEventListener('click', (e) => {
+            const btn = e.target.closest('.waypoint-btn');
+            if (btn) {
+                const row = btn.closest('.waypoint-row');
+                this.handleWaypointAction(parseInt(row.dataset.index, 10), btn.dataset.action);
+            }
+        });
+        
+        // Admin mode toggle
+        document.getElementById('adminToggle').addEventListener('click', () => {
+            this.toggleAdminMode();
+        });
+        
+        // Graph editor tools
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setEditorTool(btn.dataset.tool);
+            });
+        });
+        
+        document.getElementById('closeNodeModal').addEventListener('click', () => {
+            this.hideNodeModal();
+        });
+        
+        document.getElementById('cancelNode').addEventListener('click', () => {
+            this.hideNodeModal();
+        });
+        
+        document.getElementById('saveNode').addEventListener('click', () => {
+            this.saveNewNode();
+        });
+        
+        // QR codes for signage
+        document.getElementById('qrCodesBtn').addEventListener('click', () => {
+            this.showQrModal();
+        });
+        
+        document.getElementById('closeQrModal').addEventListener('click', () => {
+            this.hideQrModal();
+        });
+        
+        ['qrFrom', 'qrTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.renderQrPreview();
+            });
+        });
+        
+        document.getElementById('downloadQrBtn').addEventListener('click', () => {
+            this.downloadQrCode();
+        });
+        
+        document.getElementById('printQrBtn').addEventListener('click', () => {
+            const target = this.getQrTarget();
+            if (target) this.printQrCodes([target]);
+        });
+        
+        document.getElementById('printAllQrBtn').addEventListener('click', () => {
+            this.printAllQrCodes();
+        });
+        
+        // Closures
+        document.getElementById('closeClosureModal').addEventListener('click', () => {
+            this.hideClosureModal();
+        });
+        
+        document.getElementById('cancelClosure').addEventListener('click', () => {
+            this.hideClosureModal();
+        });
+        
+        document.getElementById('saveClosure').addEventListener('click', () => {
+            this.saveClosure();
+        });
+        
+        document.getElementById('closureList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-closure]');
+            if (btn) {
+                this.removeClosure(parseInt(btn.dataset.removeClosure, 10));
+            }
+        });
+        
+        document.getElementById('departureTime').addEventListener('change', (e) => {
+            this.departureTime = e.target.value ? new Date(e.target.value) : null;
+            this.drawClosures();
+            this.renderClosureList();
+        });
+        
+        document.getElementById('autoDistances').addEventListener('change', (e) => {
+            this.autoDistances = e.target.checked;
+        });
+        
+        document.getElementById('recomputeDistancesBtn').addEventListener('click', () => {
+            this.recomputeAllDistances();
+        });
+        
+        document.getElementById('distanceReportBtn').addEventListener('click', () => {
+            this.showDistanceReport();
+        });
+        
+        document.getElementById('validateGraphBtn').addEventListener('click', () => {
+            this.showValidationReport(this.validateGraph(this.graph), 'Graph Integrity Report');
+        });
+        
+        document.getElementById('closeReportModal').addEventListener('click', () => {
+            this.hideReportModal();
+        });
+        
+        const nodeCategory = document.getElementById('nodeCategory');
+        Object.entries(this.categories).forEach(([key, category]) => {
+            nodeCategory.add(new Option(`${category.icon} ${category.label}`.trim(), key));
+        });
+        
+        document.getElementById('nodeName').addEventListener('input', (e) => {
+            document.getElementById('nodeId').placeholder = this.generateNodeId(e.target.value) || 'node_id';
+        });
+        
+        // Calibration modal
+        document.getElementById('calibrateBtn').addEventListener('click', () => {
+            this.pendingControlPoint = null;
+            this.showCalibrationModal();
+        });
+        
+        document.getElementById('closeModal').addEventListener('click', () => {
+            this.hideCalibrationModal();
+        });
+        
+        document.getElementById('applyCalibration').addEventListener('click', () => {
+            this.applyCalibration();
+        });
+        
+        document.getElementById('resetCalibration').addEventListener('click', () => {
+            this.resetCalibration();
+        });
+        
+        // Control points: click the blueprint, then the same spot on the map
+        document.getElementById('blueprintPickerImage').addEventListener('click', (e) => {
+            this.startControlPoint(e);
+        });
+        
+        document.getElementById('blueprintPickerImage').addEventListener('load', () => {
+            this.renderControlPoints();
+        });
+        
+        document.getElementById('controlPointList').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-point]');
+            if (btn) {
+                this.controlPoints.splice(parseInt(btn.dataset.removePoint, 10), 1);
+                this.renderControlPoints();
+            }
+        });
+        
+        document.getElementById('clearControlPointsBtn').addEventListener('click', () => {
+            this.controlPoints = [];
+            this.renderControlPoints();
+        });
+        
+        document.getElementById('applyGeoreferenceBtn').addEventListener('click', () => {
+            this.applyGeoreference();
+        });
+        
+        // Opacity slider
+        document.getElementById('overlayOpacity').addEventListener('input', (e) => {
+            const opacity = parseFloat(e.target.value);
+            document.getElementById('opacityValue').textContent = `${Math.round(opacity * 100)}%`;
+            this.overlayOpacity = opacity;
+            if (this.overlay) {
+                this.overlay.setOpacity(opacity);
+            }
+        });
+        
+        document.getElementById('overlayOpacity').addEventListener('change', () => {
+            this.saveLocalState();
+        });
+        
+        // Undo/redo and local changes
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+        
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.redo();
+        });
+        
+        document.getElementById('reviewServerUpdateBtn').addEventListener('click', () => {
+            this.reviewServerUpdate();
+        });
+        
+        document.getElementById('keepLocalBtn').addEventListener('click', () => {
+            this.acceptServerData();
+            this.showToast('Keeping your local copy', 'info');
+        });
+        
+        document.getElementById('discardLocalBtn').addEventListener('click', () => {
+            this.discardLocalChanges();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.isAdminMode || !(e.ctrlKey || e.metaKey)) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        
+        // Import/Export functionality
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportGraph();
+        });
+        
+        document.getElementById('exportGeoJsonBtn').addEventListener('click', () => {
+            this.exportGeoJSON();
+        });
+        
+        // Your location and recorded walks
+        document.getElementById('useLocationBtn').addEventListener('click', () => {
+            if (this.isTrackingLocation()) {
+                this.stopLocationTracking();
+            } else {
+                this.startLocationTracking();
+            }
+        });
+        
+        document.getElementById('replayWalkBtn').addEventListener('click', () => {
+            document.getElementById('replayWalkFile').click();
+        });
+        
+        document.getElementById('replayWalkFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const points = this.parseRecordedWalk(await file.text());
+                if (points.length === 0) {
+                    this.showToast('No positions found in this file', 'error');
+                } else {
+                    this.simulatePositions(points);
+                }
+            } catch (error) {
+                console.error('Error reading recorded walk:', error);
+                this.showToast('Could not read this recorded walk', 'error');
+            } finally {
+                e.target.value = '';
+            }
+        });
+        
+        // Offline support
+        document.getElementById('saveOfflineBtn').addEventListener('click', () => {
+            this.saveTilesForOffline();
+        });
+        
+        window.addEventListener('online', () => this.renderDataSource());
+        window.addEventListener('offline', () => this.renderDataSource());
+        
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+        
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            this.importGraph(e.target.files[0]);
+        });
+        
+        // Import review
+        document.getElementById('applyImportBtn').addEventListener('click', () => {
+            this.applyImport('selected');
+        });
+        
+        document.getElementById('mergeImportBtn').addEventListener('click', () => {
+            this.applyImport('merge');
+        });
+        
+        document.getElementById('replaceImportBtn').addEventListener('click', () => {
+            this.applyImport('replace');
+        });
+        
+        document.getElementById('cancelImportBtn').addEventListener('click', () => {
+            this.hideImportReview();
+        });
+        
+        ['importSelectAll', 'importSelectNone'].forEach(id => {
+            document.getElementById(id).addEventListener('click', () => {
+                document.querySelectorAll('#importChanges [data-change]').forEach(input => {
+                    input.checked = id === 'importSelectAll';
+                });
+            });
+        });
+        
+        document.getElementById('importChanges').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-focus]');
+            if (btn) {
+                this.focusImportChange(this.pendingImport.changes[parseInt(btn.dataset.focus, 10)]);
+            }
+        });
+        
+        // Name recorded in the change log of exported and merged files
+        const editorName = document.getElementById('editorName');
+        try {
+            editorName.value = localStorage.getItem(this.storageKeys.editor) || '';
+        } catch (error) {
+            editorName.value = '';
+        }
+        editorName.addEventListener('change', () => {
+            try {
+                localStorage.setItem(this.storageKeys.editor, editorName.value.trim());
+            } catch (error) {
+                console.error('Error saving editor name:', error);
+            }
+        });
+    }
+    
+    handleSearch(query, resultsElement) {
+        this.searchActiveIndex = -1;
+        
+        if (!query.trim()) {
+            this.hideSearchResults();
+            return;
+        }
+        
+        const matches = this.searchLocations(query);
+        
+        if (matches.length === 0) {
+            resultsElement.innerHTML = `<div class="search-empty">${this.t('search.empty')}</div>`;
+            resultsElement.style.display = 'block';
+            return;
+        }
+        
+        // Group results by category, ordered by each group's best match
+        const groups = [];
+        matches.forEach(match => {
+            const key = this.getCategory(this.getNode(match.id));
+            let group = groups.find(g => g.key === key);
+            if (!group) {
+                group = { key: key, matches: [] };
+                groups.push(group);
+            }
+            group.matches.push(match);
+        });
+        
+        let index = 0;
+        resultsElement.innerHTML = groups.map(group => `
+            <div class="search-group-header">${this.categories[group.key].icon} ${this.categoryLabel(group.key)}</div>
+            ${group.matches.map(match => this.renderSearchResult(match, index++)).join('')}
+        `).join('');
+        
+        // Add click handlers
+        resultsElement.querySelectorAll('.search-result-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const action = e.target.closest('.search-route-btn')?.dataset.action || 'go';
+                this.selectSearchResult(item.dataset.id, action);
+            });
+        });
+        
+        resultsElement.style.display = 'block';
+    }
+    
+    renderSearchResult(match, index) {
+        // Matches on another language's name are shown like aliases
+        const direct = match.term.kind === 'name' && match.term.text === match.name;
+        const name = direct
+            ? this.highlightMatch(match.name, match.start, match.length)
+            : this.escapeHtml(match.name);
+        const node = this.getNode(match.id);
+        const location = this.describeNodeLocation(node).replace(/^ · /, '');
+        const via = direct ? '' : `
+            <div class="search-result-via">${this.highlightMatch(match.term.text, match.start, match.length)}</div>
+        `;
+        const where = location ? `<div class="search-result-via">${location}</div>` : '';
+        
+        return `
+            <div class="search-result-item" id="searchResult${index}" role="option" data-id="${this.escapeHtml(match.id)}">
+                <div class="search-result-text">
+                    <div class="search-result-name">${name}</div>
+                    ${via}
+                    ${where}
+                </div>
+                <div class="search-result-actions">
+                    <button class="search-route-btn" data-action="start" title="${this.t('search.fromTitle')}">${this.t('search.from')}</button>
+                    <button class="search-route-btn" data-action="end" title="${this.t('search.toTitle')}">${this.t('search.to')}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    handleSearchKeydown(e) {
+        const items = document.querySelectorAll('#searchResults .search-result-item');
+        
+        if (e.key === 'Escape') {
+            this.hideSearchResults();
+            return;
+        }
+        if (items.length === 0) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.searchActiveIndex = (this.searchActiveIndex + step + items.length) % items.length;
+            
+            items.forEach((item, index) => {
+                item.classList.toggle('active', index === this.searchActiveIndex);
+            });
+            items[this.searchActiveIndex].scrollIntoView({ block: 'nearest' });
+            e.target.setAttribute('aria-activedescendant', items[this.searchActiveIndex].id);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const item = items[Math.max(this.searchActiveIndex, 0)];
+            this.selectSearchResult(item.dataset.id, 'go');
+        }
+    }
+    
+    selectSearchResult(nodeId, action) {
+        const node = this.getNode(nodeId);
+        if (!node) return;
+        
+        if (action === 'start') {
+            document.getElementById('startSelect').value = nodeId;
+            this.showToast(this.t('search.startSet', { name: this.nodeName(node) }), 'success');
+        } else if (action === 'end') {
+            document.getElementById('endSelect').value = nodeId;
+            this.showToast(this.t('search.endSet', { name: this.nodeName(node) }), 'success');
+        } else {
+            this.goToLocation(nodeId);
+        }
+        
+        document.getElementById('searchInput').value = this.nodeName(node);
+        this.hideSearchResults();
+    }
+    
+    hideSearchResults() {
+        const searchResults = document.getElementById('searchResults');
+        searchResults.style.display = 'none';
+        this.searchActiveIndex = -1;
+        document.getElementById('searchInput').removeAttribute('aria-activedescendant');
+    }
+    
+    goToLocation(nodeId) {
+        const node = this.getNode(nodeId);
+        if (node && this.markers[nodeId]) {
+            if (node.floor !== undefined && node.floor !== this.currentFloor) {
+                this.setFloor(node.floor);
+            }
+            
+            // Reveal the category layer if it is hidden
+            const layer = this.categoryLayers[this.getCategory(node)];
+            if (!this.map.hasLayer(layer)) {
+                this.map.addLayer(layer);
+            }
+            this.map.setView([node.lat, node.lng], 19);
+            this.markers[nodeId].openPopup();
+        }
+    }
+    
+    findRoute() {
+        const startId = document.getElementById('startSelect').value;
+        const endId = document.getElementById('endSelect').value;
+        const stops = this.waypoints.filter(id => id);
+        
+        if (!startId || !endId) {
+            this.showToast(this.t('route.selectBoth'), 'warning');
+            return;
+        }
+        
+        if (stops.length > 0) {
+            this.findMultiStopRoute(startId, stops, endId);
+            return;
+        }
+        
+        if (startId === endId) {
+            this.showToast(this.t('route.same'), 'warning');
+            return;
+        }
+        
+        // Clear previous route
+        this.clearRouteDisplay();
+        
+        // Find shortest path using Dijkstra's algorithm (or A*)
+        const result = this.findPath(startId, endId);
+        
+        if (!result) {
+            this.showNoRoute(startId, endId);
+            return;
+        }
+        
+        this.displayRoute(result);
+        this.updateUrl();
+        this.showToast(this.t('route.found', { distance: result.distance }), 'success');
+    }
+    
+    showAlternativeRoutes() {
+        // Alternatives cost many searches, so they are found only on request
+        const route = this.currentRouteData;
+        if (!route || route.legs) return;
+        
+        const routes = this.findAlternativeRoutes(route.path[0], route.path[route.path.length - 1]);
+        if (routes.length < 2) {
+            this.alternativeRoutes = [route];
+            this.displayRouteInfo(route);
+            this.showToast(this.t('route.noAlternatives'), 'info');
+            return;
+        }
+        
+        this.clearRouteDisplay();
+        this.alternativeRoutes = routes;
+        this.displayRoute(routes[0]);
+        this.showToast(this.t('route.foundAlternatives', {
+            distance: routes[0].distance,
+            count: routes.length - 1
+        }), 'success');
+    }
+    
+    findMultiStopRoute(startId, stops, endId) {
+        const optimize = document.getElementById('optimizeOrder').checked;
+        const fixedEnd = document.getElementById('fixedEnd').checked;
+        
+        this.clearRouteDisplay();
+        
+        let order = [startId, ...stops, endId];
+        if (optimize) {
+            order = this.optimizeStopOrder(startId, fixedEnd ? stops : [...stops, endId], fixedEnd ? endId : null);
+            if (!order) {
+                const unreachable = [...stops, endId].find(id => id !== startId && !this.findPath(startId, id));
+                if (unreachable) {
+                    this.showNoRoute(startId, unreachable);
+                } else {
+                    this.showToast(this.t('route.noneForStops'), 'error');
+                }
+                return;
+            }
+            
+            // Reflect the optimized order in the panel
+            const last = order[order.length - 1];
+            this.waypoints = order.slice(1, -1);
+            document.getElementById('endSelect').value = last;
+            this.renderWaypoints();
+        }
+        
+        const route = this.planRoute(order);
+        if (!route) {
+            const failed = order.findIndex((id, i) => i < order.length - 1 && id !== order[i + 1] && !this.findPath(id, order[i + 1]));
+            if (failed !== -1) {
+                this.showNoRoute(order[failed], order[failed + 1]);
+            } else {
+                this.showToast(this.t('route.noneForStops'), 'error');
+            }
+            return;
+        }
+        
+        this.displayRoute(route);
+        this.updateUrl();
+        this.showToast(this.t('route.foundLegs', { legs: route.legs.length, distance: route.distance }), 'success');
+    }
+    
+    showNoRoute(startId, endId) {
+        const profile = this.getRoutingProfile();
+        const from = this.nodeName(this.getNode(startId));
+        const to = this.nodeName(this.getNode(endId));
+        
+        if (profile.rules.length === 0) {
+            this.showToast(this.t('route.none'), 'error');
+            return;
+        }
+        
+        const explanation = this.explainNoRoute(startId, endId, profile);
+        let details;
+        if (!explanation.reachable) {
+            details = `<p>${this.t('noRoute.notConnected')}</p>`;
+        } else {
+            const nameOf = id => this.escapeHtml(this.nodeName(this.getNode(id)));
+            details = `
+                <p>${this.t('noRoute.blockedBy')} <strong>${explanation.blockers.map(rule => this.escapeHtml(this.ruleLabel(rule))).join(', ')}</strong></p>
+                ${explanation.edges.length > 0 ? `
+                    <ul class="report-list">
+                        ${explanation.edges.map(item => `
+                            <li>${nameOf(item.edge.a)} ↔ ${nameOf(item.edge.b)}: ${item.rules.map(rule => this.escapeHtml(rule.describe ? rule.describe(item.edge) : this.ruleLabel(rule))).join(', ')}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <p>${this.t(explanation.blockers.some(rule => rule.closure) ? 'noRoute.laterTime' : 'noRoute.defaultProfile')}</p>
+            `;
+        }
+        
+        const kind = profile.rules.every(rule => rule.closure)
+            ? this.t('noRoute.open')
+            : this.t(`profile.${profile.id}`).toLowerCase();
+        document.getElementById('routeOutput').innerHTML = `
+            <div class="route-blocked">
+                <h4>🚫 ${this.escapeHtml(this.t('noRoute.title', { profile: kind, from: from, to: to }))}</h4>
+                ${details}
+            </div>
+        `;
+        this.showToast(this.t('noRoute.toast', { profile: kind }), 'error');
+    }
+    
+    drawClosures() {
+        // Closed paths and places at the departure time, always shown
+        if (!this.closureLayer) return;
+        this.closureLayer.clearLayers();
+        
+        const closed = this.getClosedItems();
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        
+        this.graph.edges.forEach(edge => {
+            const reason = closed.edges.get(this.edgeKey(edge.a, edge.b));
+            const a = this.getNode(edge.a);
+            const b = this.getNode(edge.b);
+            if (!reason || !this.isVisibleOnFloor(a) || !this.isVisibleOnFloor(b)) return;
+            
+            L.polyline([[a.lat, a.lng], [b.lat, b.lng]], {
+                color: '#dc2626',
+                weight: 5,
+                opacity: 0.8,
+                dashArray: '2 8'
+            }).bindTooltip(`⛔ ${this.escapeHtml(capitalize(reason))}`, { sticky: true }).addTo(this.closureLayer);
+        });
+        
+        closed.nodes.forEach((reason, nodeId) => {
+            const node = this.getNode(nodeId);
+            if (!this.isVisibleOnFloor(node)) return;
+            
+            L.circleMarker([node.lat, node.lng], {
+                radius: 20,
+                color: '#dc2626',
+                weight: 3,
+                dashArray: '4 4',
+                fill: false
+            }).bindTooltip(`⛔ ${this.escapeHtml(capitalize(reason))}`).addTo(this.closureLayer);
+        });
+    }
+    
+    renderClosureList() {
+        const list = document.getElementById('closureList');
+        const closures = this.graph.closures || [];
+        const time = this.getDepartureTime();
+        const nameOf = id => this.escapeHtml(this.getNode(id).name);
+        
+        list.innerHTML = closures.length === 0
+            ? '<p class="editor-hint">No temporary closures.</p>'
+            : closures.map((closure, index) => `
+                <div class="closure-item ${this.isClosureActive(closure, time) ? 'active' : ''}">
+                    <div>
+                        <strong>${closure.node ? nameOf(closure.node) : `${nameOf(closure.a)} ↔ ${nameOf(closure.b)}`}</strong>
+                        ${closure.reason ? `· ${this.escapeHtml(closure.reason)}` : ''}
+                        <div class="closure-time">${this.escapeHtml(new Date(closure.start).toLocaleString())} – ${this.escapeHtml(new Date(closure.end).toLocaleString())}</div>
+                    </div>
+                    <button class="waypoint-btn" data-remove-closure="${index}" title="Remove closure">✕</button>
+                </div>
+            `).join('');
+    }
+    
+    showClosureModal(target) {
+        this.pendingClosureTarget = target;
+        const nameOf = id => this.getNode(id).name;
+        
+        // Default to closing from now for the rest of the day
+        const toLocalInput = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        const now = new Date();
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 0, 0);
+        
+        document.getElementById('closureTarget').textContent = target.node
+            ? nameOf(target.node)
+            : `${nameOf(target.a)} ↔ ${nameOf(target.b)}`;
+        document.getElementById('closureStart').value = toLocalInput(now);
+        document.getElementById('closureEnd').value = toLocalInput(endOfDay);
+        document.getElementById('closureReason').value = '';
+        document.getElementById('closureModal').classList.add('active');
+        document.getElementById('closureReason').focus();
+    }
+    
+    hideClosureModal() {
+        document.getElementById('closureModal').classList.remove('active');
+        this.pendingClosureTarget = null;
+    }
+    
+    saveClosure() {
+        const start = document.getElementById('closureStart').value;
+        const end = document.getElementById('closureEnd').value;
+        
+        if (!start || !end || new Date(end) <= new Date(start)) {
+            this.showToast('The closure must end after it starts', 'error');
+            return;
+        }
+        
+        this.pushHistory();
+        this.graph.closures = this.graph.closures || [];
+        this.graph.closures.push({
+            id: `closure_${Date.now().toString(36)}`,
+            ...this.pendingClosureTarget,
+            start: start,
+            end: end,
+            reason: document.getElementById('closureReason').value.trim() || undefined
+        });
+        
+        this.hideClosureModal();
+        this.drawClosures();
+        this.renderClosureList();
+        this.saveLocalState();
+        this.showToast('Closure added', 'success');
+    }
+    
+    removeClosure(index) {
+        this.pushHistory();
+        this.graph.closures.splice(index, 1);
+        this.drawClosures();
+        this.renderClosureList();
+        this.saveLocalState();
+        this.showToast('Closure removed', 'success');
+    }
+    
+    displayRoute(routeData) {
+        // Other routes between the same places, drawn underneath and clickable
+        const alternativeLines = L.layerGroup();
+        (this.alternativeRoutes || []).forEach((route, index) => {
+            if (route === routeData) return;
+            L.polyline(route.path.map(nodeId => [this.getNode(nodeId).lat, this.getNode(nodeId).lng]), {
+                color: '#64748b',
+                weight: 6,
+                opacity: 0.6,
+                dashArray: '8 6'
+            }).bindTooltip(`${this.t('route.alternative', { n: index + 1 })} · ${route.distance}m · ${this.formatDuration(this.estimateWalkingTime(route.distance))}`, { sticky: true })
+                .on('click', () => this.selectAlternativeRoute(index))
+                .addTo(alternativeLines);
+        });
+        alternativeLines.addTo(this.map);
+        
+        // Create route polyline
+        const routeCoords = routeData.path.map(nodeId => {
+            const node = this.getNode(nodeId);
+            return [node.lat, node.lng];
+        });
+        
+        this.currentRoute = L.polyline(routeCoords, {
+            color: '#2563eb',
+            weight: 6,
+            opacity: 0.8,
+            smoothFactor: 1
+        }).addTo(this.map);
+        
+        // Add start and end markers
+        const startNode = this.getNode(routeData.path[0]);
+        const endNode = this.getNode(routeData.path[routeData.path.length - 1]);
+        
+        const startMarker = L.marker([startNode.lat, startNode.lng], {
+            icon: this.createCustomIcon('🚩', '#059669')
+        }).addTo(this.map);
+        
+        const endMarker = L.marker([endNode.lat, endNode.lng], {
+            icon: this.createCustomIcon('🏁', '#dc2626')
+        }).addTo(this.map);
+        
+        // Number the intermediate stops of a multi-stop route
+        const stopMarkers = (routeData.stops || []).slice(1, -1).map((stopId, index) => {
+            const stop = this.getNode(stopId);
+            return L.marker([stop.lat, stop.lng], {
+                icon: this.createCustomIcon(String(index + 1), '#7c3aed')
+            }).bindTooltip(this.escapeHtml(this.nodeName(stop))).addTo(this.map);
+        });
+        
+        // Store markers for cleanup
+        this.currentRoute.alternativeLines = alternativeLines;
+        this.currentRoute.startMarker = startMarker;
+        this.currentRoute.endMarker = endMarker;
+        this.currentRoute.stopMarkers = stopMarkers;
+        
+        // Fit map to route
+        this.map.fitBounds(this.currentRoute.getBounds(), { padding: [20, 20] });
+        
+        this.currentRouteData = routeData;
+        
+        // Indoor routes: fade the full line and highlight the current floor's part
+        if (routeData.path.some(nodeId => this.getNode(nodeId).floor !== undefined)) {
+            this.currentRoute.setStyle({ opacity: 0.3, dashArray: '4 8' });
+            this.currentRoute.floorSegments = L.layerGroup().addTo(this.map);
+            this.setFloor(startNode.floor !== undefined ? startNode.floor : 0);
+        }
+        
+        // Routes from your location follow your progress
+        if (routeData.path[0] === this.locationNodeId && this.isTrackingLocation()) {
+            this.navigation = { travelled: 0, offRouteCount: 0, arrived: false };
+        }
+        
+        // Display route information
+        this.displayRouteInfo(routeData);
+    }
+    
+    displayRouteInfo(routeData) {
+        const routeOutput = document.getElementById('routeOutput');
+        
+        const routeHtml = `
+            <div class="route-info">
+                <div class="route-summary">
+                    <span>📍 ${this.escapeHtml(this.nodeName(this.getNode(routeData.path[0])))}</span>
+                    <span class="route-distance">${routeData.distance}m · ${this.formatDuration(this.estimateWalkingTime(routeData.distance))}</span>
+                    <span>🎯 ${this.escapeHtml(this.nodeName(this.getNode(routeData.path[routeData.path.length - 1])))}</span>
+                </div>
+                ${this.renderAlternativeRoutes(routeData)}
+                ${this.renderDetour(routeData)}
+                ${routeData.legs && routeData.legs.length > 1
+                    ? this.renderRouteLegs(routeData.legs)
+                    : this.renderRouteSteps(routeData.steps, 0)}
+                ${this.navigation ? '<div id="navigationStatus" class="navigation-status"></div>' : ''}
+                <div class="route-actions">
+                    <button id="exportGpxBtn" class="btn btn-outline btn-small">📍 ${this.t('route.exportGpx')}</button>
+                    <button id="copyRouteLinkBtn" class="btn btn-outline btn-small">🔗 ${this.t('route.copyLink')}</button>
+                    <button id="printRouteBtn" class="btn btn-outline btn-small">🖨️ ${this.t('route.print')}</button>
+                </div>
+            </div>
+        `;
+        
+        routeOutput.innerHTML = routeHtml;
+        
+        if (this.navigation) {
+            this.renderNavigationProgress();
+        }
+    }
+    
+    renderAlternativeRoutes(routeData) {
+        // One button per route, named after a place only that route passes
+        if (!this.alternativeRoutes) {
+            return routeData.legs ? '' : `
+                <button id="showAlternativesBtn" class="btn btn-outline btn-small route-alternatives-toggle">🔀 ${this.t('route.showAlternatives')}</button>
+            `;
+        }
+        const routes = this.alternativeRoutes;
+        if (routes.length < 2) return '';
+        
+        const via = route => {
+            const others = new Set(routes.filter(other => other !== route).flatMap(other => other.path));
+            const nodeId = route.path.find(id => !others.has(id) && !this.isTemporaryNode(id));
+            return nodeId ? this.t('route.via', { name: this.nodeName(this.getNode(nodeId)) }) : '';
+        };
+        
+        return `
+            <div class="route-alternatives" role="group" aria-label="${this.escapeHtml(this.t('route.alternatives'))}">
+                ${routes.map((route, index) => `
+                    <button class="route-alternative${route === routeData ? ' active' : ''}" data-alternative="${index}" aria-pressed="${route === routeData}">
+                        <strong>${this.escapeHtml(this.t('route.alternative', { n: index + 1 }))}</strong>
+                        <span>${route.distance}m · ${this.formatDuration(this.estimateWalkingTime(route.distance))}${index > 0 ? ` (+${route.distance - routes[0].distance}m)` : ''}</span>
+                        <span class="route-alternative-via">${this.escapeHtml(via(route))}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    selectAlternativeRoute(index) {
+        // Redraw with another of the current alternatives as the chosen route
+        const routes = this.alternativeRoutes;
+        if (!routes || !routes[index] || routes[index] === this.currentRouteData) return;
+        
+        this.clearRouteDisplay();
+        this.alternativeRoutes = routes;
+        this.displayRoute(routes[index]);
+    }
+    
+    renderDetour(routeData) {
+        const detour = this.explainDetour(routeData);
+        if (!detour) return '';
+        
+        return `
+            <div class="route-detour">
+                <strong>⛔ ${this.t('route.detour', { extra: detour.extra })}</strong>
+                <ul>
+                    ${detour.reasons.map(reason => `<li>${this.escapeHtml(reason.charAt(0).toUpperCase() + reason.slice(1))}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+    
+    renderRouteSteps(steps, offset) {
+        return `
+            <ul class="route-steps">
+                ${steps.map((step, index) => `
+                    <li class="route-step" data-step="${offset + index}">
+                        <div class="step-number">${offset + index + 1}</div>
+                        <div class="step-content">
+                            <div class="step-description">${this.escapeHtml(step.description)}</div>
+                            <div class="step-distance">${step.distance}m · ${this.formatDuration(this.estimateWalkingTime(step.distance))}</div>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    renderRouteLegs(legs) {
+        let offset = 0;
+        return legs.map((leg, index) => {
+            const from = this.nodeName(this.getNode(leg.path[0]));
+            const to = this.nodeName(this.getNode(leg.path[leg.path.length - 1]));
+            const html = `
+                <div class="route-leg">
+                    <div class="route-leg-header">
+                        <span>${this.escapeHtml(this.t('route.leg', { n: index + 1, from: from, to: to }))}</span>
+                        <span>${leg.distance}m · ${this.formatDuration(this.estimateWalkingTime(leg.distance))}</span>
+                    </div>
+                    ${this.renderRouteSteps(leg.steps, offset)}
+                </div>
+            `;
+            offset += leg.steps.length;
+            return html;
+        }).join('');
+    }
+    
+    createCustomIcon(emoji, color) {
+        return L.divIcon({
+            html: `<div style="background: ${color}; border: 2px solid white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-size: 16px; box-shadow: 0 2px 4px rgba(0,0,0,0.2);">${emoji}</div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15],
+            className: 'custom-marker'
+        });
+    }
+    
+    clearRoute() {
+        this.clearRouteDisplay();
+        
+        // Reset selects
+        document.getElementById('startSelect').value = '';
+        document.getElementById('endSelect').value = '';
+        this.waypoints = [];
+        this.renderWaypoints();
+        this.prunePins();
+        this.updateUrl();
+    }
+    
+    clearRouteDisplay() {
+        if (this.currentRoute) {
+            this.map.removeLayer(this.currentRoute);
+            if (this.currentRoute.alternativeLines) this.map.removeLayer(this.currentRoute.alternativeLines);
+            if (this.currentRoute.startMarker) this.map.removeLayer(this.currentRoute.startMarker);
+            if (this.currentRoute.endMarker) this.map.removeLayer(this.currentRoute.endMarker);
+            (this.currentRoute.stopMarkers || []).forEach(marker => this.map.removeLayer(marker));
+            if (this.currentRoute.floorSegments) this.map.removeLayer(this.currentRoute.floorSegments);
+            this.currentRoute = null;
+        }
+        this.currentRouteData = null;
+        this.alternativeRoutes = null;
+        this.navigation = null;
+        this.clearReachability();
+        
+        // Clear route output
+        document.getElementById('routeOutput').innerHTML = `
+            <div class="output-placeholder">
+                ${this.t('route.placeholder')}
+            </div>
+        `;
+    }
+    
+    showReachability() {
+        const originId = document.getElementById('reachOrigin').value;
+        const budget = parseFloat(document.getElementById('reachBudget').value);
+        const unit = document.getElementById('reachUnit').value;
+        
+        if (!originId) {
+            this.showToast(this.t('reach.selectOrigin'), 'warning');
+            return;
+        }
+        if (!(budget > 0)) {
+            this.showToast(this.t('reach.badBudget'), 'warning');
+            return;
+        }
+        
+        // Time budgets use the selected walking speed (metres per second)
+        const maxDistance = unit === 'minutes' ? budget * 60 * this.walkingSpeed : budget;
+        this.clearRouteDisplay();
+        this.reachability = { ...this.reachableFrom(originId, maxDistance), budget: budget, unit: unit };
+        
+        const origin = this.getNode(originId);
+        if (origin.floor !== undefined && origin.floor !== this.currentFloor) {
+            this.setFloor(origin.floor);
+        } else {
+            this.drawReachability();
+        }
+        
+        const reached = this.reachability.nodes.map(item => this.getNode(item.id));
+        this.map.fitBounds(L.latLngBounds(reached.map(node => [node.lat, node.lng])), { padding: [30, 30], maxZoom: 19 });
+        this.renderReachability();
+    }
+    
+    reachBand(distance) {
+        // Index into reachColors, splitting the budget into equal bands
+        const bands = this.reachColors.length;
+        return Math.min(Math.floor(distance / this.reachability.maxDistance * bands), bands - 1);
+    }
+    
+    drawReachability() {
+        // Reachable paths and places on the current floor, coloured by walking time
+        if (!this.reachLayer) return;
+        this.reachLayer.clearLayers();
+        if (!this.reachability) return;
+        
+        const bands = this.reachColors.length;
+        const step = this.reachability.maxDistance / bands;
+        const pointAt = (a, b, fraction) => [a.lat + (b.lat - a.lat) * fraction, a.lng + (b.lng - a.lng) * fraction];
+        
+        this.reachability.edges.forEach(({ edge, parts }) => {
+            const a = this.getNode(edge.a);
+            const b = this.getNode(edge.b);
+            if (!a || !b || this.getVerticalType(edge) || !this.isVisibleOnFloor(a) || !this.isVisibleOnFloor(b)) return;
+            
+            parts.forEach(part => {
+                // Cut the part where it crosses from one time band to the next
+                const low = Math.min(part.startDistance, part.endDistance);
+                const high = Math.max(part.startDistance, part.endDistance);
+                const cuts = [part.start, part.end];
+                for (let k = 1; k < bands; k++) {
+                    if (k * step > low && k * step < high) {
+                        cuts.push(part.start + (k * step - part.startDistance) / (part.endDistance - part.startDistance) * (part.end - part.start));
+                    }
+                }
+                cuts.sort((x, y) => x - y);
+                
+                for (let i = 0; i < cuts.length - 1; i++) {
+                    const middle = (cuts[i] + cuts[i + 1]) / 2;
+                    const distance = part.startDistance + (middle - part.start) / (part.end - part.start) * (part.endDistance - part.startDistance);
+                    L.polyline([pointAt(a, b, cuts[i]), pointAt(a, b, cuts[i + 1])], {
+                        color: this.reachColors[this.reachBand(distance)],
+                        weight: 6,
+                        opacity: 0.85
+                    }).addTo(this.reachLayer);
+                }
+            });
+        });
+        
+        this.reachability.nodes.forEach(item => {
+            const node = this.getNode(item.id);
+            if (!node || !this.isVisibleOnFloor(node)) return;
+            
+            const place = this.getCategory(node) !== 'junction';
+            L.circleMarker([node.lat, node.lng], {
+                radius: place ? 8 : 4,
+                color: 'white',
+                weight: 2,
+                fillColor: this.reachColors[this.reachBand(item.distance)],
+                fillOpacity: 1
+            }).bindTooltip(`${this.escapeHtml(this.nodeName(node))} · ${this.formatDuration(item.seconds)}`).addTo(this.reachLayer);
+        });
+        
+        const origin = this.getNode(this.reachability.origin);
+        if (origin && this.isVisibleOnFloor(origin)) {
+            L.marker([origin.lat, origin.lng], {
+                icon: this.createCustomIcon('⏱️', '#2563eb')
+            }).addTo(this.reachLayer);
+        }
+    }
+    
+    renderReachability() {
+        const reach = this.reachability;
+        const category = document.getElementById('reachCategory').value;
+        const places = reach.nodes.filter(item => {
+            const node = this.getNode(item.id);
+            return item.id !== reach.origin && !this.isTemporaryNode(item.id) &&
+                this.getCategory(node) !== 'junction' && (!category || this.getCategory(node) === category);
+        });
+        
+        const bands = this.reachColors.length;
+        const bandLabel = k => reach.unit === 'minutes'
+            ? this.t('reach.bandMinutes', { from: Math.round(reach.budget * k / bands * 10) / 10, to: Math.round(reach.budget * (k + 1) / bands * 10) / 10 })
+            : this.t('reach.bandMeters', { from: Math.round(reach.maxDistance * k / bands), to: Math.round(reach.maxDistance * (k + 1) / bands) });
+        const budget = reach.unit === 'minutes'
+            ? this.t('reach.withinMinutes', { minutes: reach.budget })
+            : this.t('reach.withinMeters', { distance: reach.budget });
+        
+        document.getElementById('routeOutput').innerHTML = `
+            <div class="route-info">
+                <div class="route-summary">
+                    <span>⏱️ ${this.escapeHtml(this.nodeName(this.getNode(reach.origin)))}</span>
+                    <span class="route-distance">${this.escapeHtml(budget)}</span>
+                </div>
+                <div class="reach-legend">
+                    ${this.reachColors.map((color, k) => `
+                        <span><i style="background: ${color}"></i>${this.escapeHtml(bandLabel(k))}</span>
+                    `).join('')}
+                </div>
+                ${places.length === 0 ? `<p class="editor-hint">${this.t('reach.none')}</p>` : `
+                    <ul class="reach-list">
+                        ${places.map(item => {
+                            const node = this.getNode(item.id);
+                            const icon = this.categories[this.getCategory(node)].icon;
+                            return `
+                                <li class="reach-item" data-node="${this.escapeHtml(item.id)}" tabindex="0">
+                                    <span class="reach-swatch" style="background: ${this.reachColors[this.reachBand(item.distance)]}"></span>
+                                    <span class="reach-name">${icon} ${this.escapeHtml(this.nodeName(node))}${this.describeNodeLocation(node)}</span>
+                                    <span class="reach-time">${item.distance}m · ${this.formatDuration(item.seconds)}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                `}
+                <div class="route-actions">
+                    <button id="clearReachBtn" class="btn btn-outline btn-small">🗑️ ${this.t('reach.clear')}</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    clearReachability() {
+        this.reachability = null;
+        if (this.reachLayer) this.reachLayer.clearLayers();
+    }
+    
+    toggleAdminMode() {
+        this.isAdminMode = !this.isAdminMode;
+        const btn = document.getElementById('adminToggle');
+        
+        if (this.isAdminMode) {
+            btn.textContent = '🔧 Exit Admin';
+            btn.classList.add('btn-primary');
+            btn.classList.remove('btn-secondary');
+            document.body.classList.add('admin-mode');
+            
+            // Enable marker dragging
+            this.setMarkersDraggable(true);
+            
+            // Show graph edges for editing
+            this.drawEdges();
+            this.edgeLayer.addTo(this.map);
+            
+            this.showToast('Admin mode enabled. You can now drag markers to adjust positions.', 'warning');
+        } else {
+            btn.textContent = '⚙️ Admin';
+            btn.classList.remove('btn-primary');
+            btn.classList.add('btn-secondary');
+            document.body.classList.remove('admin-mode');
+            
+            // Disable marker dragging
+            this.setMarkersDraggable(false);
+            
+            this.map.removeLayer(this.edgeLayer);
+            this.setEditorTool('move');
+            
+            this.showToast('Admin mode disabled', 'success');
+        }
+    }
+    
+    showCalibrationModal() {
+        const modal = document.getElementById('calibrationModal');
+        modal.classList.add('active');
+        
+        // Populate current bounds
+        document.getElementById('nwLat').value = this.defaultBounds.nw[0];
+        document.getElementById('nwLng').value = this.defaultBounds.nw[1];
+        document.getElementById('seLat').value = this.defaultBounds.se[0];
+        document.getElementById('seLng').value = this.defaultBounds.se[1];
+        
+        // Start from the saved transform's points unless some are being edited
+        const georeference = this.graph.metadata?.georeference;
+        if (this.controlPoints.length === 0 && georeference) {
+            this.controlPoints = JSON.parse(JSON.stringify(georeference.controlPoints || []));
+        }
+        document.getElementById('boundsReplaceNote').style.display = georeference ? '' : 'none';
+        this.renderControlPoints();
+    }
+    
+    hideCalibrationModal() {
+        document.getElementById('calibrationModal').classList.remove('active');
+    }
+    
+    applyCalibration() {
+        const nwLat = parseFloat(document.getElementById('nwLat').value);
+        const nwLng = parseFloat(document.getElementById('nwLng').value);
+        const seLat = parseFloat(document.getElementById('seLat').value);
+        const seLng = parseFloat(document.getElementById('seLng').value);
+        
+        if (isNaN(nwLat) || isNaN(nwLng) || isNaN(seLat) || isNaN(seLng)) {
+            this.showToast('Please enter valid coordinates', 'error');
+            return;
+        }
+        
+        this.pushHistory();
+        
+        // Update bounds
+        this.defaultBounds = {
+            nw: [nwLat, nwLng],
+            se: [seLat, seLng]
+        };
+        
+        // Corner bounds replace any control-point transform
+        if (this.graph.metadata?.georeference) {
+            delete this.graph.metadata.georeference;
+        }
+        
+        this.refreshOverlay();
+        this.saveLocalState();
+        
+        this.hideCalibrationModal();
+        this.showToast('Overlay calibration applied', 'success');
+    }
+    
+    resetCalibration() {
+        // Fill in the original bounds; Apply commits them
+        document.getElementById('nwLat').value = this.initialBounds.nw[0];
+        document.getElementById('nwLng').value = this.initialBounds.nw[1];
+        document.getElementById('seLat').value = this.initialBounds.se[0];
+        document.getElementById('seLng').value = this.initialBounds.se[1];
+    }
+    
+    startControlPoint(e) {
+        const image = e.target;
+        const rect = image.getBoundingClientRect();
+        if (!image.naturalWidth || rect.width === 0) return;
+        
+        // Record the pixel in the blueprint's own resolution
+        const pixel = [
+            Math.round((e.clientX - rect.left) / rect.width * image.naturalWidth),
+            Math.round((e.clientY - rect.top) / rect.height * image.naturalHeight)
+        ];
+        
+        this.pendingControlPoint = { pixel: pixel };
+        this.hideCalibrationModal();
+        this.showToast('Now click the same spot on the map', 'success');
+    }
+    
+    completeControlPoint(latlng) {
+        this.controlPoints.push({
+            pixel: this.pendingControlPoint.pixel,
+            latlng: [parseFloat(latlng.lat.toFixed(7)), parseFloat(latlng.lng.toFixed(7))]
+        });
+        this.pendingControlPoint = null;
+        this.showCalibrationModal();
+    }
+    
+    fitAffineTransform(points) {
+        // Least-squares fit of lat and lng against pixel x and y. Needs three
+        // points that are not on one line; returns null otherwise.
+        if (points.length < 3) return null;
+        
+        const n = points.length;
+        const mean = index => points.reduce((sum, p) => sum + index(p), 0) / n;
+        const mx = mean(p => p.pixel[0]);
+        const my = mean(p => p.pixel[1]);
+        const mLat = mean(p => p.latlng[0]);
+        const mLng = mean(p => p.latlng[1]);
+        
+        // Normal equations on centred values keep the solve well conditioned
+        let sxx = 0, sxy = 0, syy = 0, sxLat = 0, syLat = 0, sxLng = 0, syLng = 0;
+        points.forEach(p => {
+            const dx = p.pixel[0] - mx;
+            const dy = p.pixel[1] - my;
+            const dLat = p.latlng[0] - mLat;
+            const dLng = p.latlng[1] - mLng;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+            sxLat += dx * dLat;
+            syLat += dy * dLat;
+            sxLng += dx * dLng;
+            syLng += dy * dLng;
+        });
+        
+        const det = sxx * syy - sxy * sxy;
+        if (det <= 1e-9 * sxx * syy || det === 0) return null;
+        
+        const a = (syy * sxLat - sxy * syLat) / det;
+        const b = (sxx * syLat - sxy * sxLat) / det;
+        const d = (syy * sxLng - sxy * syLng) / det;
+        const e = (sxx * syLng - sxy * sxLng) / det;
+        
+        return [a, b, mLat - a * mx - b * my, d, e, mLng - d * mx - e * my];
+    }
+    
+    controlPointResiduals(transform, points) {
+        // Distance in metres between each picked map position and where the fit puts it
+        return points.map(p => {
+            const [lat, lng] = applyAffineTransform(transform, p.pixel[0], p.pixel[1]);
+            return this.haversineDistance({ lat: lat, lng: lng }, { lat: p.latlng[0], lng: p.latlng[1] });
+        });
+    }
+    
+    renderControlPoints() {
+        const image = document.getElementById('blueprintPickerImage');
+        const transform = this.fitAffineTransform(this.controlPoints);
+        const residuals = transform ? this.controlPointResiduals(transform, this.controlPoints) : [];
+        const worst = residuals.length > 3 ? residuals.indexOf(Math.max(...residuals)) : -1;
+        
+        document.getElementById('controlPointList').innerHTML = this.controlPoints.map((p, i) => `
+            <tr class="${i === worst ? 'residual-high' : ''}">
+                <td>${i + 1}</td>
+                <td>${p.pixel[0]}, ${p.pixel[1]}</td>
+                <td>${p.latlng[0].toFixed(6)}, ${p.latlng[1].toFixed(6)}</td>
+                <td>${transform ? `${residuals[i].toFixed(1)} m` : '–'}</td>
+                <td><button class="waypoint-btn" data-remove-point="${i}" title="Remove point">✕</button></td>
+            </tr>
+        `).join('');
+        
+        // Numbered pins over the blueprint thumbnail
+        document.getElementById('blueprintPickerMarks').innerHTML = image.naturalWidth ? this.controlPoints.map((p, i) => `
+            <span class="control-point-pin" style="left: ${p.pixel[0] / image.naturalWidth * 100}%; top: ${p.pixel[1] / image.naturalHeight * 100}%">${i + 1}</span>
+        `).join('') : '';
+        
+        const hint = document.getElementById('controlPointHint');
+        if (this.controlPoints.length < 3) {
+            hint.textContent = `Click a feature on the blueprint, then the same feature on the map. ${3 - this.controlPoints.length} more point(s) needed.`;
+        } else if (!transform) {
+            hint.textContent = 'The points lie on one line. Add a point away from that line.';
+        } else {
+            const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+            hint.textContent = `RMS error ${rms.toFixed(1)} m. Remove points with large errors or add more to improve the fit.`;
+        }
+        
+        document.getElementById('applyGeoreferenceBtn').disabled = !transform;
+    }
+    
+    applyGeoreference() {
+        const image = document.getElementById('blueprintPickerImage');
+        const transform = this.fitAffineTransform(this.controlPoints);
+        if (!transform || !image.naturalWidth) {
+            this.showToast('Pick at least 3 control points that are not on one line', 'error');
+            return;
+        }
+        
+        const residuals = this.controlPointResiduals(transform, this.controlPoints);
+        
+        this.pushHistory();
+        this.graph.metadata = this.graph.metadata || {};
+        this.graph.metadata.georeference = {
+            type: 'affine',
+            imageSize: [image.naturalWidth, image.naturalHeight],
+            transform: transform,
+            controlPoints: JSON.parse(JSON.stringify(this.controlPoints)),
+            rmsError: parseFloat(Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length).toFixed(2))
+        };
+        
+        this.refreshOverlay();
+        this.saveLocalState();
+        
+        this.hideCalibrationModal();
+        this.showToast('Control-point transform applied', 'success');
+    }
+    
+    refreshOverlay() {
+        // Control points are reloaded from the saved transform next time the modal opens
+        this.controlPoints = [];
+        if (this.overlay) {
+            this.map.removeLayer(this.overlay);
+            this.initOverlay();
+        }
+    }
+    
+    downloadFile(content, filename, type) {
+        const dataBlob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    exportGraph() {
+        this.recordExport();
+        this.downloadFile(JSON.stringify(this.graph, null, 2), 'campus-graph.json', 'application/json');
+        this.showToast('Graph data exported successfully', 'success');
+    }
+    
+    exportGeoJSON() {
+        this.recordExport();
+        this.downloadFile(JSON.stringify(this.graphToGeoJSON(this.graph), null, 2), 'campus-graph.geojson', 'application/geo+json');
+        this.showToast('GeoJSON exported successfully', 'success');
+    }
+    
+    graphToGeoJSON(graph) {
+        // Nodes become Points and edges two-point LineStrings; every other
+        // field is carried in properties so the graph survives a round trip
+        const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+        
+        const nodeFeatures = graph.nodes.map(node => {
+            const { lat, lng, ...properties } = node;
+            return {
+                type: 'Feature',
+                id: node.id,
+                geometry: { type: 'Point', coordinates: [lng, lat] },
+                properties: properties
+            };
+        });
+        
+        const edgeFeatures = graph.edges.map(edge => {
+            const a = nodeById.get(edge.a);
+            const b = nodeById.get(edge.b);
+            return {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: [[a.lng, a.lat], [b.lng, b.lat]] },
+                properties: { ...edge }
+            };
+        });
+        
+        return {
+            type: 'FeatureCollection',
+            metadata: graph.metadata || {},
+            ...(graph.closures ? { closures: graph.closures } : {}),
+            features: [...nodeFeatures, ...edgeFeatures]
+        };
+    }
+    
+    geoJSONToGraph(collection) {
+        // Returns a graph for validateGraph plus warnings about features that
+        // could not be used. Lines drawn in GIS tools may lack a/b and dist:
+        // their ends are matched to nodes and their length is measured.
+        const warnings = [];
+        const graph = { nodes: [], edges: [], metadata: collection.metadata || {} };
+        if (collection.closures !== undefined) graph.closures = collection.closures;
+        const features = Array.isArray(collection.features) ? collection.features : [];
+        const lines = [];
+        
+        features.forEach((feature, index) => {
+            const label = `Feature #${index + 1}`;
+            const geometry = feature && feature.geometry;
+            const properties = (feature && feature.properties) || {};
+            
+            if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+                const [lng, lat] = geometry.coordinates;
+                const { id, name, ...rest } = properties;
+                graph.nodes.push({
+                    id: id !== undefined ? id : feature.id,
+                    name: name,
+                    lat: lat,
+                    lng: lng,
+                    ...rest
+                });
+            } else if (geometry && geometry.type === 'LineString' && Array.isArray(geometry.coordinates) && geometry.coordinates.length >= 2) {
+                lines.push({ label, geometry, properties });
+            } else {
+                warnings.push(`${label} is not a Point or LineString; ignored`);
+            }
+        });
+        
+        const nodeAt = ([lng, lat]) => {
+            // Line ends within a metre of a node are treated as connected to it
+            const point = { lat: lat, lng: lng };
+            const node = graph.nodes.find(n => Number.isFinite(n.lat) && Number.isFinite(n.lng) && this.haversineDistance(n, point) <= 1);
+            return node ? node.id : undefined;
+        };
+        
+        lines.forEach(({ label, geometry, properties }) => {
+            const coords = geometry.coordinates;
+            const edge = { ...properties };
+            if (edge.a === undefined) edge.a = nodeAt(coords[0]);
+            if (edge.b === undefined) edge.b = nodeAt(coords[coords.length - 1]);
+            
+            if (edge.a === undefined || edge.b === undefined) {
+                warnings.push(`${label} does not start and end at a node; ignored`);
+                return;
+            }
+            if (edge.dist === undefined) {
+                let length = 0;
+                for (let i = 1; i < coords.length; i++) {
+                    length += this.haversineDistance(
+                        { lat: coords[i - 1][1], lng: coords[i - 1][0] },
+                        { lat: coords[i][1], lng: coords[i][0] }
+                    );
+                }
+                edge.dist = Math.round(length);
+            }
+            
+            graph.edges.push({ a: edge.a, b: edge.b, dist: edge.dist, ...edge });
+        });
+        
+        return { graph, warnings };
+    }
+    
+    buildRouteGpx(routeData) {
+        // GPX 1.1 with waypoints for the start, stops and destination and a
+        // track along the full path, which phone GPS apps can display
+        const escape = text => this.escapeHtml(text);
+        const nodes = routeData.path.map(nodeId => this.getNode(nodeId));
+        const stopIds = routeData.stops || [routeData.path[0], routeData.path[routeData.path.length - 1]];
+        const name = `${this.getNode(stopIds[0]).name} to ${this.getNode(stopIds[stopIds.length - 1]).name}`;
+        
+        const waypoints = stopIds.map(stopId => {
+            const node = this.getNode(stopId);
+            return `  <wpt lat="${node.lat}" lon="${node.lng}"><name>${escape(node.name)}</name></wpt>`;
+        });
+        const points = nodes.map(node => `      <trkpt lat="${node.lat}" lon="${node.lng}"><name>${escape(node.name)}</name></trkpt>`);
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Chanakya University Campus Map" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <metadata>',
+            `    <name>${escape(name)}</name>`,
+            `    <desc>${escape(`${routeData.distance} m walking route`)}</desc>`,
+            '  </metadata>',
+            ...waypoints,
+            '  <trk>',
+            `    <name>${escape(name)}</name>`,
+            '    <trkseg>',
+            ...points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+    
+    exportRouteGpx() {
+        if (!this.currentRouteData) {
+            this.showToast(this.t('print.findFirst'), 'error');
+            return;
+        }
+        
+        const stops = this.currentRouteData.stops || this.currentRouteData.path;
+        const filename = `route-${stops[0]}-to-${stops[stops.length - 1]}.gpx`;
+        this.downloadFile(this.buildRouteGpx(this.currentRouteData), filename, 'application/gpx+xml');
+        this.showToast('Route exported as GPX', 'success');
+    }
+    
+    buildRouteSnapshot(routeData, width = 640, height = 400) {
+        // Static SVG of the path network around the route, for printing.
+        // Uses an equirectangular projection, which is accurate at campus scale.
+        const routeNodes = routeData.path.map(nodeId => this.getNode(nodeId));
+        const lats = routeNodes.map(node => node.lat);
+        const lngs = routeNodes.map(node => node.lng);
+        const cosLat = Math.cos((Math.min(...lats) + Math.max(...lats)) / 2 * Math.PI / 180);
+        
+        // Fit the route into the frame with a margin, keeping the aspect ratio
+        const minX = Math.min(...lngs) * cosLat;
+        const maxX = Math.max(...lngs) * cosLat;
+        const minY = -Math.max(...lats);
+        const maxY = -Math.min(...lats);
+        const scale = Math.min(
+            width * 0.8 / Math.max(maxX - minX, 1e-6),
+            height * 0.8 / Math.max(maxY - minY, 1e-6)
+        );
+        const project = node => [
+            (width / 2 + (node.lng * cosLat - (minX + maxX) / 2) * scale).toFixed(1),
+            (height / 2 + (-node.lat - (minY + maxY) / 2) * scale).toFixed(1)
+        ];
+        const inFrame = ([x, y]) => x >= 0 && x <= width && y >= 0 && y <= height;
+        
+        const edges = this.graph.edges.map(edge => {
+            const [x1, y1] = project(this.getNode(edge.a));
+            const [x2, y2] = project(this.getNode(edge.b));
+            return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+        });
+        
+        const stopIds = routeData.stops || [routeData.path[0], routeData.path[routeData.path.length - 1]];
+        const labels = this.graph.nodes
+            .filter(node => node.category !== 'junction' && !stopIds.includes(node.id) && inFrame(project(node)))
+            .map(node => {
+                const [x, y] = project(node);
+                return `<circle cx="${x}" cy="${y}" r="3" fill="#94a3b8"/><text x="${+x + 6}" y="${+y + 4}" fill="#64748b">${this.escapeHtml(this.nodeName(node))}</text>`;
+            });
+        
+        const stops = stopIds.map((stopId, index) => {
+            const [x, y] = project(this.getNode(stopId));
+            const color = index === 0 ? '#059669' : index === stopIds.length - 1 ? '#dc2626' : '#ea580c';
+            return `<circle cx="${x}" cy="${y}" r="9" fill="${color}" stroke="#fff" stroke-width="2"/>` +
+                `<text x="${x}" y="${+y + 4}" fill="#fff" font-weight="600" text-anchor="middle">${index + 1}</text>` +
+                `<text x="${+x + 13}" y="${+y + 4}" font-weight="600">${this.escapeHtml(this.nodeName(this.getNode(stopId)))}</text>`;
+        });
+        
+        // Scale bar of a round length about a fifth of the width
+        const metresPerPixel = 6371000 * Math.PI / 180 / scale;
+        const barMetres = [10, 20, 50, 100, 200, 500, 1000].find(m => m / metresPerPixel >= width / 5) || 1000;
+        const barLength = (barMetres / metresPerPixel).toFixed(1);
+        
+        return `
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">
+                <rect width="${width}" height="${height}" fill="#f8fafc" stroke="#e2e8f0"/>
+                <g stroke="#cbd5e1" stroke-width="3" stroke-linecap="round">${edges.join('')}</g>
+                <polyline points="${routeNodes.map(node => project(node).join(',')).join(' ')}" fill="none" stroke="#2563eb" stroke-width="5" stroke-linejoin="round" stroke-linecap="round"/>
+                ${labels.join('')}
+                ${stops.join('')}
+                <g transform="translate(16, ${height - 16})">
+                    <line x1="0" y1="0" x2="${barLength}" y2="0" stroke="#1e293b" stroke-width="2"/>
+                    <text x="0" y="-5">${barMetres} m</text>
+                </g>
+                <text x="${width - 16}" y="24" font-size="14" font-weight="600" text-anchor="middle">N ↑</text>
+            </svg>
+        `;
+    }
+    
+    printRoute() {
+        // Fills the print sheet with the route and opens the print dialog;
+        // the stylesheet hides the app and shows only the sheet when printing
+        const routeData = this.currentRouteData;
+        if (!routeData) {
+            this.showToast(this.t('print.findFirst'), 'error');
+            return;
+        }
+        
+        const from = this.nodeName(this.getNode(routeData.path[0]));
+        const to = this.nodeName(this.getNode(routeData.path[routeData.path.length - 1]));
+        const profile = this.getRoutingProfile();
+        const state = this.getRouteUrlState();
+        const details = [
+            `${routeData.distance}m`,
+            this.t('print.walk', { time: this.formatDuration(this.estimateWalkingTime(routeData.distance)) }),
+            profile.rules.some(rule => !rule.closure) ? this.t('print.profile', { profile: this.t(`profile.${profile.id}`) }) : null,
+            this.t('print.printed', { time: this.getDepartureTime().toLocaleString(this.localeTag()) })
+        ].filter(detail => detail);
+        
+        this.showPrintSheet(`
+            <div class="print-route">
+                <div class="print-header">
+                    <div>
+                        <h1>${this.escapeHtml(from)} → ${this.escapeHtml(to)}</h1>
+                        <p>${details.map(detail => this.escapeHtml(detail)).join(' · ')}</p>
+                    </div>
+                    ${state.from && state.to ? `
+                        <figure class="print-qr">
+                            ${QrCode.encode(this.buildShareUrl(state)).toSvg(3)}
+                            <figcaption>${this.t('print.scan')}</figcaption>
+                        </figure>
+                    ` : ''}
+                </div>
+                <div class="print-snapshot">${this.buildRouteSnapshot(routeData)}</div>
+                ${this.renderDetour(routeData)}
+                ${routeData.legs && routeData.legs.length > 1
+                    ? this.renderRouteLegs(routeData.legs)
+                    : this.renderRouteSteps(routeData.steps, 0)}
+            </div>
+        `);
+    }
+    
+    showPrintSheet(html) {
+        const sheet = document.getElementById('printSheet');
+        sheet.innerHTML = html;
+        window.print();
+    }
+    
+    restoreTimetable() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKeys.timetable));
+            if (saved && Array.isArray(saved.events)) {
+                this.timetable = { events: saved.events, matches: saved.matches || {} };
+            }
+        } catch (error) {
+            console.error('Error restoring timetable:', error);
+        }
+    }
+    
+    saveTimetable() {
+        try {
+            if (this.timetable.events.length > 0) {
+                localStorage.setItem(this.storageKeys.timetable, JSON.stringify(this.timetable));
+            } else {
+                localStorage.removeItem(this.storageKeys.timetable);
+            }
+        } catch (error) {
+            console.error('Error saving timetable:', error);
+        }
+    }
+    
+    showTimetableModal() {
+        this.renderTimetable();
+        document.getElementById('timetableModal').classList.add('active');
+    }
+    
+    hideTimetableModal() {
+        document.getElementById('timetableModal').classList.remove('active');
+    }
+    
+    async readTimetableFile(file) {
+        if (!file) return;
+        try {
+            this.loadTimetable(await file.text());
+        } catch (error) {
+            console.error('Error reading timetable:', error);
+            this.showToast(this.t('timetable.readError'), 'error');
+        }
+        document.getElementById('timetableFile').value = '';
+    }
+    
+    loadTimetable(text) {
+        // iCalendar exports start with BEGIN:VCALENDAR; anything else is read as CSV
+        const result = /BEGIN:VCALENDAR/i.test(text) ? this.parseIcs(text) : this.parseTimetableCsv(text);
+        if (result.warnings.length > 0) {
+            console.warn('Timetable warnings:', result.warnings);
+        }
+        if (result.events.length === 0) {
+            this.showToast(this.t('timetable.empty'), 'warning');
+            return;
+        }
+        
+        // Keep locations fixed by hand earlier; match the rest by name
+        const matches = {};
+        result.events.forEach(event => {
+            if (event.location in matches) return;
+            const previous = this.timetable.matches[event.location];
+            matches[event.location] = previous && this.getNode(previous)
+                ? previous
+                : this.matchLocation(event.location) || '';
+        });
+        
+        this.timetable = { events: result.events, matches: matches };
+        this.timetableDay = null;
+        this.saveTimetable();
+        this.renderTimetable();
+        this.showToast(this.t(result.warnings.length > 0 ? 'timetable.loadedWarnings' : 'timetable.loaded', {
+            count: result.events.length,
+            skipped: result.warnings.length
+        }), 'success');
+    }
+    
+    clearTimetable() {
+        this.timetable = { events: [], matches: {} };
+        this.timetableDay = null;
+        this.saveTimetable();
+        this.renderTimetable();
+        this.showToast(this.t('timetable.cleared'), 'info');
+    }
+    
+    formatTimetableDay(day) {
+        const date = this.timetableDate(day, 0);
+        return this.weekdays.includes(day)
+            ? date.toLocaleDateString(this.localeTag(), { weekday: 'long' })
+            : date.toLocaleDateString(this.localeTag(), { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+    
+    formatClock(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
+    renderTimetable() {
+        const { events, matches } = this.timetable;
+        document.getElementById('timetableResults').style.display = events.length > 0 ? 'block' : 'none';
+        if (events.length === 0) return;
+        
+        // One select per distinct location; unmatched ones are highlighted
+        const options = this.groupNodesByCategory().map(group => `
+            <optgroup label="${this.escapeHtml(`${group.category.icon} ${this.categoryLabel(group.key)}`.trim())}">
+                ${group.nodes.map(node =>
+                    `<option value="${this.escapeHtml(node.id)}">${this.escapeHtml(this.nodeName(node))}</option>`
+                ).join('')}
+            </optgroup>
+        `).join('');
+        const locations = Object.keys(matches).filter(location => location);
+        
+        const matchList = document.getElementById('timetableMatches');
+        matchList.innerHTML = locations.map(location => `
+            <div class="timetable-match${matches[location] ? '' : ' unmatched'}">
+                <span class="timetable-location">${this.escapeHtml(location)}</span>
+                <select class="control-select" data-location="${this.escapeHtml(location)}">
+                    <option value="">${this.t('timetable.unmatchedOption')}</option>
+                    ${options}
+                </select>
+            </div>
+        `).join('');
+        matchList.querySelectorAll('select').forEach(select => {
+            select.value = matches[select.dataset.location];
+        });
+        
+        // Default to today's date or weekday when the timetable has it
+        const days = this.timetableDays(events);
+        const now = this.getDepartureTime();
+        const today = [this.localDateKey(now), this.weekdays[(now.getDay() + 6) % 7]].find(day => days.includes(day));
+        if (!days.includes(this.timetableDay)) {
+            this.timetableDay = today || days[0];
+        }
+        
+        const daySelect = document.getElementById('timetableDay');
+        daySelect.innerHTML = '';
+        days.forEach(day => daySelect.add(new Option(this.formatTimetableDay(day), day)));
+        daySelect.value = this.timetableDay;
+        
+        this.renderTimetableDay();
+    }
+    
+    renderTimetableDay() {
+        const view = document.getElementById('timetableDayView');
+        const events = this.timetable.events
+            .filter(event => event.day === this.timetableDay)
+            .map(event => {
+                // Matches can point at nodes removed since the timetable was loaded
+                const nodeId = this.timetable.matches[event.location];
+                return { ...event, nodeId: nodeId && this.getNode(nodeId) ? nodeId : null };
+            });
+        if (events.length === 0) {
+            view.innerHTML = `<p class="editor-hint">${this.t('timetable.noClasses')}</p>`;
+            return;
+        }
+        
+        const gaps = this.planTimetableDay(events);
+        const renderClass = event => `
+            <li class="timetable-class">
+                <span class="timetable-time">${this.formatClock(event.start)}–${this.formatClock(event.end)}</span>
+                <span>
+                    <strong>${this.escapeHtml(event.title)}</strong>
+                    <span class="timetable-place">${this.escapeHtml(event.nodeId ? this.nodeName(this.getNode(event.nodeId)) : event.location || this.t('timetable.none'))}</span>
+                </span>
+            </li>
+        `;
+        const renderGap = (gap, index) => {
+            let text;
+            if (gap.problem) {
+                text = this.t(`timetable.${gap.problem}`);
+            } else if (gap.seconds === 0) {
+                text = this.t('timetable.sameRoom');
+            } else {
+                text = this.t('timetable.walk', {
+                    distance: gap.route.distance,
+                    time: this.formatDuration(gap.seconds),
+                    minutes: gap.breakMinutes
+                });
+            }
+            return `
+                <li class="timetable-gap${gap.late ? ' late' : ''}${gap.problem ? ' problem' : ''}">
+                    <span>${gap.late ? '⚠️' : '🚶'} ${this.escapeHtml(text)}${gap.late ? ` <strong>${this.t('timetable.late')}</strong>` : ''}</span>
+                    ${gap.route ? `<button class="btn btn-outline btn-small" data-gap="${index}">${this.t('timetable.showRoute')}</button>` : ''}
+                </li>
+            `;
+        };
+        
+        const sorted = gaps.length > 0 ? [gaps[0].from, ...gaps.map(gap => gap.to)] : events;
+        this.timetableGaps = gaps;
+        view.innerHTML = `
+            <ul class="timetable-list">
+                ${sorted.map((event, index) => renderClass(event) + (index < gaps.length ? renderGap(gaps[index], index) : '')).join('')}
+            </ul>
+        `;
+    }
+    
+    showTimetableRoute(gap) {
+        // Leave when the earlier class ends, so closures and opening hours match
+        const leaveAt = this.timetableDate(gap.from.day, gap.from.end);
+        const toLocalInput = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        this.departureTime = leaveAt;
+        document.getElementById('departureTime').value = toLocalInput(leaveAt);
+        this.drawClosures();
+        this.renderClosureList();
+        
+        document.getElementById('startSelect').value = gap.from.nodeId;
+        document.getElementById('endSelect').value = gap.to.nodeId;
+        this.waypoints = [];
+        this.renderWaypoints();
+        this.hideTimetableModal();
+        this.findRoute();
+    }
+    
+    getQrTarget() {
+        // The location or from→to route chosen in the QR dialog
+        const from = document.getElementById('qrFrom').value;
+        const to = document.getElementById('qrTo').value;
+        if (!from) return null;
+        
+        if (to && to !== from) {
+            return {
+                title: `${this.getNode(from).name} → ${this.getNode(to).name}`,
+                filename: `qr-${from}-to-${to}.svg`,
+                url: this.buildShareUrl({ from: from, to: to })
+            };
+        }
+        return {
+            title: this.getNode(from).name,
+            filename: `qr-${from}.svg`,
+            url: this.buildShareUrl({ loc: from })
+        };
+    }
+    
+    showQrModal() {
+        const fromSelect = document.getElementById('qrFrom');
+        const toSelect = document.getElementById('qrTo');
+        const previousFrom = fromSelect.value;
+        const previousTo = toSelect.value;
+        
+        fromSelect.innerHTML = '';
+        toSelect.innerHTML = '<option value="">No destination (link to the location)</option>';
+        this.groupNodesByCategory().forEach(group => {
+            [fromSelect, toSelect].forEach(select => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = `${group.category.icon} ${group.category.label}`.trim();
+                group.nodes.forEach(node => {
+                    optgroup.appendChild(new Option(node.name, node.id));
+                });
+                select.appendChild(optgroup);
+            });
+        });
+        
+        if (this.getNode(previousFrom)) fromSelect.value = previousFrom;
+        toSelect.value = this.getNode(previousTo) ? previousTo : '';
+        
+        this.renderQrPreview();
+        document.getElementById('qrModal').classList.add('active');
+    }
+    
+    hideQrModal() {
+        document.getElementById('qrModal').classList.remove('active');
+    }
+    
+    renderQrPreview() {
+        const target = this.getQrTarget();
+        const preview = document.getElementById('qrPreview');
+        if (!target) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        preview.innerHTML = `
+            ${QrCode.encode(target.url).toSvg(5)}
+            <p class="qr-url">${this.escapeHtml(target.url)}</p>
+        `;
+    }
+    
+    downloadQrCode() {
+        const target = this.getQrTarget();
+        if (!target) return;
+        
+        this.downloadFile(QrCode.encode(target.url).toSvg(10), target.filename, 'image/svg+xml');
+        this.showToast('QR code downloaded', 'success');
+    }
+    
+    printQrCodes(targets) {
+        // A grid of labelled codes to cut out; a single code prints large
+        this.showPrintSheet(`
+            <div class="print-qr-sheet ${targets.length === 1 ? 'single' : ''}">
+                ${targets.map(target => `
+                    <figure class="print-qr-card">
+                        ${QrCode.encode(target.url).toSvg(targets.length === 1 ? 10 : 3)}
+                        <figcaption>
+                            <strong>${this.escapeHtml(target.title)}</strong>
+                            <span>Scan to open the campus map</span>
+                        </figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `);
+    }
+    
+    printAllQrCodes() {
+        const targets = this.groupNodesByCategory().flatMap(group => group.nodes).map(node => ({
+            title: node.name,
+            url: this.buildShareUrl({ loc: node.id })
+        }));
+        this.printQrCodes(targets);
+    }
+    
+    async importGraph(file) {
+        if (!file) return;
+        
+        try {
+            const text = await file.text();
+            const data = JSON.parse(text);
+            
+            // GeoJSON files are converted to the native shape, then checked the same way
+            const converted = data && data.type === 'FeatureCollection'
+                ? this.geoJSONToGraph(data)
+                : { graph: data, warnings: [] };
+            const result = this.validateGraph(converted.graph);
+            result.warnings.unshift(...converted.warnings);
+            
+            if (result.errors.length > 0) {
+                this.showValidationReport(result, `Import rejected: ${file.name}`);
+                this.showToast(`Import rejected: ${result.errors.length} error(s) found`, 'error');
+                return;
+            }
+            
+            // Review the differences before anything replaces the current graph
+            const changes = this.diffGraphs(this.graph, result.graph);
+            if (changes.length === 0) {
+                this.showToast('The imported file matches the current graph', 'info');
+                return;
+            }
+            this.showImportReview(file.name, result.graph, changes, result.warnings);
+            this.showToast(`Review ${changes.length} change(s) before applying the import`, 'info');
+        } catch (error) {
+            console.error('Error importing graph:', error);
+            this.showToast('Error importing graph data', 'error');
+        } finally {
+            // Allow re-importing the same file after fixing it
+            document.getElementById('importFile').value = '';
+        }
+    }
+    
+    showImportReview(name, graph, changes, warnings, fromServer = false) {
+        this.pendingImport = { name: name, graph: graph, changes: changes, warnings: warnings, fromServer: fromServer };
+        
+        // Additions and updates are ticked; removals and conflicts with local
+        // edits must be chosen explicitly
+        const checked = change => change.type !== 'removed' && !change.conflict;
+        const describe = change => {
+            if (change.kind === 'node') {
+                const node = change.after || change.before;
+                return `${this.escapeHtml(node.name)} <code>${this.escapeHtml(node.id)}</code>`;
+            }
+            if (change.kind === 'edge') {
+                const edge = change.after || change.before;
+                const nameOf = id => {
+                    const node = graph.nodes.find(item => item.id === id) || this.getNode(id);
+                    return this.escapeHtml(node ? node.name : id);
+                };
+                return `${nameOf(edge.a)} ↔ ${nameOf(edge.b)}`;
+            }
+            if (change.kind === 'closure') {
+                const closure = change.after || change.before;
+                return `${this.escapeHtml(closure.node || `${closure.a} ↔ ${closure.b}`)} from ${this.escapeHtml(closure.start)}`;
+            }
+            return 'Graph metadata';
+        };
+        const detail = change => {
+            if (change.type !== 'changed') return '';
+            const fields = change.fields.map(field => {
+                const before = JSON.stringify(change.before[field]);
+                const after = JSON.stringify(change.after[field]);
+                return before !== undefined && after !== undefined && before.length + after.length <= 40
+                    ? `${field}: ${before} → ${after}`
+                    : field;
+            });
+            if (change.moved) fields.unshift(`moved ${change.moved}m`);
+            return `<span class="import-change-detail">${this.escapeHtml(fields.join(', '))}</span>`;
+        };
+        const symbols = { added: '+', removed: '−', changed: '~' };
+        
+        document.getElementById('importFileName').textContent = name;
+        document.getElementById('importSummary').textContent = `${changes.length} change(s): ${this.summarizeChanges(changes)}`;
+        document.getElementById('importWarnings').innerHTML = warnings.length > 0
+            ? `<h4 class="report-heading warning">⚠️ ${warnings.length} warning(s) in the file</h4>${this.reportList(warnings, 'warning')}`
+            : '';
+        document.getElementById('importChanges').innerHTML = changes.map((change, index) => `
+            <div class="import-change ${change.type}">
+                <label>
+                    <input type="checkbox" data-change="${index}" ${checked(change) ? 'checked' : ''}>
+                    <span><strong>${symbols[change.type]} ${change.kind}</strong> ${describe(change)}${detail(change)}${change.conflict ? '<span class="import-change-conflict">⚠️ Also edited here; ticking it replaces your edit</span>' : ''}</span>
+                </label>
+                ${change.kind === 'node' || change.kind === 'edge' ? `<button class="import-focus" data-focus="${index}" title="Show on map">📍</button>` : ''}
+            </div>
+        `).join('');
+        
+        // Merging or replacing wholesale would overwrite local edits with the server copy
+        document.getElementById('mergeImportBtn').style.display = fromServer ? 'none' : '';
+        document.getElementById('replaceImportBtn').style.display = fromServer ? 'none' : '';
+        document.getElementById('importHint').textContent = fromServer
+            ? 'Only changes made on the server since your local copy started are listed. Apply the ticked ones to bring them into your copy.'
+            : 'Apply only the ticked changes, or merge by ID to add and update everything in the file while keeping places and paths that exist only here.';
+        document.getElementById('importReview').classList.add('active');
+        this.drawImportPreview();
+    }
+    
+    hideImportReview() {
+        this.pendingImport = null;
+        document.getElementById('importReview').classList.remove('active');
+        if (this.importPreviewLayer) {
+            this.map.removeLayer(this.importPreviewLayer);
+            this.importPreviewLayer = null;
+        }
+    }
+    
+    drawImportPreview() {
+        // Added places in green, removed in red and moved ones as an arrow
+        // from the old position to the new one
+        if (this.importPreviewLayer) this.map.removeLayer(this.importPreviewLayer);
+        this.importPreviewLayer = L.layerGroup().addTo(this.map);
+        
+        const { graph, changes } = this.pendingImport;
+        const position = (id, incoming) => {
+            const node = incoming ? graph.nodes.find(item => item.id === id) : this.graph.nodes.find(item => item.id === id);
+            return node ? [node.lat, node.lng] : null;
+        };
+        const colors = { added: '#059669', removed: '#dc2626', changed: '#ea580c' };
+        
+        changes.forEach(change => {
+            const color = colors[change.type];
+            if (change.kind === 'node') {
+                const node = change.after || change.before;
+                if (change.moved) {
+                    L.polyline([[change.before.lat, change.before.lng], [change.after.lat, change.after.lng]], {
+                        color: color, weight: 3, dashArray: '4 6'
+                    }).addTo(this.importPreviewLayer);
+                    L.circleMarker([change.before.lat, change.before.lng], {
+                        radius: 6, color: color, weight: 2, fill: false
+                    }).bindTooltip(`${this.escapeHtml(node.name)} (old position)`).addTo(this.importPreviewLayer);
+                }
+                L.circleMarker([node.lat, node.lng], {
+                    radius: 9, color: 'white', weight: 2, fillColor: color, fillOpacity: 0.9
+                }).bindTooltip(`${change.type}: ${this.escapeHtml(node.name)}${change.moved ? ` (moved ${change.moved}m)` : ''}`)
+                    .addTo(this.importPreviewLayer);
+            } else if (change.kind === 'edge') {
+                const edge = change.after || change.before;
+                const incoming = change.type !== 'removed';
+                const a = position(edge.a, incoming);
+                const b = position(edge.b, incoming);
+                if (!a || !b) return;
+                L.polyline([a, b], { color: color, weight: 5, opacity: 0.8, dashArray: '6 6' })
+                    .bindTooltip(`Edge ${change.type}`, { sticky: true })
+                    .addTo(this.importPreviewLayer);
+            }
+        });
+    }
+    
+    focusImportChange(change) {
+        const graph = this.pendingImport.graph;
+        const nodeOf = id => graph.nodes.find(item => item.id === id) || this.getNode(id);
+        const item = change.after || change.before;
+        const points = change.kind === 'node' ? [item] : [nodeOf(item.a), nodeOf(item.b)].filter(node => node);
+        if (points.length > 0) {
+            this.map.fitBounds(L.latLngBounds(points.map(node => [node.lat, node.lng])), { maxZoom: 19, padding: [40, 40] });
+        }
+    }
+    
+    applyImport(mode) {
+        // mode is 'selected' (the ticked changes), 'merge' (everything except
+        // removals) or 'replace' (every change, giving the imported graph)
+        const { name, changes, fromServer } = this.pendingImport;
+        if (fromServer && mode !== 'selected') return;
+        let accepted;
+        if (mode === 'merge') {
+            accepted = changes.filter(change => change.type !== 'removed');
+        } else if (mode === 'replace') {
+            accepted = changes;
+        } else {
+            accepted = [...document.querySelectorAll('#importChanges [data-change]')]
+                .filter(input => input.checked)
+                .map(input => changes[parseInt(input.dataset.change, 10)]);
+        }
+        if (accepted.length === 0) {
+            this.showToast('No changes selected', 'warning');
+            return;
+        }
+        
+        const result = this.validateGraph(this.mergeGraphs(this.graph, this.pendingImport.graph, accepted));
+        if (result.errors.length > 0) {
+            // e.g. an edge accepted without the new node it connects to
+            this.showValidationReport(result, 'Merged graph has errors');
+            this.showToast(`Merge not applied: ${result.errors.length} error(s) found`, 'error');
+            return;
+        }
+        
+        this.pushHistory();
+        this.commitImport(result.graph, name, this.pendingImport.graph, accepted, this.getEditorName());
+        this.hideImportReview();
+        this.refreshGraph();
+        this.refreshOverlay();
+        if (fromServer) {
+            this.acceptServerData();
+        } else {
+            this.saveLocalState();
+        }
+        
+        if (result.warnings.length > 0) {
+            this.showValidationReport(result, `Imported with warnings: ${name}`);
+            this.showToast(`Imported ${accepted.length} of ${changes.length} change(s) with ${result.warnings.length} warning(s)`, 'warning');
+        } else {
+            this.showToast(`Imported ${accepted.length} of ${changes.length} change(s)`, 'success');
+        }
+    }
+    
+    getEditorName() {
+        return document.getElementById('editorName').value.trim() || 'anonymous';
+    }
+    
+    recordExport() {
+        // Logs what changed since the data was loaded or last exported
+        const changes = this.changesSinceBaseline();
+        if (changes.length === 0) return;
+        
+        this.pushHistory();
+        this.recordBaselineChanges(changes, this.getEditorName());
+        this.saveLocalState();
+    }
+    
+    refreshGraph() {
+        // Rebuild everything derived from this.graph
+        this.clearRouteDisplay();
+        Object.values(this.categoryLayers).forEach(layer => layer.clearLayers());
+        this.markers = {};
+        this.pendingEdgeStart = null;
+        
+        this.addMarkers();
+        this.rebuildTemporaryGraph();
+        this.pruneClosures();
+        this.drawClosures();
+        this.renderClosureList();
+        this.buildSearchIndex();
+        this.populateSelects();
+        this.drawEdges();
+        this.renderFloorControl();
+    }
+    
+    drawEdges() {
+        if (!this.edgeLayer) return;
+        this.edgeLayer.clearLayers();
+        
+        this.graph.edges.forEach(edge => {
+            const a = this.getNode(edge.a);
+            const b = this.getNode(edge.b);
+            if (!a || !b) return;
+            if (!this.isVisibleOnFloor(a) || !this.isVisibleOnFloor(b)) return;
+            
+            const line = L.polyline([[a.lat, a.lng], [b.lat, b.lng]], {
+                color: '#64748b',
+                weight: 4,
+                opacity: 0.7,
+                dashArray: '6 6'
+            }).bindTooltip(`${this.escapeHtml(a.name)} ↔ ${this.escapeHtml(b.name)} (${edge.dist}m)${this.describeEdgeAttributes(edge)}`, { sticky: true });
+            
+            line.on('click', (e) => {
+                if (this.isAdminMode && this.editorTool === 'delete') {
+                    L.DomEvent.stopPropagation(e);
+                    this.removeEdge(edge.a, edge.b);
+                } else if (this.isAdminMode && this.editorTool === 'close') {
+                    L.DomEvent.stopPropagation(e);
+                    this.showClosureModal({ a: edge.a, b: edge.b });
+                }
+            });
+            
+            this.edgeLayer.addLayer(line);
+        });
+    }
+    
+    describeEdgeAttributes(edge) {
+        const tags = [];
+        if (edge.stairs) tags.push('stairs');
+        if (edge.wheelchair === false) tags.push('no wheelchair access');
+        if (edge.surface) tags.push(this.escapeHtml(edge.surface));
+        if (edge.covered) tags.push('covered');
+        if (edge.lit === true) tags.push('lit');
+        if (edge.lit === false) tags.push('unlit');
+        if (edge.hours) tags.push(`🕒 ${this.escapeHtml(edge.hours)}`);
+        return tags.length > 0 ? ` · ${tags.join(' · ')}` : '';
+    }
+    
+    setEditorTool(tool) {
+        this.editorTool = tool;
+        this.pendingEdgeStart = null;
+        
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+        
+        const hints = {
+            move: 'Drag markers to adjust their positions.',
+            add: 'Click anywhere on the map to place a new node.',
+            connect: 'Click two markers to connect them. Click a connected pair to remove the edge.',
+            delete: 'Click a marker to delete it with its edges, or click an edge to remove it.',
+            close: 'Click a marker or an edge to close it for a period of time.'
+        };
+        document.getElementById('editorHint').textContent = hints[tool] || '';
+        
+        const mapEl = document.getElementById('map');
+        mapEl.classList.toggle('editor-add', tool === 'add');
+    }
+    
+    handleMarkerEdit(nodeId) {
+        if (this.editorTool === 'delete') {
+            this.deleteNode(nodeId);
+        } else if (this.editorTool === 'close') {
+            this.showClosureModal({ node: nodeId });
+        } else if (this.editorTool === 'connect') {
+            this.handleConnectClick(nodeId);
+        }
+    }
+    
+    handleConnectClick(nodeId) {
+        if (!this.pendingEdgeStart) {
+            this.pendingEdgeStart = nodeId;
+            const node = this.getNode(nodeId);
+            this.showToast(`Selected ${node.name}. Click another marker to connect.`, 'info');
+            return;
+        }
+        
+        const startId = this.pendingEdgeStart;
+        this.pendingEdgeStart = null;
+        
+        if (startId === nodeId) {
+            this.showToast('Connection cancelled', 'info');
+            return;
+        }
+        
+        const existing = this.findEdge(startId, nodeId);
+        
+        if (existing) {
+            this.removeEdge(startId, nodeId);
+        } else {
+            this.addEdge(startId, nodeId);
+        }
+    }
+    
+    addEdge(aId, bId) {
+        const a = this.getNode(aId);
+        const b = this.getNode(bId);
+        const dist = Math.round(this.haversineDistance(a, b));
+        
+        this.pushHistory();
+        this.graph.edges.push({ a: aId, b: bId, dist: dist });
+        this.drawEdges();
+        this.saveLocalState();
+        this.showToast(`Connected ${a.name} ↔ ${b.name} (${dist}m)`, 'success');
+    }
+    
+    removeEdge(aId, bId) {
+        this.pushHistory();
+        this.graph.edges = this.graph.edges.filter(e =>
+            !((e.a === aId && e.b === bId) || (e.b === aId && e.a === bId))
+        );
+        this.clearRouteDisplay();
+        this.drawEdges();
+        this.saveLocalState();
+        this.showToast('Edge removed', 'success');
+    }
+    
+    deleteNode(nodeId) {
+        const node = this.getNode(nodeId);
+        if (!node) return;
+        
+        const edgeCount = this.graph.edges.filter(e => e.a === nodeId || e.b === nodeId).length;
+        if (!confirm(`Delete ${node.name} and its ${edgeCount} connected edge(s)?`)) return;
+        
+        this.pushHistory();
+        this.graph.nodes = this.graph.nodes.filter(n => n.id !== nodeId);
+        this.graph.edges = this.graph.edges.filter(e => e.a !== nodeId && e.b !== nodeId);
+        this.refreshGraph();
+        this.saveLocalState();
+        
+        this.showToast(`${node.name} deleted`, 'success');
+    }
+    
+    updateNodeEdgeDistances(nodeId) {
+        this.graph.edges.forEach(edge => {
+            if (edge.a === nodeId || edge.b === nodeId) {
+                const length = this.edgeGeometricLength(edge);
+                if (length !== null) {
+                    edge.dist = Math.round(length);
+                }
+            }
+        });
+    }
+    
+    recomputeAllDistances() {
+        this.pushHistory();
+        this.invalidateGraphIndex();
+        let changed = 0;
+        this.graph.edges.forEach(edge => {
+            const length = this.edgeGeometricLength(edge);
+            if (length === null) return;
+            
+            const dist = Math.round(length);
+            if (edge.dist !== dist) {
+                edge.dist = dist;
+                changed++;
+            }
+        });
+        
+        this.clearRouteDisplay();
+        this.drawEdges();
+        this.saveLocalState();
+        this.showToast(`Recomputed distances: ${changed} edge(s) updated`, 'success');
+    }
+    
+    showDistanceReport() {
+        const mismatches = this.findDistanceMismatches();
+        const nameOf = id => this.escapeHtml((this.getNode(id) || { name: id }).name);
+        const percent = Math.round(this.distanceTolerance * 100);
+        
+        let html;
+        if (mismatches.length === 0) {
+            html = `<p class="report-ok">✅ All ${this.graph.edges.length} edges are within ${percent}% of their geometric length.</p>`;
+        } else {
+            html = `
+                <p>${mismatches.length} of ${this.graph.edges.length} edges differ from their geometric length by more than ${percent}%.</p>
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Edge</th><th>Stored</th><th>Geometric</th><th>Diff</th></tr>
+                    </thead>
+                    <tbody>
+                        ${mismatches.map(m => `
+                            <tr>
+                                <td>${nameOf(m.edge.a)} ↔ ${nameOf(m.edge.b)}</td>
+                                <td>${m.stored}m</td>
+                                <td>${m.geometric}m</td>
+                                <td>${m.ratio === Infinity ? '∞' : Math.round(m.ratio * 100) + '%'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        
+        this.showReportModal('📏 Distance Report', html);
+    }
+    
+    reportList(items, className) {
+        return `
+            <ul class="report-list ${className}">
+                ${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+            </ul>
+        `;
+    }
+    
+    showValidationReport(result, title) {
+        let html = `<p>${result.graph.nodes.length} nodes, ${result.graph.edges.length} edges checked.</p>`;
+        if (result.errors.length === 0 && result.warnings.length === 0) {
+            html += '<p class="report-ok">✅ No problems found.</p>';
+        }
+        if (result.errors.length > 0) {
+            html += `<h4 class="report-heading error">❌ ${result.errors.length} error(s)</h4>`;
+            html += this.reportList(result.errors, 'error');
+        }
+        if (result.warnings.length > 0) {
+            html += `<h4 class="report-heading warning">⚠️ ${result.warnings.length} warning(s)</h4>`;
+            html += this.reportList(result.warnings, 'warning');
+        }
+        
+        this.showReportModal(`🩺 ${title}`, html);
+    }
+    
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    showReportModal(title, html) {
+        document.getElementById('reportTitle').textContent = title;
+        document.getElementById('reportBody').innerHTML = html;
+        document.getElementById('reportModal').classList.add('active');
+    }
+    
+    hideReportModal() {
+        document.getElementById('reportModal').classList.remove('active');
+    }
+    
+    generateNodeId(name) {
+        const base = name.trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        if (!base) return '';
+        
+        let id = base;
+        let suffix = 2;
+        while (this.graph.nodes.some(n => n.id === id)) {
+            id = `${base}_${suffix++}`;
+        }
+        return id;
+    }
+    
+    showNodeModal(latlng) {
+        this.pendingNodeLatLng = latlng;
+        
+        document.getElementById('nodeName').value = '';
+        document.getElementById('nodeId').value = '';
+        document.getElementById('nodeId').placeholder = 'node_id';
+        document.getElementById('nodeCategory').value = 'other';
+        document.getElementById('nodeCoords').textContent =
+            `${latlng.lat.toFixed(6)}, ${latlng.lng.toFixed(6)}`;
+        
+        document.getElementById('nodeModal').classList.add('active');
+        document.getElementById('nodeName').focus();
+    }
+    
+    hideNodeModal() {
+        document.getElementById('nodeModal').classList.remove('active');
+        this.pendingNodeLatLng = null;
+    }
+    
+    saveNewNode() {
+        const name = document.getElementById('nodeName').value.trim();
+        const id = document.getElementById('nodeId').value.trim() || this.generateNodeId(name);
+        
+        if (!name) {
+            this.showToast('Please enter a name for the new node', 'error');
+            return;
+        }
+        
+        if (!/^[a-z0-9_]+$/.test(id)) {
+            this.showToast('Node ID may only contain lowercase letters, digits and underscores', 'error');
+            return;
+        }
+        
+        if (this.graph.nodes.some(n => n.id === id)) {
+            this.showToast(`A node with ID "${id}" already exists`, 'error');
+            return;
+        }
+        
+        const latlng = this.pendingNodeLatLng;
+        this.pushHistory();
+        this.graph.nodes.push({
+            id: id,
+            name: name,
+            lat: parseFloat(latlng.lat.toFixed(6)),
+            lng: parseFloat(latlng.lng.toFixed(6)),
+            category: document.getElementById('nodeCategory').value
+        });
+        
+        this.hideNodeModal();
+        this.refreshGraph();
+        this.saveLocalState();
+        this.showToast(`${name} added. Use Connect to link it to the path network.`, 'success');
+    }
+    
+    snapshotState() {
+        return JSON.stringify({
+            ...this.historyState(),
+            bounds: this.defaultBounds
+        });
+    }
+    
+    applySnapshot(snapshot) {
+        const state = JSON.parse(snapshot);
+        const boundsChanged = JSON.stringify(state.bounds) !== JSON.stringify(this.defaultBounds) ||
+            JSON.stringify(state.graph.metadata?.georeference) !== JSON.stringify(this.graph.metadata?.georeference);
+        
+        this.restoreHistoryState(state);
+        this.defaultBounds = state.bounds;
+        this.refreshGraph();
+        if (boundsChanged) {
+            this.refreshOverlay();
+        }
+        this.saveLocalState();
+    }
+    
+    pushHistory() {
+        // Call before mutating the graph or calibration
+        this.undoStack.push(this.snapshotState());
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+    
+    undo() {
+        if (this.undoStack.length === 0) {
+            this.showToast('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.redoStack.push(this.snapshotState());
+        this.applySnapshot(this.undoStack.pop());
+        this.updateHistoryButtons();
+        this.showToast('Undone', 'success');
+    }
+    
+    redo() {
+        if (this.redoStack.length === 0) {
+            this.showToast('Nothing to redo', 'info');
+            return;
+        }
+        
+        this.undoStack.push(this.snapshotState());
+        this.applySnapshot(this.redoStack.pop());
+        this.updateHistoryButtons();
+        this.showToast('Redone', 'success');
+    }
+    
+    updateHistoryButtons() {
+        document.getElementById('undoBtn').disabled = this.undoStack.length === 0;
+        document.getElementById('redoBtn').disabled = this.redoStack.length === 0;
+    }
+    
+    saveLocalState() {
+        try {
+            localStorage.setItem(this.storageKeys.graph, JSON.stringify(this.graph));
+            if (this.localBaseGraph) {
+                localStorage.setItem(this.storageKeys.serverBase, JSON.stringify(this.localBaseGraph));
+            }
+            localStorage.setItem(this.storageKeys.calibration, JSON.stringify({
+                bounds: this.defaultBounds,
+                opacity: this.overlayOpacity
+            }));
+            
+            const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            document.getElementById('localStatus').textContent = `💾 Changes saved in this browser at ${time}`;
+        } catch (error) {
+            console.error('Error saving local changes:', error);
+            this.showToast('Could not save changes in browser storage', 'error');
+        }
+    }
+    
+    restoreLocalState() {
+        // Returns true when a locally saved graph replaced the fetched one
+        let restored = false;
+        this.localBaseGraph = this.serverGraph;
+        try {
+            const savedGraph = localStorage.getItem(this.storageKeys.graph);
+            if (savedGraph) {
+                const result = this.validateGraph(JSON.parse(savedGraph));
+                if (result.errors.length === 0) {
+                    this.graph = result.graph;
+                    this.localBaseGraph = JSON.parse(localStorage.getItem(this.storageKeys.serverBase));
+                    restored = true;
+                } else {
+                    console.warn('Ignoring invalid locally saved graph:', result.errors);
+                }
+            }
+            
+            const savedCalibration = localStorage.getItem(this.storageKeys.calibration);
+            if (savedCalibration) {
+                const calibration = JSON.parse(savedCalibration);
+                if (calibration.bounds && calibration.bounds.nw && calibration.bounds.se) {
+                    this.defaultBounds = calibration.bounds;
+                }
+                if (typeof calibration.opacity === 'number') {
+                    this.overlayOpacity = calibration.opacity;
+                    document.getElementById('overlayOpacity').value = calibration.opacity;
+                    document.getElementById('opacityValue').textContent = `${Math.round(calibration.opacity * 100)}%`;
+                }
+            }
+        } catch (error) {
+            console.error('Error restoring local changes:', error);
+        }
+        
+        if (restored) {
+            document.getElementById('localStatus').textContent = '💾 Restored changes saved in this browser';
+            
+            // Keep the local copy, but say so when the server data moved on
+            // since it was saved; built-in fallback data is not compared
+            if (this.serverGraph && JSON.stringify(this.localBaseGraph) !== JSON.stringify(this.serverGraph)) {
+                this.serverUpdate = this.serverGraph;
+                document.getElementById('serverUpdateNotice').classList.add('active');
+            }
+        }
+        return restored;
+    }
+    
+    reviewServerUpdate() {
+        // Offers only what changed on the server since the local copy started
+        // from it. Items also edited here are conflicts and start unticked.
+        // Without a saved starting copy every difference counts as a conflict.
+        let changes;
+        if (this.localBaseGraph) {
+            const localKeys = new Set(this.diffGraphs(this.localBaseGraph, this.graph).map(change => change.key));
+            changes = this.diffGraphs(this.localBaseGraph, this.serverUpdate)
+                .map(change => ({ ...change, conflict: localKeys.has(change.key) }));
+        } else {
+            changes = this.diffGraphs(this.graph, this.serverUpdate).map(change => ({ ...change, conflict: true }));
+        }
+        if (changes.length === 0) {
+            this.acceptServerData();
+            this.showToast('No server changes to apply', 'info');
+            return;
+        }
+        
+        this.showImportReview('data/distances.json (server)', this.serverUpdate, changes, [], true);
+    }
+    
+    acceptServerData() {
+        // Local edits now count as based on the current server data
+        this.localBaseGraph = this.serverGraph;
+        this.serverUpdate = null;
+        document.getElementById('serverUpdateNotice').classList.remove('active');
+        this.saveLocalState();
+    }
+    
+    async discardLocalChanges() {
+        if (!confirm('Discard all locally saved changes and reload the original campus data?')) return;
+        
+        try {
+            localStorage.removeItem(this.storageKeys.graph);
+            localStorage.removeItem(this.storageKeys.calibration);
+            localStorage.removeItem(this.storageKeys.serverBase);
+        } catch (error) {
+            console.error('Error clearing local changes:', error);
+        }
+        
+        await this.loadGraphData();
+        this.localBaseGraph = this.serverGraph;
+        this.serverUpdate = null;
+        document.getElementById('serverUpdateNotice').classList.remove('active');
+        this.renderDataSource();
+        this.defaultBounds = JSON.parse(JSON.stringify(this.initialBounds));
+        this.overlayOpacity = 0.8;
+        document.getElementById('overlayOpacity').value = this.overlayOpacity;
+        document.getElementById('opacityValue').textContent = '80%';
+        
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+        this.refreshGraph();
+        this.refreshOverlay();
+        
+        document.getElementById('localStatus').textContent = '';
+        this.showToast('Local changes discarded', 'success');
+    }
+    
+    getRouteUrlState() {
+        if (!this.currentRouteData) return {};
+        
+        // Temporary points such as your location only exist on this device
+        const route = this.currentRouteData;
+        const stops = (route.stops || [route.path[0], route.path[route.path.length - 1]])
+            .map(id => this.isTemporaryNode(id) ? '' : id);
+        const state = {
+            from: stops[0],
+            to: stops[stops.length - 1]
+        };
+        const via = stops.slice(1, -1).filter(id => id);
+        if (via.length > 0) {
+            state.via = via.join(',');
+        }
+        if (this.routingProfile !== 'default') {
+            state.profile = this.routingProfile;
+        }
+        return state;
+    }
+    
+    buildShareUrl(state) {
+        const params = new URLSearchParams();
+        Object.entries(state).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        
+        // Commas are safe in query strings and keep waypoint lists readable
+        const query = params.toString().replace(/%2C/g, ',');
+        return `${location.origin}${location.pathname}${query ? `?${query}` : ''}`;
+    }
+    
+    updateUrl() {
+        if (this.restoringUrl || !this.map) return;
+        
+        const center = this.map.getCenter();
+        const state = {
+            ...this.getRouteUrlState(),
+            loc: this.selectedLocation,
+            map: `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${this.map.getZoom()}`
+        };
+        
+        history.replaceState(null, '', this.buildShareUrl(state) + location.hash);
+    }
+    
+    applyUrlState() {
+        const params = new URLSearchParams(location.search);
+        if ([...params.keys()].length === 0) return;
+        
+        this.restoringUrl = true;
+        try {
+            const known = id => id && this.getNode(id);
+            const unknown = [];
+            
+            const profile = params.get('profile');
+            if (profile && this.routingProfiles[profile]) {
+                this.routingProfile = profile;
+                document.getElementById('profileSelect').value = profile;
+            }
+            
+            const from = params.get('from');
+            const to = params.get('to');
+            if (from || to) {
+                const via = (params.get('via') || '').split(',').filter(id => id);
+                [from, to, ...via].forEach(id => {
+                    if (id && !known(id)) unknown.push(id);
+                });
+                
+                if (known(from) && known(to)) {
+                    document.getElementById('startSelect').value = from;
+                    document.getElementById('endSelect').value = to;
+                    this.waypoints = via.filter(id => known(id));
+                    this.renderWaypoints();
+                    this.findRoute();
+                }
+            }
+            
+            const loc = params.get('loc');
+            if (loc) {
+                if (known(loc)) {
+                    this.goToLocation(loc);
+                } else {
+                    unknown.push(loc);
+                }
+            }
+            
+            // An explicit view wins over the route or location framing
+            const view = (params.get('map') || '').split(',').map(parseFloat);
+            if (view.length === 3 && view.every(Number.isFinite)) {
+                this.map.setView([view[0], view[1]], view[2]);
+            }
+            
+            if (unknown.length > 0) {
+                this.showToast(this.t('link.unknown', { ids: unknown.join(', ') }), 'warning');
+            }
+        } finally {
+            this.restoringUrl = false;
+        }
+        this.updateUrl();
+    }
+    
+    async copyLink(url, message) {
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            // Clipboard API needs a secure context; fall back to a temporary field
+            const field = document.createElement('textarea');
+            field.value = url;
+            document.body.appendChild(field);
+            field.select();
+            document.execCommand('copy');
+            document.body.removeChild(field);
+        }
+        this.showToast(message, 'success');
+    }
+    
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+        
+        container.appendChild(toast);
+        
+        // Auto-remove after 3 seconds
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 3000);
+    }
+    
+    showPointMenu(latlng) {
+        const menu = L.DomUtil.create('div', 'map-point-menu');
+        menu.innerHTML = `
+            <button class="btn btn-outline btn-small" data-role="start">🚩 ${this.t('pointMenu.start')}</button>
+            <button class="btn btn-outline btn-small" data-role="stop">➕ ${this.t('pointMenu.stop')}</button>
+            <button class="btn btn-outline btn-small" data-role="end">🏁 ${this.t('pointMenu.end')}</button>
+        `;
+        menu.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-role]');
+            if (btn) {
+                this.map.closePopup();
+                this.dropPin(latlng, btn.dataset.role);
+            }
         });
+        
+        L.popup({ closeButton: false, className: 'map-point-popup' })
+            .setLatLng(latlng)
+            .setContent(menu)
+            .openOn(this.map);
     }
     
-    handleSearch(query, resultsElement) {
-        if (!query.trim()) {
-            resultsElement.style.display = 'none';
+    dropPin(latlng, role) {
+        const snap = this.snapToNetwork(latlng);
+        if (!snap) {
+            this.showToast(this.t('pin.noPaths'), 'error');
             return;
         }
         
-        const matches = this.searchIndex.filter(item =>
-            item.searchText.includes(query.toLowerCase())
-        ).slice(0, 5);
+        const id = `@pin${++this.pinCount}`;
+        const name = this.t('pin.name', { n: this.pinCount });
+        this.setTemporaryPoint(id, latlng, name, true);
+        this.pinMarkers[id] = L.marker(latlng, {
+            icon: this.createCustomIcon('📌', '#7c3aed')
+        }).bindTooltip(name).addTo(this.map);
         
-        if (matches.length === 0) {
-            resultsElement.style.display = 'none';
-            return;
+        this.populateSelects();
+        if (role === 'start') {
+            document.getElementById('startSelect').value = id;
+        } else if (role === 'end') {
+            document.getElementById('endSelect').value = id;
+        } else {
+            this.waypoints.push(id);
+            this.renderWaypoints();
         }
+        this.prunePins();
         
-        resultsElement.innerHTML = matches.map(match => `
-            <div class="search-result-item" data-id="${match.id}">
-                ${match.name}
-            </div>
-        `).join('');
+        this.showToast(this.t('pin.snapped', { name: name, distance: Math.round(snap.distance) }), 'success');
+    }
+    
+    prunePins() {
+        // Pins that are no longer a start, stop or destination are removed
+        const used = new Set([
+            document.getElementById('startSelect').value,
+            document.getElementById('endSelect').value,
+            ...this.waypoints
+        ]);
         
-        // Add click handlers
-        resultsElement.querySelectorAll('.search-result-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const nodeId = item.dataset.id;
-                this.goToLocation(nodeId);
-                resultsElement.style.display = 'none';
-                document.getElementById('searchInput').value = item.textContent;
-            });
+        Object.keys(this.pinMarkers).forEach(id => {
+            if (used.has(id)) return;
+            this.map.removeLayer(this.pinMarkers[id]);
+            delete this.pinMarkers[id];
+            this.temporaryPoints.delete(id);
         });
         
-        resultsElement.style.display = 'block';
+        this.rebuildTemporaryGraph();
+        this.populateSelects();
     }
     
-    goToLocation(nodeId) {
-        const node = this.graph.nodes.find(n => n.id === nodeId);
-        if (node && this.markers[nodeId]) {
-            this.map.setView([node.lat, node.lng], 19);
-            this.markers[nodeId].openPopup();
-        }
+    isTrackingLocation() {
+        return this.locationWatchId !== null || this.simulationTimer !== null;
     }
     
-    findRoute() {
-        const startId = document.getElementById('startSelect').value;
-        const endId = document.getElementById('endSelect').value;
-        
-        if (!startId || !endId) {
-            this.showToast('Please select both start and end locations', 'warning');
-            return;
-        }
-        
-        if (startId === endId) {
-            this.showToast('Start and end locations cannot be the same', 'warning');
-            return;
-        }
-        
-        // Clear previous route
-        this.clearRoute();
-        
-        // Find shortest path using Dijkstra's algorithm
-        const path = this.dijkstra(startId, endId);
-        
-        if (!path) {
-            this.showToast('No route found between selected locations', 'error');
+    startLocationTracking() {
+        if (!navigator.geolocation) {
+            this.showToast(this.t('location.notSupported'), 'error');
             return;
         }
         
-        this.displayRoute(path);
-        this.showToast(`Route found! Distance: ${path.distance}m`, 'success');
+        this.stopPositionFeed();
+        this.locationWatchId = navigator.geolocation.watchPosition(
+            position => this.handlePosition(position.coords),
+            error => this.handleLocationError(error),
+            { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+        );
+        this.updateLocationButton();
+        this.showToast(this.t('location.finding'), 'success');
     }
     
-    dijkstra(startId, endId) {
-        // Build adjacency list
-        const graph = {};
-        this.graph.nodes.forEach(node => {
-            graph[node.id] = [];
-        });
-        
-        this.graph.edges.forEach(edge => {
-            graph[edge.a].push({ node: edge.b, distance: edge.dist });
-            graph[edge.b].push({ node: edge.a, distance: edge.dist });
-        });
+    simulatePositions(points, interval = 1000) {
+        // Replays recorded {lat, lng, accuracy?} fixes as if they came from the
+        // device, so navigation can be tested away from campus
+        this.stopPositionFeed();
         
-        // Dijkstra's algorithm
-        const distances = {};
-        const previous = {};
-        const unvisited = new Set();
-        
-        // Initialize
-        this.graph.nodes.forEach(node => {
-            distances[node.id] = Infinity;
-            previous[node.id] = null;
-            unvisited.add(node.id);
-        });
-        distances[startId] = 0;
-        
-        while (unvisited.size > 0) {
-            // Find unvisited node with minimum distance
-            let current = null;
-            let minDistance = Infinity;
-            for (const node of unvisited) {
-                if (distances[node] < minDistance) {
-                    current = node;
-                    minDistance = distances[node];
-                }
+        let i = 0;
+        const next = () => {
+            if (i >= points.length) {
+                this.simulationTimer = null;
+                this.updateLocationButton();
+                this.showToast(this.t('navigation.replayFinished'), 'success');
+                return;
             }
-            
-            if (current === null || distances[current] === Infinity) break;
-            
-            unvisited.delete(current);
-            
-            // Check neighbors
-            if (graph[current]) {
-                graph[current].forEach(neighbor => {
-                    const alt = distances[current] + neighbor.distance;
-                    if (alt < distances[neighbor.node]) {
-                        distances[neighbor.node] = alt;
-                        previous[neighbor.node] = current;
-                    }
-                });
+            const point = points[i++];
+            this.simulationTimer = setTimeout(next, interval);
+            this.handlePosition({
+                latitude: point.lat,
+                longitude: point.lng,
+                accuracy: point.accuracy !== undefined ? point.accuracy : 5
+            });
+        };
+        
+        this.simulationTimer = setTimeout(next, 0);
+        this.updateLocationButton();
+        this.showToast(this.t('navigation.replaying', { count: points.length }), 'success');
+    }
+    
+    parseRecordedWalk(text) {
+        // Accepts GPX (track, route or waypoints), a GeoJSON LineString, or a
+        // JSON array of {lat, lng, accuracy?} objects or [lat, lng] pairs
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) {
+            const points = [];
+            const pattern = /<(trkpt|rtept|wpt)\b([^>]*)>/g;
+            let match;
+            while ((match = pattern.exec(trimmed)) !== null) {
+                const lat = /\blat="([^"]+)"/.exec(match[2]);
+                const lon = /\blon="([^"]+)"/.exec(match[2]);
+                if (lat && lon) points.push({ type: match[1], lat: parseFloat(lat[1]), lng: parseFloat(lon[1]) });
             }
+            // Prefer the densest kind of point in the file
+            const type = ['trkpt', 'rtept', 'wpt'].find(kind => points.some(p => p.type === kind));
+            return points.filter(p => p.type === type).map(({ lat, lng }) => ({ lat, lng }));
         }
         
-        // Reconstruct path
-        if (distances[endId] === Infinity) return null;
-        
-        const path = [];
-        let current = endId;
-        while (current !== null) {
-            path.unshift(current);
-            current = previous[current];
+        let data = JSON.parse(trimmed);
+        if (data.type === 'FeatureCollection') {
+            data = data.features.find(f => f.geometry && f.geometry.type === 'LineString');
         }
-        
-        return {
-            path: path,
-            distance: Math.round(distances[endId]),
-            steps: this.generateSteps(path)
-        };
+        if (data && data.type === 'Feature') {
+            data = data.geometry;
+        }
+        if (data && data.type === 'LineString') {
+            return data.coordinates.map(([lng, lat]) => ({ lat, lng }));
+        }
+        if (Array.isArray(data)) {
+            return data
+                .map(p => Array.isArray(p) ? { lat: p[0], lng: p[1] } : p)
+                .filter(p => p && Number.isFinite(p.lat) && Number.isFinite(p.lng));
+        }
+        return [];
     }
     
-    generateSteps(path) {
-        const steps = [];
-        for (let i = 0; i < path.length - 1; i++) {
-            const from = this.graph.nodes.find(n => n.id === path[i]);
-            const to = this.graph.nodes.find(n => n.id === path[i + 1]);
-            const edge = this.graph.edges.find(e => 
-                (e.a === from.id && e.b === to.id) || 
-                (e.b === from.id && e.a === to.id)
-            );
-            
-            steps.push({
-                from: from.name,
-                to: to.name,
-                distance: edge ? edge.dist : 0,
-                description: `Head towards ${to.name}`
-            });
+    stopPositionFeed() {
+        if (this.locationWatchId !== null) {
+            navigator.geolocation.clearWatch(this.locationWatchId);
+            this.locationWatchId = null;
+        }
+        if (this.simulationTimer !== null) {
+            clearTimeout(this.simulationTimer);
+            this.simulationTimer = null;
         }
-        return steps;
     }
     
-    displayRoute(routeData) {
-        // Create route polyline
-        const routeCoords = routeData.path.map(nodeId => {
-            const node = this.graph.nodes.find(n => n.id === nodeId);
-            return [node.lat, node.lng];
-        });
-        
-        this.currentRoute = L.polyline(routeCoords, {
-            color: '#2563eb',
-            weight: 6,
-            opacity: 0.8,
-            smoothFactor: 1
-        }).addTo(this.map);
-        
-        // Add start and end markers
-        const startNode = this.graph.nodes.find(n => n.id === routeData.path[0]);
-        const endNode = this.graph.nodes.find(n => n.id === routeData.path[routeData.path.length - 1]);
-        
-        const startMarker = L.marker([startNode.lat, startNode.lng], {
-            icon: this.createCustomIcon('🚩', '#059669')
-        }).addTo(this.map);
-        
-        const endMarker = L.marker([endNode.lat, endNode.lng], {
-            icon: this.createCustomIcon('🏁', '#dc2626')
-        }).addTo(this.map);
-        
-        // Store markers for cleanup
-        this.currentRoute.startMarker = startMarker;
-        this.currentRoute.endMarker = endMarker;
+    stopLocationTracking() {
+        this.stopPositionFeed();
+        this.navigation = null;
         
-        // Fit map to route
-        this.map.fitBounds(this.currentRoute.getBounds(), { padding: [20, 20] });
+        if (this.locationLayer) {
+            this.map.removeLayer(this.locationLayer);
+            this.locationLayer = null;
+        }
         
-        // Display route information
-        this.displayRouteInfo(routeData);
+        this.removeTemporaryPoint(this.locationNodeId);
+        this.populateSelects();
+        this.updateLocationButton();
     }
     
-    displayRouteInfo(routeData) {
-        const routeOutput = document.getElementById('routeOutput');
-        
-        const routeHtml = `
-            <div class="route-info">
-                <div class="route-summary">
-                    <span>📍 ${this.graph.nodes.find(n => n.id === routeData.path[0]).name}</span>
-                    <span class="route-distance">${routeData.distance}m</span>
-                    <span>🎯 ${this.graph.nodes.find(n => n.id === routeData.path[routeData.path.length - 1]).name}</span>
-                </div>
-                <ul class="route-steps">
-                    ${routeData.steps.map((step, index) => `
-                        <li class="route-step">
-                            <div class="step-number">${index + 1}</div>
-                            <div class="step-content">
-                                <div class="step-description">${step.description}</div>
-                                <div class="step-distance">${step.distance}m</div>
-                            </div>
-                        </li>
-                    `).join('')}
-                </ul>
-            </div>
-        `;
-        
-        routeOutput.innerHTML = routeHtml;
+    updateLocationButton() {
+        const button = document.getElementById('useLocationBtn');
+        button.textContent = this.isTrackingLocation() ? `⏹ ${this.t('location.stop')}` : `📍 ${this.t('location.use')}`;
+        button.classList.toggle('active', this.isTrackingLocation());
     }
     
-    createCustomIcon(emoji, color) {
-        return L.divIcon({
-            html: `<div style="background: ${color}; border: 2px solid white; border-radius: 50%; width: 30px; height: 30px; display: flex; align-items: center; justify-content: center; font-size: 16px; box-shadow: 0 2px 4px rgba(0,0,0,0.2);">${emoji}</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15],
-            className: 'custom-marker'
-        });
+    handleLocationError(error) {
+        const messages = {
+            1: 'location.denied',
+            2: 'location.unavailable',
+            3: 'location.timeout'
+        };
+        this.showToast(this.t(messages[error.code] || 'location.failed'), 'error');
+        
+        // Keep watching after timeouts; give up on the rest
+        if (error.code !== 3) {
+            this.stopLocationTracking();
+        }
     }
     
-    clearRoute() {
-        if (this.currentRoute) {
-            this.map.removeLayer(this.currentRoute);
-            if (this.currentRoute.startMarker) this.map.removeLayer(this.currentRoute.startMarker);
-            if (this.currentRoute.endMarker) this.map.removeLayer(this.currentRoute.endMarker);
-            this.currentRoute = null;
-        }
+    handlePosition(coords) {
+        const latlng = { lat: coords.latitude, lng: coords.longitude };
+        const accuracy = coords.accuracy || 0;
+        const firstFix = !this.temporaryPoints.has(this.locationNodeId);
         
-        // Clear route output
-        document.getElementById('routeOutput').innerHTML = `
-            <div class="output-placeholder">
-                Select start and end locations to find the optimal route
-            </div>
-        `;
+        this.drawLocation(latlng, accuracy);
         
-        // Reset selects
-        document.getElementById('startSelect').value = '';
-        document.getElementById('endSelect').value = '';
-    }
-    
-    toggleAdminMode() {
-        this.isAdminMode = !this.isAdminMode;
-        const btn = document.getElementById('adminToggle');
+        if (this.navigation) {
+            this.updateNavigation(latlng, accuracy);
+            return;
+        }
         
-        if (this.isAdminMode) {
-            btn.textContent = '🔧 Exit Admin';
-            btn.classList.add('btn-primary');
-            btn.classList.remove('btn-secondary');
-            document.body.classList.add('admin-mode');
-            
-            // Enable marker dragging
-            Object.values(this.markers).forEach(marker => {
-                marker.dragging.enable();
-            });
-            
-            this.showToast('Admin mode enabled. You can now drag markers to adjust positions.', 'warning');
-        } else {
-            btn.textContent = '⚙️ Admin';
-            btn.classList.remove('btn-primary');
-            btn.classList.add('btn-secondary');
-            document.body.classList.remove('admin-mode');
-            
-            // Disable marker dragging
-            Object.values(this.markers).forEach(marker => {
-                marker.dragging.disable();
-            });
-            
-            this.showToast('Admin mode disabled', 'success');
+        // Not navigating: keep the start point at your snapped position
+        this.setTemporaryPoint(this.locationNodeId, latlng, this.t('location.you'));
+        if (firstFix) {
+            this.populateSelects();
+            document.getElementById('startSelect').value = this.locationNodeId;
+            this.map.setView([latlng.lat, latlng.lng], Math.max(this.map.getZoom(), 18));
         }
     }
     
-    showCalibrationModal() {
-        const modal = document.getElementById('calibrationModal');
-        modal.classList.add('active');
+    drawLocation(latlng, accuracy) {
+        if (!this.locationLayer) {
+            this.locationLayer = L.layerGroup().addTo(this.map);
+            this.locationLayer.accuracyCircle = L.circle(latlng, {
+                radius: accuracy, color: '#2563eb', weight: 1, fillOpacity: 0.1, interactive: false
+            }).addTo(this.locationLayer);
+            this.locationLayer.dot = L.circleMarker(latlng, {
+                radius: 7, color: '#ffffff', weight: 2, fillColor: '#2563eb', fillOpacity: 1
+            }).bindTooltip(this.t('location.you')).addTo(this.locationLayer);
+            return;
+        }
         
-        // Populate current bounds
-        document.getElementById('nwLat').value = this.defaultBounds.nw[0];
-        document.getElementById('nwLng').value = this.defaultBounds.nw[1];
-        document.getElementById('seLat').value = this.defaultBounds.se[0];
-        document.getElementById('seLng').value = this.defaultBounds.se[1];
+        this.locationLayer.accuracyCircle.setLatLng(latlng);
+        this.locationLayer.accuracyCircle.setRadius(accuracy);
+        this.locationLayer.dot.setLatLng(latlng);
     }
     
-    hideCalibrationModal() {
-        document.getElementById('calibrationModal').classList.remove('active');
+    measureRouteProgress(latlng) {
+        // Finds where along the current route the position lies. Returns the
+        // route distance covered and how far the position is from the route.
+        const path = this.currentRouteData.path;
+        let best = null;
+        let covered = 0;
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            const edge = this.findEdge(path[i], path[i + 1]);
+            const length = edge ? edge.dist : 0;
+            
+            // Ignore segments well behind the last known progress so a route
+            // that doubles back does not jump backwards
+            if (covered + length >= this.navigation.travelled - 20) {
+                const projection = this.projectOntoSegment(latlng, this.getNode(path[i]), this.getNode(path[i + 1]));
+                if (!best || projection.distance < best.offset) {
+                    best = { offset: projection.distance, travelled: covered + projection.t * length };
+                }
+            }
+            covered += length;
+        }
+        
+        return best || { offset: 0, travelled: covered };
     }
     
-    applyCalibration() {
-        const nwLat = parseFloat(document.getElementById('nwLat').value);
-        const nwLng = parseFloat(document.getElementById('nwLng').value);
-        const seLat = parseFloat(document.getElementById('seLat').value);
-        const seLng = parseFloat(document.getElementById('seLng').value);
+    updateNavigation(latlng, accuracy) {
+        const progress = this.measureRouteProgress(latlng);
         
-        if (isNaN(nwLat) || isNaN(nwLng) || isNaN(seLat) || isNaN(seLng)) {
-            this.showToast('Please enter valid coordinates', 'error');
+        // Two fixes in a row beyond the tolerance count as leaving the route
+        if (!this.navigation.arrived && progress.offset > Math.max(this.offRouteDistance, accuracy)) {
+            this.navigation.offRouteCount++;
+            if (this.navigation.offRouteCount >= 2) {
+                this.rerouteFromPosition(latlng);
+            }
             return;
         }
         
-        // Update bounds
-        this.defaultBounds = {
-            nw: [nwLat, nwLng],
-            se: [seLat, seLng]
-        };
+        this.navigation.offRouteCount = 0;
+        this.navigation.travelled = Math.max(this.navigation.travelled, progress.travelled);
+        this.renderNavigationProgress();
         
-        // Update overlay
-        if (this.overlay) {
-            this.map.removeLayer(this.overlay);
-            this.initOverlay();
+        if (!this.navigation.arrived && this.currentRouteData.distance - this.navigation.travelled <= 10) {
+            this.finishNavigation();
         }
-        
-        this.hideCalibrationModal();
-        this.showToast('Overlay calibration applied', 'success');
     }
     
-    resetCalibration() {
-        this.defaultBounds = {
-            nw: [12.9520, 77.6670],
-            se: [12.9490, 77.6700]
-        };
-        
-        document.getElementById('nwLat').value = this.defaultBounds.nw[0];
-        document.getElementById('nwLng').value = this.defaultBounds.nw[1];
-        document.getElementById('seLat').value = this.defaultBounds.se[0];
-        document.getElementById('seLng').value = this.defaultBounds.se[1];
+    finishNavigation() {
+        this.navigation.arrived = true;
+        this.renderNavigationProgress();
+        const destination = this.getNode(this.currentRouteData.path[this.currentRouteData.path.length - 1]);
+        this.showToast(this.t('navigation.arrivedAt', { name: this.nodeName(destination) }), 'success');
     }
     
-    exportGraph() {
-        const dataStr = JSON.stringify(this.graph, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
+    renderNavigationProgress() {
+        // Steps whose end is behind you are marked done; the next one is current
+        const travelled = this.navigation.travelled;
+        let stepEnd = 0;
+        let currentFound = false;
         
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'campus-graph.json';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        this.currentRouteData.steps.forEach((step, index) => {
+            stepEnd += step.distance;
+            const element = document.querySelector(`#routeOutput .route-step[data-step="${index}"]`);
+            if (!element) return;
+            
+            const done = stepEnd <= travelled + 5;
+            element.classList.toggle('step-done', done);
+            element.classList.toggle('step-current', !done && !currentFound);
+            if (!done) currentFound = true;
+        });
         
-        this.showToast('Graph data exported successfully', 'success');
+        const status = document.getElementById('navigationStatus');
+        if (status) {
+            const remaining = Math.max(0, Math.round(this.currentRouteData.distance - travelled));
+            status.textContent = this.navigation.arrived
+                ? `🎉 ${this.t('navigation.arrived')}`
+                : `🧭 ${this.t('navigation.remaining', { distance: remaining, time: this.formatDuration(this.estimateWalkingTime(remaining)) })}`;
+        }
     }
     
-    async importGraph(file) {
-        if (!file) return;
+    rerouteFromPosition(latlng) {
+        const route = this.currentRouteData;
         
-        try {
-            const text = await file.text();
-            const newGraph = JSON.parse(text);
-            
-            // Validate structure
-            if (!newGraph.nodes || !newGraph.edges) {
-                throw new Error('Invalid graph structure');
+        // Keep the stops that have not been reached yet. Legs skip repeated
+        // stops, so each leg's own end is the stop it leads to.
+        const remaining = [];
+        let legEnd = 0;
+        (route.legs || [route]).forEach(leg => {
+            legEnd += leg.distance;
+            if (legEnd > this.navigation.travelled + 10) {
+                remaining.push(leg.path[leg.path.length - 1]);
             }
-            
-            this.graph = newGraph;
-            
-            // Refresh map
-            this.clearRoute();
-            Object.values(this.markers).forEach(marker => {
-                this.map.removeLayer(marker);
-            });
-            this.markers = {};
-            
-            this.addMarkers();
-            this.buildSearchIndex();
-            this.populateSelects();
-            
-            this.showToast('Graph data imported successfully', 'success');
-        } catch (error) {
-            console.error('Error importing graph:', error);
-            this.showToast('Error importing graph data', 'error');
+        });
+        
+        // Every stop has been passed, so there is nothing left to route to
+        if (remaining.length === 0) {
+            this.navigation.offRouteCount = 0;
+            this.finishNavigation();
+            return;
         }
-    }
-    
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.textContent = message;
         
-        container.appendChild(toast);
+        this.setTemporaryPoint(this.locationNodeId, latlng, this.t('location.you'));
+        const order = [this.locationNodeId, ...remaining];
+        const newRoute = order.length > 2 ? this.planRoute(order) : this.findPath(order[0], order[1]);
         
-        // Auto-remove after 3 seconds
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 3000);
+        if (!newRoute) {
+            this.navigation.offRouteCount = 0;
+            this.showToast(this.t('navigation.noReroute'), 'error');
+            return;
+        }
+        
+        this.clearRouteDisplay();
+        this.displayRoute(newRoute);
+        this.showToast(this.t('navigation.rerouted', { distance: newRoute.distance }), 'warning');
     }
     
     handleMapClick(e) {
-        if (this.isAdminMode) {
-            console.log('Map clicked at:', e.latlng);
-            // Future: Allow adding new nodes by clicking
+        if (this.pendingControlPoint) {
+            this.completeControlPoint(e.latlng);
+        } else if (this.editorTool === 'add') {
+            this.showNodeModal(e.latlng);
         }
     }
 }
@@ -0,0 +1,120 @@
+// Chanakya University Campus Map - service worker
+// Keeps the app usable in Wi-Fi dead zones: the app shell is served from
+// cache, campus data is network-first with a cached fallback, and map tiles
+// are cache-first.
+
+const VERSION = 'v3';
+const SHELL_CACHE = `campus-shell-${VERSION}`;
+const DATA_CACHE = `campus-data-${VERSION}`;
+// Not versioned, so tiles saved for offline use survive app updates.
+// script.js writes to the same cache when downloading the campus area.
+const TILE_CACHE = 'campus-tiles';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './i18n.js',
+    './campus-graph.js',
+    './script.js',
+    './manifest.webmanifest',
+    './assets/blueprint.jpg',
+    './assets/icons/icon-192.png',
+    './assets/icons/icon-512.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/layers.png'
+];
+
+const DATA_FILES = ['./data/distances.json'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (isTileRequest(url)) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (url.origin === self.location.origin && url.pathname.endsWith('/data/distances.json')) {
+        event.respondWith(networkFirstData(request));
+    } else if (url.origin === self.location.origin || url.origin === 'https://unpkg.com') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+function isTileRequest(url) {
+    return url.hostname.endsWith('tile.openstreetmap.org') ||
+        (url.origin === self.location.origin && url.pathname.includes('/tiles/'));
+}
+
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    
+    // Fetch with CORS so the cached copy is not an opaque response
+    const response = await fetch(request.url, { mode: 'cors' });
+    if (response.ok) {
+        cache.put(request.url, response.clone());
+    }
+    return response;
+}
+
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (!cached) throw error;
+        
+        // Let the page tell cached data apart from a fresh download
+        const headers = new Headers(cached.headers);
+        headers.set('X-Served-From', 'cache');
+        return new Response(await cached.blob(), {
+            status: cached.status,
+            statusText: cached.statusText,
+            headers: headers
+        });
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    
+    return cached || update;
+}
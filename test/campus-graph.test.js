@@ -0,0 +1,443 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CampusGraph, MinHeap } = require('../campus-graph.js');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'distances.json');
+const NOON = new Date(2025, 2, 10, 12, 0); // a Monday
+
+function loadCampus(time = NOON) {
+    // The campus data at a fixed time, so opening hours do not depend on when tests run
+    const campus = new CampusGraph();
+    campus.graph = campus.validateGraph(JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'))).graph;
+    campus.departureTime = time;
+    return campus;
+}
+
+function smallGraph() {
+    // a — b — c in a line, plus d reachable from c only by stairs
+    return {
+        nodes: [
+            { id: 'a', name: 'A', lat: 13.1950, lng: 77.7060 },
+            { id: 'b', name: 'B', lat: 13.1955, lng: 77.7060 },
+            { id: 'c', name: 'C', lat: 13.1960, lng: 77.7060 },
+            { id: 'd', name: 'D', lat: 13.1960, lng: 77.7065 }
+        ],
+        edges: [
+            { a: 'a', b: 'b', dist: 56 },
+            { a: 'b', b: 'c', dist: 56 },
+            { a: 'c', b: 'd', dist: 54, stairs: true }
+        ],
+        metadata: {}
+    };
+}
+
+test('MinHeap pops items in priority order', () => {
+    const heap = new MinHeap((x, y) => x - y);
+    [5, 1, 4, 2, 3].forEach(value => heap.push(value));
+    const popped = [];
+    while (heap.size > 0) popped.push(heap.pop());
+    assert.deepEqual(popped, [1, 2, 3, 4, 5]);
+});
+
+test('built-in graph matches data/distances.json', () => {
+    assert.deepEqual(new CampusGraph().getDefaultGraphData(), JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+});
+
+test('campus data validates without errors or warnings', () => {
+    const result = new CampusGraph().validateGraph(JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('validateGraph rejects broken references and bad distances', () => {
+    const graph = smallGraph();
+    graph.nodes.push({ id: 'a', name: 'Duplicate', lat: 13.19, lng: 77.70 });
+    graph.nodes.push({ id: '@me', name: 'Reserved', lat: 13.19, lng: 77.70 });
+    graph.edges.push({ a: 'a', b: 'missing', dist: 10 }, { a: 'b', b: 'd', dist: -5 });
+
+    const { errors } = new CampusGraph().validateGraph(graph);
+    assert.ok(errors.includes('Duplicate node id "a"'));
+    assert.ok(errors.includes('Node id "@me" must not start with "@"'));
+    assert.ok(errors.some(error => error.includes('unknown node "missing"')));
+    assert.ok(errors.some(error => error.includes('negative distance')));
+});
+
+test('validateGraph drops unreadable hours and invalid closures with warnings', () => {
+    const graph = smallGraph();
+    graph.nodes[0].hours = 'sometimes';
+    graph.closures = [
+        { a: 'a', b: 'b', start: '2025-03-10T08:00', end: '2025-03-10T18:00' },
+        { node: 'nowhere', start: '2025-03-10T08:00', end: '2025-03-10T18:00' },
+        { node: 'c', start: '2025-03-10T18:00', end: '2025-03-10T08:00' }
+    ];
+
+    const result = new CampusGraph().validateGraph(graph);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.graph.nodes[0].hours, undefined);
+    assert.equal(result.graph.closures.length, 1);
+    assert.equal(result.warnings.length, 3);
+});
+
+test('findComponents lists disconnected nodes after the main network', () => {
+    const graph = smallGraph();
+    graph.nodes.push({ id: 'island', name: 'Island', lat: 13.1970, lng: 77.7070 });
+
+    const components = new CampusGraph().findComponents(graph);
+    assert.equal(components.length, 2);
+    assert.deepEqual(components[1], ['island']);
+});
+
+test('Dijkstra and A* agree on every route between named places', () => {
+    const campus = loadCampus();
+    const places = campus.graph.nodes.filter(node => node.category !== 'junction').map(node => node.id);
+
+    places.forEach(from => {
+        places.forEach(to => {
+            if (from === to) return;
+            const dijkstra = campus.dijkstra(from, to);
+            const aStar = campus.aStar(from, to);
+            assert.equal(aStar.distance, dijkstra.distance, `${from} → ${to}`);
+        });
+    });
+});
+
+test('shortest route reports its path, distance and steps', () => {
+    const campus = new CampusGraph(smallGraph());
+    const route = campus.findPath('a', 'd');
+
+    assert.deepEqual(route.path, ['a', 'b', 'c', 'd']);
+    assert.equal(route.distance, 166);
+    assert.equal(route.steps[0].maneuver, 'depart');
+    assert.match(route.steps[route.steps.length - 1].description, /^Turn right at C towards D$/);
+});
+
+test('step-free routes take the lift and explain when stairs block them', () => {
+    const campus = loadCampus();
+    const indoor = campus.findPath('main_gate', 'ab1_exam_hall_301', campus.routingProfiles.step_free);
+    assert.ok(indoor.steps.some(step => step.description === 'Take the lift to floor 3'));
+
+    const small = new CampusGraph(smallGraph());
+    const profile = small.routingProfiles.step_free;
+    assert.equal(small.findPath('a', 'd', profile), null);
+
+    const explanation = small.explainNoRoute('a', 'd', profile);
+    assert.ok(explanation.reachable);
+    assert.deepEqual(explanation.blockers.map(rule => rule.label), ['stairs']);
+    assert.deepEqual(explanation.edges.map(item => [item.edge.a, item.edge.b]), [['c', 'd']]);
+});
+
+test('planRoute chains legs and optimizeStopOrder never lengthens a tour', () => {
+    const campus = loadCampus();
+    const stops = ['library', 'main_gate', 'hostel1', 'cafeteria'];
+    const route = campus.planRoute(['admin_block1', ...stops]);
+    assert.equal(route.legs.length, 4);
+    assert.equal(route.distance, route.legs.reduce((sum, leg) => sum + leg.distance, 0));
+
+    const order = campus.optimizeStopOrder('admin_block1', stops);
+    assert.equal(order[0], 'admin_block1');
+    assert.deepEqual([...order].sort(), ['admin_block1', ...stops].sort());
+    assert.ok(campus.planRoute(order).distance <= route.distance);
+
+    // Start, stop and destination all in one place is a route of zero length
+    const stay = campus.planRoute(['library', 'library', 'library']);
+    assert.deepEqual(stay.path, ['library']);
+    assert.equal(stay.distance, 0);
+    assert.equal(stay.legs.length, 1);
+});
+
+test('opening hours follow day rules, overrides and overnight ranges', () => {
+    const campus = new CampusGraph();
+    const schedule = campus.parseOpeningHours('Mo-Fr 08:00-18:00; Fr 08:00-12:00; Sa 22:00-02:00');
+    const at = (day, hour) => new Date(2025, 2, 10 + day, hour, 0); // day 0 is Monday
+
+    assert.ok(campus.isOpenAt(schedule, at(0, 9)));
+    assert.ok(!campus.isOpenAt(schedule, at(0, 19)));
+    assert.ok(!campus.isOpenAt(schedule, at(4, 13)));
+    assert.ok(campus.isOpenAt(schedule, at(5, 23)));
+    assert.ok(campus.isOpenAt(schedule, at(6, 1)));
+    assert.ok(!campus.isOpenAt(schedule, at(6, 3)));
+
+    assert.ok(campus.isOpenAt(campus.parseOpeningHours('24/7'), at(3, 3)));
+    assert.equal(campus.parseOpeningHours('Mo-Xy 08:00-18:00'), null);
+    assert.equal(campus.parseOpeningHours('08:00'), null);
+    assert.equal(campus.parseOpeningHours('Mo-Fr 08:00-24:30'), null);
+    assert.ok(campus.parseOpeningHours('Mo-Fr 08:00-24:00'));
+});
+
+test('closed gates block routes until they open', () => {
+    const campus = loadCampus(new Date(2025, 2, 10, 23, 30));
+    assert.equal(campus.findPath('main_gate', 'library'), null);
+
+    const explanation = campus.explainNoRoute('main_gate', 'library');
+    assert.ok(explanation.blockers.every(rule => rule.closure));
+    assert.equal(explanation.edges[0].rules[0].describe(explanation.edges[0].edge), 'Main Gate is closed (opens tomorrow at 05:00)');
+
+    campus.departureTime = new Date(2025, 2, 11, 6, 0);
+    assert.ok(campus.findPath('main_gate', 'library'));
+});
+
+test('temporary closures reroute and explain the detour', () => {
+    const campus = loadCampus();
+    const open = campus.findPath('entrance_junction', 'academic_block2');
+    const [a, b] = open.path;
+    campus.graph.closures = [{ id: 'works', a: a, b: b, start: '2025-03-10T08:00', end: '2025-03-10T18:00', reason: 'resurfacing' }];
+
+    const detoured = campus.findPath('entrance_junction', 'academic_block2');
+    assert.ok(detoured.distance > open.distance);
+    assert.ok(!detoured.path.slice(0, 2).every((id, i) => id === open.path[i]));
+
+    const detour = campus.explainDetour(detoured);
+    assert.equal(detour.extra, detoured.distance - open.distance);
+    assert.match(detour.reasons[0], /closed for resurfacing \(reopens at 18:00\)/);
+
+    // A repeated stop is skipped without shifting later legs onto the wrong stops
+    const unaffected = campus.planRoute(['cafeteria', 'cafeteria', 'library']);
+    assert.equal(unaffected.legs.length, 1);
+    assert.equal(campus.explainDetour(unaffected), null);
+
+    campus.departureTime = new Date(2025, 2, 10, 19, 0);
+    assert.equal(campus.findPath('entrance_junction', 'academic_block2').distance, open.distance);
+});
+
+test('route instructions and closures follow the selected language', () => {
+    const campus = loadCampus();
+    campus.language = 'hi';
+
+    const route = campus.findPath('main_gate', 'library');
+    assert.equal(route.steps[0].from, 'मुख्य द्वार');
+    assert.match(route.steps[0].description, /^मुख्य द्वार से .+ दिशा में .+ की ओर चलें$/);
+    assert.equal(campus.formatDuration(125), '2 मिनट');
+
+    campus.departureTime = new Date(2025, 2, 10, 23, 30);
+    const explanation = campus.explainNoRoute('main_gate', 'library');
+    assert.equal(explanation.edges[0].rules[0].describe(explanation.edges[0].edge), 'मुख्य द्वार बंद है (कल 05:00 बजे खुलेगा)');
+});
+
+test('missing translations fall back to English names and messages', () => {
+    const campus = new CampusGraph(smallGraph());
+    campus.language = 'kn';
+    campus.locales = { ...campus.locales, kn: { ...campus.locales.kn, messages: {} } };
+
+    assert.equal(campus.t('step.lift', { floor: 'floor 2' }), 'Take the lift to floor 2');
+    assert.equal(campus.t('no.such.key'), 'no.such.key');
+    assert.equal(campus.nodeName(campus.getNode('a')), 'A');
+});
+
+test('validateGraph drops per-language names that are not text', () => {
+    const graph = smallGraph();
+    graph.nodes[0].names = { kn: 'ಎ', hi: 'ए' };
+    graph.nodes[1].names = ['B'];
+
+    const result = new CampusGraph().validateGraph(graph);
+    assert.deepEqual(result.graph.nodes[0].names, { kn: 'ಎ', hi: 'ए' });
+    assert.equal(result.graph.nodes[1].names, undefined);
+    assert.equal(result.warnings.length, 1);
+});
+
+test('temporary points split the nearest edge without changing the graph', () => {
+    const campus = new CampusGraph(smallGraph());
+    const before = JSON.stringify(campus.graph);
+
+    campus.setTemporaryPoint('@pin', { lat: 13.19525, lng: 77.70601 }, 'Pin');
+    const route = campus.findPath('@pin', 'c');
+    assert.deepEqual(route.path, ['@pin', 'b', 'c']);
+    assert.equal(route.distance, 28 + 56);
+    assert.equal(JSON.stringify(campus.graph), before);
+
+    campus.removeTemporaryPoint('@pin');
+    assert.equal(campus.getNode('@pin'), undefined);
+});
+
+test('parseIcs expands weekly classes and skips excluded and all-day events', () => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:Physics',
+        'LOCATION;ALTREP="http://example.edu/rooms:101";LANGUAGE=en:AB1 Room 101\\, 1st floor',
+        'DTSTART;TZID=Asia/Kolkata:20250310T090000',
+        'DTEND;TZID=Asia/Kolkata:20250310T095000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250319',
+        'EXDATE;TZID=Asia/Kolkata:20250312T090000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Holi',
+        'DTSTART;VALUE=DATE:20250314',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    const { events, warnings } = new CampusGraph().parseIcs(ics);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(events.map(event => event.day), ['2025-03-10', '2025-03-17', '2025-03-19']);
+    assert.deepEqual(events[0], { title: 'Physics', location: 'AB1 Room 101, 1st floor', day: '2025-03-10', start: 540, end: 590 });
+});
+
+test('CSV timetables read headers, weekdays and 12-hour times', () => {
+    const campus = loadCampus();
+    const { events, warnings } = campus.parseTimetableCsv([
+        'Room,Course,Day,Start,End',
+        '"AB1 Room 101, 1st floor",Physics,Monday,9:00 am,9:50 am',
+        'Reading Room,Maths,Mon,14:00,14:50',
+        'Library,Broken,Someday,10:00,11:00'
+    ].join('\n'));
+
+    assert.equal(warnings.length, 1);
+    assert.deepEqual(events[1], { title: 'Maths', location: 'Reading Room', day: 'Mo', start: 840, end: 890 });
+    assert.equal(campus.matchLocation(events[0].location), 'ab1_room_101');
+    assert.equal(campus.matchLocation(events[1].location), 'library');
+    assert.equal(campus.matchLocation('Room 999'), null);
+});
+
+test('planTimetableDay warns when the walk is longer than the break', () => {
+    const campus = loadCampus();
+    const classes = [
+        { title: 'Sport', day: 'Mo', start: 600, end: 650, nodeId: 'sports_complex' },
+        { title: 'Physics', day: 'Mo', start: 540, end: 590, nodeId: 'ab1_room_101' },
+        { title: 'Lunch talk', day: 'Mo', start: 652, end: 700, nodeId: 'ab1_room_101' },
+        { title: 'Seminar', day: 'Mo', start: 710, end: 760, nodeId: null }
+    ];
+
+    const gaps = campus.planTimetableDay(classes);
+    assert.deepEqual(gaps.map(gap => gap.from.title), ['Physics', 'Sport', 'Lunch talk']);
+    assert.equal(gaps[0].breakMinutes, 10);
+    assert.equal(gaps[0].seconds, campus.estimateWalkingTime(gaps[0].route.distance));
+    assert.equal(gaps[1].late, true);
+    assert.equal(gaps[2].problem, 'unmatched');
+    assert.equal(campus.departureTime, NOON);
+});
+
+test('reachableFrom lists places within the budget and the reachable part of each edge', () => {
+    const campus = new CampusGraph(smallGraph());
+    const reach = campus.reachableFrom('a', 80);
+    assert.deepEqual(reach.nodes.map(item => [item.id, item.distance]), [['a', 0], ['b', 56]]);
+    assert.equal(reach.nodes[1].seconds, campus.estimateWalkingTime(56));
+
+    const parts = Object.fromEntries(reach.edges.map(item => [item.edge.a + item.edge.b, item.parts]));
+    assert.deepEqual(parts.ab, [{ start: 0, end: 1, startDistance: 0, endDistance: 56 }]);
+    assert.deepEqual(parts.bc, [{ start: 0, end: 24 / 56, startDistance: 56, endDistance: 80 }]);
+    assert.equal(parts.cd, undefined);
+
+    // Distances agree with findPath, and profiles still exclude edges
+    const full = loadCampus();
+    full.reachableFrom('library', 400).nodes.slice(1).forEach(item => {
+        assert.equal(full.findPath('library', item.id).distance, item.distance, item.id);
+    });
+    const stepFree = campus.reachableFrom('c', 500, campus.routingProfiles.step_free);
+    assert.ok(!stepFree.nodes.some(item => item.id === 'd'));
+});
+
+test('alternative routes go both ways round a loop and skip near-identical paths', () => {
+    // a square a-b-c-d with a small bypass b-e-c next to b-c
+    const campus = new CampusGraph({
+        nodes: [
+            { id: 'a', name: 'A', lat: 13.1950, lng: 77.7060 },
+            { id: 'b', name: 'B', lat: 13.1968, lng: 77.7060 },
+            { id: 'c', name: 'C', lat: 13.1968, lng: 77.7069 },
+            { id: 'd', name: 'D', lat: 13.1950, lng: 77.7069 },
+            { id: 'e', name: 'E', lat: 13.1970, lng: 77.7065 }
+        ],
+        edges: [
+            { a: 'a', b: 'b', dist: 200 },
+            { a: 'b', b: 'c', dist: 100 },
+            { a: 'c', b: 'd', dist: 150 },
+            { a: 'd', b: 'a', dist: 200 },
+            { a: 'b', b: 'e', dist: 50 },
+            { a: 'e', b: 'c', dist: 55 }
+        ],
+        metadata: {}
+    });
+
+    const routes = campus.findAlternativeRoutes('a', 'c');
+    assert.deepEqual(routes.map(route => route.path), [['a', 'b', 'c'], ['a', 'd', 'c']]);
+    assert.deepEqual(routes.map(route => route.distance), [300, 350]);
+    assert.equal(routes[1].steps[0].maneuver, 'depart');
+
+    campus.maxRouteOverlap = 1;
+    assert.deepEqual(campus.findAlternativeRoutes('a', 'c')[1].path, ['a', 'b', 'e', 'c']);
+    assert.deepEqual(campus.findAlternativeRoutes('a', 'zz'), []);
+
+    // The search stops once its budget of shortest-path runs is spent
+    campus.maxSpurSearches = 1;
+    assert.deepEqual(campus.findAlternativeRoutes('a', 'c').map(route => route.path), [['a', 'b', 'c'], ['a', 'd', 'c']]);
+});
+
+test('diffGraphs lists added, removed, changed and moved items', () => {
+    const campus = new CampusGraph();
+    const current = smallGraph();
+    const incoming = smallGraph();
+    incoming.nodes[0].lat += 0.0001;
+    incoming.nodes[1].name = 'Bee';
+    incoming.nodes.push({ id: 'e', name: 'E', lat: 13.1965, lng: 77.7065 });
+    incoming.edges.push({ a: 'e', b: 'd', dist: 56 });
+    incoming.edges = incoming.edges.filter(edge => edge.a !== 'a');
+    incoming.metadata = { source: 'survey', lastUpdated: '2025-03-01' };
+
+    const changes = campus.diffGraphs(current, incoming);
+    assert.deepEqual(changes.map(change => `${change.key} ${change.type}`), [
+        'node:a changed', 'node:b changed', 'node:e added', 'edge:d|e added', 'edge:a|b removed', 'metadata changed'
+    ]);
+    assert.equal(changes[0].moved, 11);
+    assert.deepEqual(changes[1].fields, ['name']);
+    assert.deepEqual(changes[5].fields, ['source']);
+    assert.equal(campus.summarizeChanges(changes), '1 node moved, 1 node changed, 1 node added, 1 edge added, 1 edge removed, metadata changed');
+
+    // Swapping an edge's ends is not a change
+    const swapped = smallGraph();
+    swapped.edges[0] = { a: 'b', b: 'a', dist: 56 };
+    assert.deepEqual(campus.diffGraphs(current, swapped), []);
+});
+
+test('undo keeps the export change log in step with the graph', () => {
+    const campus = new CampusGraph(smallGraph());
+    campus.baselineGraph = smallGraph();
+    campus.graph.nodes[0].lat += 0.0001;
+    const undo = () => JSON.parse(JSON.stringify(campus.historyState()));
+
+    // Export, then undo it: the move is still waiting to be logged
+    const beforeExport = undo();
+    campus.recordBaselineChanges(campus.changesSinceBaseline(), 'A', new Date(Date.UTC(2025, 2, 1, 9, 0)));
+    assert.deepEqual(campus.changesSinceBaseline(), []);
+    campus.restoreHistoryState(beforeExport);
+    assert.equal(campus.summarizeChanges(campus.changesSinceBaseline()), '1 node moved');
+    assert.equal(campus.graph.metadata.changeLog, undefined);
+
+    // Import a node, then undo it: the node is not logged as removed
+    const incoming = smallGraph();
+    incoming.nodes.push({ id: 'e', name: 'E', lat: 13.1965, lng: 77.7065 });
+    const accepted = campus.diffGraphs(campus.graph, incoming).filter(change => change.type === 'added');
+    const beforeImport = undo();
+    campus.commitImport(campus.mergeGraphs(campus.graph, incoming, accepted), 'survey.json', incoming, accepted, 'B');
+    assert.equal(campus.summarizeChanges(campus.changesSinceBaseline()), '1 node moved');
+    campus.restoreHistoryState(beforeImport);
+    assert.equal(campus.summarizeChanges(campus.changesSinceBaseline()), '1 node moved');
+});
+
+test('mergeGraphs applies only accepted changes and combines change logs', () => {
+    const campus = new CampusGraph();
+    const current = smallGraph();
+    current.metadata = { changeLog: [{ date: '2025-03-01T10:00:00.000Z', author: 'A', summary: 'first' }] };
+    const incoming = smallGraph();
+    incoming.nodes = incoming.nodes.filter(node => node.id !== 'd');
+    incoming.edges = incoming.edges.filter(edge => edge.b !== 'd');
+    incoming.nodes.push({ id: 'e', name: 'E', lat: 13.1965, lng: 77.7065 });
+    incoming.edges.push({ a: 'c', b: 'e', dist: 60 });
+    incoming.metadata = { changeLog: [{ date: '2025-03-02T10:00:00.000Z', author: 'B', summary: 'second' }] };
+
+    const changes = campus.diffGraphs(current, incoming);
+    const merged = campus.mergeGraphs(current, incoming, changes.filter(change => change.type !== 'removed'));
+    assert.deepEqual(merged.nodes.map(node => node.id), ['a', 'b', 'c', 'd', 'e']);
+    assert.equal(merged.edges.length, 4);
+    assert.deepEqual(merged.metadata.changeLog.map(entry => entry.author), ['A', 'B']);
+    assert.equal(current.nodes.length, 4);
+
+    // Removing a node also drops its edges, so the result still validates
+    const onlyRemoval = campus.mergeGraphs(current, incoming, changes.filter(change => change.key === 'node:d'));
+    assert.deepEqual(campus.validateGraph(onlyRemoval).errors, []);
+    assert.ok(!onlyRemoval.edges.some(edge => edge.b === 'd'));
+
+    campus.recordChange(merged, '1 node added', 'C', new Date(Date.UTC(2025, 2, 3, 9, 0)));
+    assert.equal(merged.metadata.lastUpdated, '2025-03-03T09:00:00.000Z');
+    assert.deepEqual(merged.metadata.changeLog[2], { date: '2025-03-03T09:00:00.000Z', author: 'C', summary: '1 node added' });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../cli.js');
+
+function run(...argv) {
+    // Exit code and captured output of one CLI invocation
+    const lines = [];
+    const errors = [];
+    const code = main(argv, line => lines.push(line), line => errors.push(line));
+    return { code, output: lines.join('\n'), errors: errors.join('\n') };
+}
+
+function writeTempGraph(graph) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campus-cli-'));
+    const file = path.join(dir, 'graph.json');
+    fs.writeFileSync(file, JSON.stringify(graph));
+    return file;
+}
+
+test('validate accepts the campus data', () => {
+    const { code, output } = run('validate');
+    assert.equal(code, 0);
+    assert.match(output, /^OK: \d+ nodes, \d+ edges, 0 warning\(s\)$/);
+});
+
+test('validate reports errors and fails', () => {
+    const file = writeTempGraph({ nodes: [{ id: 'a', name: 'A', lat: 13.19, lng: 77.70 }], edges: [{ a: 'a', b: 'zz', dist: 5 }] });
+    const { code, output } = run('validate', '--file', file, '--json');
+    assert.equal(code, 1);
+
+    const report = JSON.parse(output);
+    assert.equal(report.valid, false);
+    assert.match(report.errors[0], /unknown node "zz"/);
+});
+
+test('route prints numbered steps as text', () => {
+    const { code, output } = run('route', 'main_gate', 'ab1_exam_hall_301', '--profile', 'step_free', '--at', '2025-03-10T12:00');
+    assert.equal(code, 0);
+
+    const lines = output.split('\n');
+    assert.match(lines[0], /^Main Gate → AB1 Exam Hall 301: \d+m, about \d+ min$/);
+    assert.match(lines[1], /^ {2}1\. Head /);
+    assert.ok(lines.some(line => line.includes('Take the lift to floor 3')));
+});
+
+test('route prints JSON with stops and steps', () => {
+    const { code, output } = run('route', 'main_gate', 'library', '--via', 'cafeteria', '--json', '--at', '2025-03-10T12:00');
+    assert.equal(code, 0);
+
+    const route = JSON.parse(output);
+    assert.equal(route.found, true);
+    assert.deepEqual(route.stops, ['main_gate', 'cafeteria', 'library']);
+    assert.ok(route.path.includes('cafeteria'));
+    assert.equal(route.distance, route.steps.reduce((sum, step) => sum + step.distance, 0));
+});
+
+test('route explains why there is no route', () => {
+    const { code, output } = run('route', 'main_gate', 'library', '--at', '2025-03-10T23:30');
+    assert.equal(code, 1);
+    assert.match(output, /^No route: blocked by closed/);
+    assert.match(output, /Main Gate is closed \(opens tomorrow at 05:00\)/);
+});
+
+test('route rejects unknown ids and profiles', () => {
+    assert.equal(run('route', 'main_gate', 'nowhere').code, 2);
+    assert.equal(run('route', 'main_gate', 'library', '--profile', 'flying').code, 2);
+    assert.equal(run('route', 'main_gate', 'library', '--algorithm', 'foo').code, 2);
+});
+
+test('route with every stop at the same place has zero length', () => {
+    const { code, output } = run('route', 'library', 'library', '--via', 'library', '--json');
+    assert.equal(code, 0);
+
+    const route = JSON.parse(output);
+    assert.deepEqual(route.path, ['library']);
+    assert.equal(route.distance, 0);
+});
+
+test('unreachable lists nodes outside the main network', () => {
+    assert.equal(run('unreachable').code, 0);
+
+    const file = writeTempGraph({
+        nodes: [
+            { id: 'a', name: 'A', lat: 13.1950, lng: 77.7060 },
+            { id: 'b', name: 'B', lat: 13.1955, lng: 77.7060 },
+            { id: 'shed', name: 'Shed', lat: 13.1960, lng: 77.7070 }
+        ],
+        edges: [{ a: 'a', b: 'b', dist: 56 }]
+    });
+    const { code, output } = run('unreachable', '--file', file);
+    assert.equal(code, 1);
+    assert.equal(output, 'shed\tShed');
+});
+
+test('unknown commands print usage', () => {
+    const { code, errors } = run('teleport');
+    assert.equal(code, 2);
+    assert.match(errors, /Usage: node cli\.js/);
+});